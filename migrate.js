@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { MigrationRunner } from './src/utils/MigrationRunner.js';
+import { closeDatabases } from './src/utils/database.js';
+
+dotenv.config();
+
+const usage = `Usage: npm run migrate -- <command> [options]
+
+Commands:
+  status              List migrations and whether they are applied (default)
+  up                  Apply pending migrations
+  down                Revert the last applied migration
+
+Options:
+  --to <version>      up: stop after this version; down: revert everything above it
+  --steps <n>         down: revert the last n migrations (default 1)
+  --dry-run           Print what would run without touching the database`;
+
+const args = process.argv.slice(2);
+const command = args.find(arg => !arg.startsWith('--') && !/^\d+$/.test(arg)) || 'status';
+const option = name => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? parseInt(args[index + 1]) : null;
+};
+
+const runner = new MigrationRunner();
+
+try {
+  if (command === 'status') {
+    const { current, migrations } = await runner.status();
+    console.log(`Database: ${runner.dbPath} (schema version ${current})\n`);
+    for (const migration of migrations) {
+      const state = migration.missing ? 'applied, file missing' : migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+      console.log(`  ${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+    }
+  } else if (command === 'up' || command === 'down') {
+    const dryRun = args.includes('--dry-run');
+    const result = command === 'up'
+      ? await runner.migrate({ to: option('to') ?? Infinity, dryRun })
+      : await runner.rollback({ steps: option('steps') ?? 1, to: option('to'), dryRun });
+
+    if (result.migrations.length === 0) {
+      console.log('Nothing to do.');
+    }
+    for (const migration of result.migrations) {
+      const verb = command === 'up' ? (dryRun ? 'Would apply' : 'Applied') : (dryRun ? 'Would revert' : 'Reverted');
+      console.log(`${verb} ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+    }
+    if (result.backup) {
+      console.log(`Backup: ${result.backup}`);
+    }
+  } else {
+    console.log(usage);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await closeDatabases();
+}
@@ -39,11 +39,10 @@ directories.forEach(dir => {
 console.log('\n🔧 Setup checklist:');
 console.log('1. ✅ Project structure created');
 console.log('2. 📝 Edit .env file with your API keys:');
-console.log('   - OPENAI_API_KEY (required for embeddings and AI responses)');
+console.log('   - OPENAI_API_KEY (optional, better embeddings than the built-in local ones)');
 console.log('   - ANTHROPIC_API_KEY (optional, for Claude models)');
 console.log('   - TELEGRAM_BOT_TOKEN (for Telegram integration)');
-console.log('   - GITHUB_TOKEN (for GitHub MCP integration)');
-console.log('   - FIGMA_TOKEN (for Figma MCP integration)');
+console.log('   - CREDENTIALS_MASTER_KEY (encrypts GitHub/Figma tokens users link with /connect)');
 console.log('3. 📦 Install dependencies: npm install');
 console.log('4. 🚀 Start the bot: npm start');
 
@@ -56,11 +55,11 @@ console.log('3. Copy the token to TELEGRAM_BOT_TOKEN in .env');
 console.log('\nGitHub Token:');
 console.log('1. Go to GitHub Settings > Developer settings > Personal access tokens');
 console.log('2. Generate a new token with repo permissions');
-console.log('3. Copy the token to GITHUB_TOKEN in .env');
+console.log('3. Send /connect github to the bot and paste the token');
 
 console.log('\nFigma Token:');
 console.log('1. Go to Figma Settings > Account > Personal access tokens');
 console.log('2. Generate a new token');
-console.log('3. Copy the token to FIGMA_TOKEN in .env');
+console.log('3. Send /connect figma to the bot and paste the token');
 
 console.log('\n🎉 Setup complete! Edit .env and run "npm install" then "npm start"');
\ No newline at end of file
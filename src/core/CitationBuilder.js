@@ -0,0 +1,174 @@
+// Numbers the memories, documents and tool results a reply is built from,
+// so the model can cite them as [n] and the reply can list them as footnotes
+export class CitationBuilder {
+  constructor() {
+    this.maxSnippetLength = 200;
+  }
+
+  // Tags each citable item with citationId. Chunks of the same document section, or repeated
+  // results for the same URL, share an id so a footnote never appears twice.
+  collect(context, thoughtProcess) {
+    const sources = [];
+    const byKey = new Map();
+
+    const add = (item, source) => {
+      let existing = byKey.get(source.key);
+      if (!existing) {
+        existing = { id: sources.length + 1, ...source };
+        byKey.set(source.key, existing);
+        sources.push(existing);
+      }
+      item.citationId = existing.id;
+    };
+
+    for (const memory of context?.longTerm || []) {
+      add(memory, this.describeMemory(memory));
+    }
+
+    for (const doc of context?.rag || []) {
+      add(doc, this.describeDocument(doc));
+    }
+
+    // Pending and failed actions produced no data worth citing
+    for (const result of thoughtProcess?.steps?.execute || []) {
+      if (result.success && !result.pending) {
+        add(result, this.describeAction(result));
+      }
+    }
+
+    return sources;
+  }
+
+  describeMemory(memory) {
+    // Extracted memories share a key with their RAG copy, so both get the same number
+    if (memory.content?.text) {
+      return {
+        key: `memory:${memory.id}`,
+        type: 'memory',
+        title: `Remembered ${memory.content.kind}`,
+        url: null,
+        snippet: this.snippet(memory.content.text)
+      };
+    }
+
+    const date = memory.timestamp ? new Date(memory.timestamp).toISOString().split('T')[0] : null;
+    return {
+      key: `memory:${memory.id}`,
+      type: 'memory',
+      title: date ? `Earlier conversation (${date})` : 'Earlier conversation',
+      url: null,
+      snippet: this.snippet(memory.content?.userMessage || memory.content)
+    };
+  }
+
+  describeDocument(doc) {
+    const metadata = doc.metadata || {};
+
+    if (metadata.type === 'document') {
+      const name = metadata.title || metadata.filename || metadata.url || 'Document';
+      const section = metadata.section || '';
+      return {
+        key: `document:${metadata.sourceId || doc.id}${section ? `#${section}` : ''}`,
+        type: 'document',
+        // Markdown sections usually start with the document's own title
+        title: !section || section.startsWith(name) ? section || name : `${name} › ${section}`,
+        url: metadata.url || null,
+        snippet: this.snippet(doc.content)
+      };
+    }
+
+    if (metadata.type === 'memory') {
+      return {
+        key: `memory:${metadata.memoryId}`,
+        type: 'memory',
+        title: `Remembered ${metadata.kind}`,
+        url: null,
+        snippet: this.snippet(doc.content)
+      };
+    }
+
+    return {
+      key: `rag:${doc.id}`,
+      type: metadata.type || 'knowledge',
+      title: metadata.type === 'conversation' ? 'Earlier conversation' : 'Knowledge base',
+      url: metadata.url || null,
+      snippet: this.snippet(doc.content)
+    };
+  }
+
+  describeAction(result) {
+    const [type] = result.action.split('.');
+    const url = this.getActionUrl(type, result.parameters || {}, result.result || {});
+    const subject = this.getActionSubject(result.parameters || {}, result.result || {});
+
+    return {
+      key: `action:${url || `${result.action}:${JSON.stringify(result.parameters)}`}`,
+      type,
+      title: subject ? `${result.action} (${subject})` : result.action,
+      url,
+      snippet: null
+    };
+  }
+
+  getActionUrl(type, parameters, result) {
+    if (typeof result.html_url === 'string') return result.html_url;
+
+    if (type === 'github' && parameters.owner && parameters.repo) {
+      return `https://github.com/${parameters.owner}/${parameters.repo}`;
+    }
+
+    const fileKey = parameters.file_key || result.file_key;
+    if (type === 'figma' && fileKey) {
+      return `https://www.figma.com/file/${fileKey}`;
+    }
+
+    return typeof result.url === 'string' && /^https?:\/\//.test(result.url) ? result.url : null;
+  }
+
+  getActionSubject(parameters, result) {
+    if (result.full_name) return result.full_name;
+    if (result.number && result.title) return `#${result.number} ${result.title}`;
+    if (result.path) return result.path;
+    if (result.name) return result.name;
+    if (parameters.owner && parameters.repo) return `${parameters.owner}/${parameters.repo}`;
+    return parameters.file_key || parameters.query || null;
+  }
+
+  snippet(content) {
+    if (!content) return null;
+    const text = (typeof content === 'string' ? content : JSON.stringify(content)).replace(/\s+/g, ' ').trim();
+    return text.length > this.maxSnippetLength ? `${text.substring(0, this.maxSnippetLength)}...` : text;
+  }
+
+  // Ids the reply actually cites, in order of first mention. Handles [1], [1, 2] and [1][2].
+  getCitedIds(text, sources) {
+    const known = new Set(sources.map(source => source.id));
+    const cited = [];
+
+    for (const match of text.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+      for (const id of match[1].split(',').map(value => parseInt(value))) {
+        if (known.has(id) && !cited.includes(id)) {
+          cited.push(id);
+        }
+      }
+    }
+
+    return cited;
+  }
+
+  // Returns the footnote block to append to the reply and the sources with a cited flag.
+  // id is only meaningful within one reply; key identifies the same source across replies.
+  render(text, sources) {
+    const citedIds = this.getCitedIds(text || '', sources);
+    const citedSources = citedIds.map(id => sources.find(source => source.id === id));
+
+    const footnotes = citedSources.length > 0
+      ? `\n\nSources:\n${citedSources.map(source => `[${source.id}] ${source.title}${source.url ? ` - ${source.url}` : ''}`).join('\n')}`
+      : '';
+
+    return {
+      footnotes,
+      sources: sources.map(source => ({ ...source, cited: citedIds.includes(source.id) }))
+    };
+  }
+}
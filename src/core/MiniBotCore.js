@@ -2,24 +2,49 @@ import { MemoryManager } from '../memory/MemoryManager.js';
 import { AIModelManager } from './AIModelManager.js';
 import { ThoughtChain } from './ThoughtChain.js';
 import { MCPManager } from '../mcp/MCPManager.js';
+import { UserProfileStore } from './UserProfileStore.js';
+import { CitationBuilder } from './CitationBuilder.js';
+import { UserDataManager } from './UserDataManager.js';
+import { LLMReranker } from '../memory/LLMReranker.js';
+import { MemoryExtractor } from '../memory/MemoryExtractor.js';
+import { ConversationSummarizer } from '../memory/ConversationSummarizer.js';
+import { DocumentIngestor } from '../ingestion/DocumentIngestor.js';
+import { closeDatabases } from '../utils/database.js';
+import { MigrationRunner } from '../utils/MigrationRunner.js';
 import { logger } from '../utils/logger.js';
 
+const ERROR_REPLY = 'I apologize, but I encountered an error processing your message. Please try again.';
+
 export class MiniBotCore {
   constructor() {
+    this.migrations = new MigrationRunner();
     this.memoryManager = new MemoryManager();
-    this.aiModelManager = new AIModelManager();
+    this.userProfiles = new UserProfileStore();
+    this.aiModelManager = new AIModelManager(this.userProfiles);
+    if (process.env.RAG_RERANKER === 'llm') {
+      this.memoryManager.ragMemory.setReranker(new LLMReranker(this.aiModelManager));
+    }
+    this.memoryManager.setExtractor(new MemoryExtractor(this.aiModelManager));
+    this.memoryManager.setSummarizer(new ConversationSummarizer(this.aiModelManager));
     this.thoughtChain = new ThoughtChain();
     this.mcpManager = new MCPManager();
+    this.citations = new CitationBuilder();
+    this.documentIngestor = new DocumentIngestor(this.memoryManager.ragMemory, this.mcpManager, this.memoryManager.namespaces);
+    this.userData = new UserDataManager(this.memoryManager, this.mcpManager, this.aiModelManager, this.userProfiles);
     this.isInitialized = false;
   }
 
   async initialize() {
     try {
       logger.info('Initializing MiniBot Core...');
-      
+
+      // Every store below expects the current schema
+      await this.migrations.migrate();
       await this.memoryManager.initialize();
+      await this.userProfiles.initialize();
       await this.aiModelManager.initialize();
       await this.mcpManager.initialize();
+      await this.userData.initialize();
       
       this.isInitialized = true;
       logger.info('MiniBot Core initialized successfully');
@@ -29,60 +54,206 @@ export class MiniBotCore {
     }
   }
 
-  async processMessage(message, userId, platform = 'unknown') {
+  // Resolves to { response, sources }: the reply with its footnotes, and the sources it cites
+  async processMessage(message, userId, platform = 'unknown', options = {}) {
     if (!this.isInitialized) {
       throw new Error('MiniBot Core not initialized');
     }
 
     try {
-      logger.info(`Processing message from user ${userId} on ${platform}`);
-      
-      // Store incoming message in short-term memory
-      await this.memoryManager.addToShortMemory(userId, {
-        type: 'user_message',
-        content: message,
-        timestamp: new Date(),
-        platform
-      });
-
-      // Retrieve relevant context from memory
-      const context = await this.memoryManager.getRelevantContext(userId, message);
-      
-      // Process through thought chain
-      const thoughtProcess = await this.thoughtChain.process({
-        message,
-        userId,
-        context,
-        mcpManager: this.mcpManager,
-        aiModel: this.aiModelManager.getCurrentModel(userId)
-      });
+      const turn = await this.prepareTurn(message, userId, platform, options);
 
       // Generate response using AI model
-      const response = await this.aiModelManager.generateResponse({
-        message,
-        context,
-        thoughtProcess,
-        userId
-      });
-
-      // Store response in memory
-      await this.memoryManager.addToShortMemory(userId, {
-        type: 'bot_response',
-        content: response,
-        timestamp: new Date(),
-        thoughtProcess
-      });
-
-      // Update long-term memory if needed
-      await this.memoryManager.updateLongTermMemory(userId, message, response);
-
-      return response;
+      const response = await this.aiModelManager.generateResponse(turn);
+
+      await this.completeTurn(turn, response);
+
+      const { footnotes, sources } = this.renderSources(turn, response);
+      return { response: `${response}${footnotes}`, sources };
     } catch (error) {
       logger.error('Error processing message:', error);
-      return 'I apologize, but I encountered an error processing your message. Please try again.';
+      return { response: ERROR_REPLY, sources: [] };
+    }
+  }
+
+  // Yields the reply token by token and returns { response, sources } like processMessage
+  async *processMessageStream(message, userId, platform = 'unknown', options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('MiniBot Core not initialized');
+    }
+
+    let turn;
+    try {
+      turn = await this.prepareTurn(message, userId, platform, options);
+    } catch (error) {
+      logger.error('Error preparing streamed message:', error);
+      yield ERROR_REPLY;
+      return { response: ERROR_REPLY, sources: [] };
+    }
+
+    let response = '';
+    try {
+      for await (const token of this.aiModelManager.generateResponseStream(turn)) {
+        response += token;
+        yield token;
+      }
+
+      const { footnotes, sources } = this.renderSources(turn, response);
+      if (footnotes) {
+        yield footnotes;
+      }
+      return { response: `${response}${footnotes}`, sources };
+    } catch (error) {
+      logger.error('Error streaming message:', error);
+      if (!response) {
+        yield ERROR_REPLY;
+        return { response: ERROR_REPLY, sources: [] };
+      }
+      return { response, sources: [] };
+    } finally {
+      // Runs even if the consumer stops early, so partial answers are remembered too
+      if (response) {
+        try {
+          await this.completeTurn(turn, response);
+        } catch (error) {
+          logger.error('Error storing streamed response:', error);
+        }
+      }
     }
   }
 
+  async prepareTurn(message, userId, platform, { chatId } = {}) {
+    logger.info(`Processing message from user ${userId} on ${platform}`);
+
+    // Store incoming message in short-term memory
+    await this.memoryManager.addToShortMemory(userId, {
+      type: 'user_message',
+      content: message,
+      timestamp: new Date(),
+      platform
+    });
+
+    // Retrieve relevant context from memory
+    const context = await this.memoryManager.getRelevantContext(userId, message, {
+      budget: this.aiModelManager.getContextBudget(userId, message),
+      chatId
+    });
+
+    // Process through thought chain
+    const thoughtProcess = await this.thoughtChain.process({
+      message,
+      userId,
+      platform,
+      chatId,
+      context,
+      mcpManager: this.mcpManager,
+      aiModelManager: this.aiModelManager,
+      disabledIntegrations: this.userProfiles.getDisabledIntegrations(userId)
+    });
+
+    return {
+      message,
+      context,
+      thoughtProcess,
+      userId,
+      // Numbers the context items so the model can cite them
+      sources: this.citations.collect(context, thoughtProcess)
+    };
+  }
+
+  // Footnotes go to the user only; memory keeps the plain answer so they don't pile up in history
+  renderSources(turn, response) {
+    return this.citations.render(response, turn.sources);
+  }
+
+  async completeTurn(turn, response) {
+    const { message, thoughtProcess, userId } = turn;
+
+    // Store response in memory
+    await this.memoryManager.addToShortMemory(userId, {
+      type: 'bot_response',
+      content: response,
+      timestamp: new Date(),
+      thoughtProcess
+    });
+
+    // Update long-term memory if needed
+    await this.memoryManager.updateLongTermMemory(userId, message, response);
+
+    this.memoryManager.recordKnowledge(userId, {
+      mentions: thoughtProcess.steps?.analyze?.entities,
+      actions: (thoughtProcess.steps?.execute || []).filter(result => result.success && !result.pending)
+    });
+  }
+
+  async approvePendingAction(id, userId, platform) {
+    const { pending, result } = await this.mcpManager.approvePendingAction(id, userId, platform);
+
+    // Link or id of whatever was created, so the user can open it
+    const reference = result?.html_url || result?.url || (result?.id ? `id ${result.id}` : null);
+    const message = `✅ ${pending.type}.${pending.operation} executed${reference ? `: ${reference}` : ''}`;
+
+    this.memoryManager.recordKnowledge(userId, {
+      actions: [{ action: `${pending.type}.${pending.operation}`, parameters: pending.parameters, result }]
+    });
+
+    // Keep the outcome in the conversation so follow-up questions can refer to it
+    await this.memoryManager.addToShortMemory(userId, {
+      type: 'bot_response',
+      content: message,
+      timestamp: new Date(),
+      platform: pending.platform
+    });
+
+    return { pending, result, message };
+  }
+
+  cancelPendingAction(id, userId, platform) {
+    return this.mcpManager.cancelPendingAction(id, userId, platform);
+  }
+
+  updatePendingAction(id, userId, parameters, platform) {
+    return this.mcpManager.updatePendingAction(id, userId, parameters, platform);
+  }
+
+  getPendingActions(userId, platform) {
+    return this.mcpManager.getPendingActions(userId, platform);
+  }
+
+  takeNewPendingActions(userId, platform) {
+    return this.mcpManager.takeNewPendingActions(userId, platform);
+  }
+
+  formatPendingAction(pending) {
+    return this.mcpManager.pendingActions.formatPreview(pending);
+  }
+
+  serializePendingAction(pending) {
+    return this.mcpManager.pendingActions.serialize(pending);
+  }
+
+  exportUserData(userId) {
+    return this.userData.export(userId);
+  }
+
+  formatUserDataExport(archive) {
+    return this.userData.toMarkdown(archive);
+  }
+
+  importUserData(userId, archive) {
+    return this.userData.import(userId, archive);
+  }
+
+  async forgetUser(userId, options = {}) {
+    return this.userData.forget(userId, options);
+  }
+
+  async shutdown() {
+    await this.mcpManager.shutdown();
+    await this.memoryManager.shutdown();
+    await closeDatabases();
+  }
+
   async getStatus() {
     return {
       initialized: this.isInitialized,
@@ -95,4 +266,30 @@ export class MiniBotCore {
   async setUserModel(userId, modelName) {
     return this.aiModelManager.setUserModel(userId, modelName);
   }
+
+  getUserSettings(userId) {
+    return this.aiModelManager.getUserSettings(userId);
+  }
+
+  async updateUserSettings(userId, changes) {
+    if (changes.model) {
+      await this.setUserModel(userId, changes.model);
+    }
+    const { model, ...rest } = changes;
+    await this.userProfiles.update(userId, rest);
+    return this.getUserSettings(userId);
+  }
+
+  async setUserIntegration(userId, serverType, enabled) {
+    if (!this.mcpManager.hasServer(serverType)) {
+      throw new Error(`Unknown integration: ${serverType}`);
+    }
+    await this.userProfiles.setIntegration(userId, serverType, enabled);
+    return this.getUserSettings(userId);
+  }
+
+  async resetUserSettings(userId) {
+    await this.userProfiles.reset(userId);
+    return this.getUserSettings(userId);
+  }
 }
\ No newline at end of file
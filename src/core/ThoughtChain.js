@@ -3,9 +3,13 @@ import { logger } from '../utils/logger.js';
 export class ThoughtChain {
   constructor() {
     this.steps = ['analyze', 'plan', 'execute', 'reflect'];
+    // Upper bound on model round-trips in the tool-calling loop
+    this.maxToolSteps = parseInt(process.env.AGENT_MAX_STEPS) || 4;
+    // Tool results are truncated before being fed back to the model
+    this.maxToolResultLength = 4000;
   }
 
-  async process({ message, userId, context, mcpManager, aiModel }) {
+  async process({ message, userId, platform, chatId, context, mcpManager, aiModelManager, disabledIntegrations = [] }) {
     const thoughtProcess = {
       timestamp: new Date(),
       userId,
@@ -20,15 +24,21 @@ export class ThoughtChain {
       thoughtProcess.steps.analyze = await this.analyzeInput(message, context);
       
       // Step 2: Plan the response
-      thoughtProcess.steps.plan = await this.planResponse(message, context, mcpManager);
+      thoughtProcess.steps.plan = await this.planResponse(message, context, mcpManager, disabledIntegrations);
       
-      // Step 3: Execute actions if needed
-      if (thoughtProcess.steps.plan.requiresActions) {
-        thoughtProcess.steps.execute = await this.executeActions(
-          thoughtProcess.steps.plan.actions,
+      // Step 3: Let the model pick and run tools if any are available
+      if (thoughtProcess.steps.plan.toolsAvailable && aiModelManager) {
+        thoughtProcess.steps.execute = await this.runToolLoop({
+          message,
+          userId,
+          platform,
+          chatId,
+          context,
           mcpManager,
-          userId
-        );
+          aiModelManager,
+          disabledIntegrations
+        });
+        thoughtProcess.actions = thoughtProcess.steps.execute.map(result => result.action);
       }
       
       // Step 4: Reflect on the process
@@ -54,20 +64,17 @@ export class ThoughtChain {
     return analysis;
   }
 
-  async planResponse(message, context, mcpManager) {
+  async planResponse(message, context, mcpManager, disabledIntegrations = []) {
     const plan = {
       responseType: 'text',
-      requiresActions: false,
-      actions: [],
+      toolsAvailable: false,
       reasoning: []
     };
 
-    // Check if message requires MCP actions
-    const mcpActions = await this.identifyMCPActions(message, mcpManager);
-    if (mcpActions.length > 0) {
-      plan.requiresActions = true;
-      plan.actions = mcpActions;
-      plan.reasoning.push('Message requires external tool usage');
+    // Whether a tool is actually needed is left to the model in the execute step
+    if (mcpManager && mcpManager.getToolDefinitions({ exclude: disabledIntegrations }).length > 0) {
+      plan.toolsAvailable = true;
+      plan.reasoning.push('External tools available for the model to choose from');
     }
 
     // Determine response strategy
@@ -85,30 +92,103 @@ export class ThoughtChain {
     return plan;
   }
 
-  async executeActions(actions, mcpManager, userId) {
+  async runToolLoop({ message, userId, platform, chatId, context, mcpManager, aiModelManager, disabledIntegrations = [] }) {
+    const tools = mcpManager.getToolDefinitions({ exclude: disabledIntegrations });
+    const system = aiModelManager.buildToolSystemPrompt(context);
+    const { messages } = aiModelManager.buildMessages(message, context, null);
     const results = [];
 
-    for (const action of actions) {
+    for (let step = 0; step < this.maxToolSteps; step++) {
+      let reply;
       try {
-        const result = await mcpManager.executeAction(action, userId);
-        results.push({
-          action: action.type,
-          success: true,
-          result
-        });
+        reply = await aiModelManager.generateToolStep(userId, { system, messages, tools });
       } catch (error) {
-        logger.error(`Failed to execute action ${action.type}:`, error);
-        results.push({
-          action: action.type,
-          success: false,
-          error: error.message
+        logger.error('Error selecting tools:', error);
+        break;
+      }
+
+      if (reply.toolCalls.length === 0) {
+        break;
+      }
+
+      messages.push({ role: 'assistant', content: reply.content, toolCalls: reply.toolCalls });
+
+      for (const toolCall of reply.toolCalls) {
+        const result = await this.executeToolCall(toolCall, mcpManager, userId, { platform, chatId, disabledIntegrations });
+        results.push(result);
+
+        const output = result.success ? JSON.stringify(result.result) : `Error: ${result.error}`;
+        messages.push({
+          role: 'tool',
+          toolCallId: toolCall.id,
+          name: toolCall.name,
+          content: output.substring(0, this.maxToolResultLength)
         });
       }
+
+      // Anything after a write would be planned on a result that doesn't exist yet
+      if (results.some(result => result.pending)) {
+        break;
+      }
+
+      if (step === this.maxToolSteps - 1) {
+        logger.warn(`Tool loop for user ${userId} stopped after ${this.maxToolSteps} steps`);
+      }
     }
 
     return results;
   }
 
+  async executeToolCall(toolCall, mcpManager, userId, options = {}) {
+    let action;
+    try {
+      action = mcpManager.toolCallToAction(toolCall);
+
+      const validation = await mcpManager.validateAction(action);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      // The model only saw enabled tools, but may still name a disabled one
+      if ((options.disabledIntegrations || []).includes(action.type)) {
+        throw new Error(`${action.type} is turned off in the user's /settings`);
+      }
+
+      // Writes only run after the user approves the exact payload
+      if (mcpManager.isWriteOperation(action.type, action.operation)) {
+        const pending = mcpManager.requestConfirmation(action, userId, options);
+        return {
+          action: `${action.type}.${action.operation}`,
+          parameters: action.parameters,
+          success: true,
+          pending: true,
+          pendingActionId: pending.id,
+          result: {
+            status: 'awaiting_confirmation',
+            pendingActionId: pending.id,
+            note: 'Not executed yet. The user has been asked to approve, edit or cancel this exact payload.'
+          }
+        };
+      }
+
+      const result = await mcpManager.executeAction(action, userId, options);
+      return {
+        action: `${action.type}.${action.operation}`,
+        parameters: action.parameters,
+        success: true,
+        result
+      };
+    } catch (error) {
+      logger.error(`Failed to execute tool ${toolCall.name}:`, error);
+      return {
+        action: action ? `${action.type}.${action.operation}` : toolCall.name,
+        parameters: toolCall.arguments,
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   async reflectOnProcess(thoughtProcess) {
     const reflection = {
       processQuality: 'good',
@@ -161,7 +241,11 @@ export class ThoughtChain {
       urls: message.match(/https?:\/\/[^\s]+/g) || [],
       mentions: message.match(/@\w+/g) || [],
       hashtags: message.match(/#\w+/g) || [],
-      numbers: message.match(/\d+/g) || []
+      numbers: message.match(/\d+/g) || [],
+      // Filed in the knowledge graph after the reply
+      repositories: [...message.matchAll(/github\.com\/([\w.-]+\/[\w.-]+)/g)].map(match => match[1].replace(/\.git$/, '')),
+      figmaFiles: [...message.matchAll(/figma\.com\/(?:file|design)\/([\w-]+)(?:\/([^\s?#]+))?/g)]
+        .map(([, key, slug]) => ({ key, name: slug ? slug.replace(/-/g, ' ') : key }))
     };
 
     return entities;
@@ -210,133 +294,6 @@ export class ThoughtChain {
     return 'low';
   }
 
-  async identifyMCPActions(message, mcpManager) {
-    const actions = [];
-
-    // Check for GitHub-related actions
-    if (/github|repository|repo|code|commit|pull request|pr/i.test(message)) {
-      actions.push({
-        type: 'github',
-        operation: this.detectGitHubOperation(message),
-        parameters: this.extractGitHubParameters(message)
-      });
-    }
-
-    // Check for Figma-related actions
-    if (/figma|design|prototype|component|frame/i.test(message)) {
-      actions.push({
-        type: 'figma',
-        operation: this.detectFigmaOperation(message),
-        parameters: this.extractFigmaParameters(message)
-      });
-    }
-
-    return actions;
-  }
-
-  detectGitHubOperation(message) {
-    if (/create.*issue|new.*issue|issue.*about/i.test(message)) return 'create_issue';
-    if (/list.*repo|show.*repo|my.*repo/i.test(message)) return 'list_repositories';
-    if (/list.*issue|show.*issue/i.test(message)) return 'list_issues';
-    if (/list.*commit|show.*commit/i.test(message)) return 'list_commits';
-    if (/pull.*request|pr/i.test(message)) return 'get_pull_requests';
-    if (/file.*content|show.*file|get.*file/i.test(message)) return 'get_file_content';
-    if (/search.*repo/i.test(message)) return 'search_repositories';
-    if (/user.*info|profile/i.test(message)) return 'get_user_info';
-    
-    // If message contains owner/repo pattern, get specific repository
-    if (/[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+/.test(message)) {
-      return 'get_repository';
-    }
-    
-    // Default to listing repositories for general GitHub queries
-    return 'list_repositories';
-  }
-
-  detectFigmaOperation(message) {
-    if (/create|new/i.test(message)) return 'create_component';
-    if (/list.*project|show.*project/i.test(message)) return 'list_team_projects';
-    if (/list.*file|show.*file/i.test(message)) return 'get_project_files';
-    if (/get.*file|file.*detail/i.test(message)) return 'get_file';
-    if (/node|component|frame/i.test(message)) return 'get_file_nodes';
-    if (/user.*info|profile/i.test(message)) return 'get_user_info';
-    
-    // Default to getting user info for general Figma queries
-    return 'get_user_info';
-  }
-
-  extractGitHubParameters(message) {
-    const params = {
-      repository: this.extractRepository(message),
-      branch: this.extractBranch(message),
-      file: this.extractFile(message),
-      title: this.extractIssueTitle(message),
-      body: this.extractIssueBody(message)
-    };
-
-    // If we have a repository, try to split it into owner/repo
-    if (params.repository && params.repository.includes('/')) {
-      const [owner, repo] = params.repository.split('/');
-      params.owner = owner;
-      params.repo = repo;
-    } else if (params.repository) {
-      // If only repo name is provided, assume current user is owner
-      params.repo = params.repository;
-      // We'll need to get the owner from GitHub user info
-    }
-
-    return params;
-  }
-
-  extractFigmaParameters(message) {
-    return {
-      fileId: this.extractFigmaFileId(message),
-      nodeId: this.extractFigmaNodeId(message)
-    };
-  }
-
-  extractRepository(message) {
-    // Look for patterns like "owner/repo", "repository owner/repo", or "my repository repo_name"
-    const repoMatch = message.match(/(?:repo|repository)\s+([^\s]+\/[^\s]+)/i) ||
-                     message.match(/([a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+)/) ||
-                     message.match(/(?:my\s+)?(?:repo|repository)\s+([a-zA-Z0-9_.-]+)/i);
-    return repoMatch ? repoMatch[1] : null;
-  }
-
-  extractIssueTitle(message) {
-    // Look for patterns like "about the 'title'" or "titled 'title'" or "issue 'title'"
-    const titleMatch = message.match(/(?:about|titled?|issue)\s+['""]([^'""]+)['""]/) ||
-                      message.match(/['""]([^'""]+)['""]/) ||
-                      message.match(/about\s+(.+?)(?:\s+in|\s+for|$)/i);
-    return titleMatch ? titleMatch[1].trim() : null;
-  }
-
-  extractIssueBody(message) {
-    // Look for additional context or description
-    const bodyMatch = message.match(/(?:description|details?|body):\s*(.+)/i);
-    return bodyMatch ? bodyMatch[1].trim() : null;
-  }
-
-  extractBranch(message) {
-    const branchMatch = message.match(/(?:branch)\s+([^\s]+)/i);
-    return branchMatch ? branchMatch[1] : 'main';
-  }
-
-  extractFile(message) {
-    const fileMatch = message.match(/(?:file)\s+([^\s]+)/i);
-    return fileMatch ? fileMatch[1] : null;
-  }
-
-  extractFigmaFileId(message) {
-    const figmaUrlMatch = message.match(/figma\.com\/file\/([^\/]+)/);
-    return figmaUrlMatch ? figmaUrlMatch[1] : null;
-  }
-
-  extractFigmaNodeId(message) {
-    const nodeMatch = message.match(/node-id=([^&\s]+)/);
-    return nodeMatch ? nodeMatch[1] : null;
-  }
-
   isQuestionAboutMemory(message) {
     return /remember|recall|what did|previous|before|earlier|last time/i.test(message);
   }
@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import { getDatabase, getDatabasePath } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+export const EXPORT_FORMAT = 'minibot-user-export';
+
+const EXPORT_VERSION = 1;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  return error;
+};
+
+// Everything kept about one user across memory, settings and MCP stores: exports it as an
+// archive, imports such an archive, and erases it with a receipt
+export class UserDataManager {
+  constructor(memoryManager, mcpManager, aiModelManager, userProfiles) {
+    this.memoryManager = memoryManager;
+    this.mcpManager = mcpManager;
+    this.aiModelManager = aiModelManager;
+    this.userProfiles = userProfiles;
+    this.dbPath = getDatabasePath();
+    this.db = null;
+  }
+
+  async initialize() {
+    try {
+      this.db = await getDatabase(this.dbPath);
+    } catch (error) {
+      // Deletions still happen; their receipts only go to the log
+      logger.error('Failed to open database for deletion receipts:', error);
+    }
+  }
+
+  async export(userId) {
+    const memory = await this.memoryManager.exportUserMemory(userId);
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      userId,
+      exportedAt: new Date().toISOString(),
+      // model is null when the user follows the server default
+      settings: this.userProfiles.get(userId),
+      shortTerm: memory.shortTerm,
+      longTerm: memory.longTerm,
+      rag: memory.rag,
+      graph: memory.graph,
+      actionHistory: await this.mcpManager.actionHistory.getByUser(userId),
+      // Which accounts are linked, never the tokens
+      connectedAccounts: await this.mcpManager.listUserAccounts(userId),
+      pendingActions: this.mcpManager.getPendingActions(userId)
+        .map(pending => this.mcpManager.pendingActions.serialize(pending))
+    };
+  }
+
+  toMarkdown(archive) {
+    const date = value => (value ? new Date(value).toISOString().replace('T', ' ').substring(0, 16) : 'unknown date');
+    const oneLine = (value, length = 300) => {
+      const text = String(typeof value === 'string' ? value : JSON.stringify(value)).replace(/\s+/g, ' ').trim();
+      return text.length > length ? `${text.substring(0, length)}...` : text;
+    };
+    const { settings = {} } = archive;
+
+    const facts = archive.longTerm.filter(memory => !['conversation', 'summary'].includes(memory.kind));
+    const summary = archive.longTerm.find(memory => memory.kind === 'summary');
+    const transcripts = archive.longTerm.filter(memory => memory.kind === 'conversation');
+
+    const sections = [
+      `# MiniBot data export\n\nUser ${archive.userId}, exported ${date(archive.exportedAt)} UTC. ` +
+        'The JSON file next to this one holds the same data and can be imported again.',
+
+      '## Settings\n\n' + [
+        `- Model: ${settings.model || 'default'}`,
+        `- Temperature: ${settings.temperature}`,
+        `- Language: ${settings.language}`,
+        `- Verbosity: ${settings.verbosity}`,
+        `- Disabled integrations: ${Object.keys(settings.integrations || {}).join(', ') || 'none'}`
+      ].join('\n'),
+
+      `## Recent conversation (${archive.shortTerm.length})\n\n` + (archive.shortTerm
+        .map(item => `- **${item.type === 'user_message' ? 'You' : 'MiniBot'}** (${date(item.timestamp)}): ${oneLine(item.content)}`)
+        .join('\n') || 'Nothing stored.'),
+
+      `## Remembered facts (${facts.length})\n\n` + (facts
+        .map(memory => `- [${memory.kind}] ${memory.content.text}${memory.content.due ? ` (due ${memory.content.due})` : ''}`)
+        .join('\n') || 'Nothing stored.'),
+
+      `## Earlier conversation summary\n\n${summary?.content.text || 'Nothing stored.'}`,
+
+      `## Remembered conversations (${transcripts.length})\n\n` + (transcripts
+        .map(memory => `- ${date(memory.timestamp)}: ${oneLine(memory.content.userMessage || memory.content)}`)
+        .join('\n') || 'Nothing stored.'),
+
+      `## Documents (${archive.rag.length})\n\n` + (archive.rag
+        .map(doc => {
+          const metadata = doc.metadata || {};
+          const title = [metadata.title || metadata.filename || metadata.url || metadata.type, metadata.section].filter(Boolean).join(' › ');
+          return `- **${title || 'Document'}** (${metadata.namespace}): ${oneLine(doc.content, 200)}`;
+        })
+        .join('\n') || 'Nothing stored.'),
+
+      `## Knowledge graph (${archive.graph?.relations?.length || 0} relations)\n\n` + ((archive.graph?.relations || [])
+        .map(relation => `- ${relation.from.name} (${relation.from.type}) ${relation.relation.replace(/_/g, ' ')} ${relation.to.name} (${relation.to.type})`)
+        .join('\n') || 'Nothing stored.'),
+
+      `## Action history (${archive.actionHistory.length})\n\n` + (archive.actionHistory
+        .map(entry => `- ${entry.success ? '✅' : '❌'} ${entry.serverType}.${entry.operation} (${date(entry.timestamp)}): ${oneLine(entry.parameters, 200)}`)
+        .join('\n') || 'Nothing stored.'),
+
+      `## Connected accounts (${archive.connectedAccounts.length})\n\n` + (archive.connectedAccounts
+        .map(account => `- ${account.serverType}: ${account.account || 'connected'}`)
+        .join('\n') || 'None.')
+    ];
+
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  // Adds an export's memories and settings to the user's own. The archive may come from
+  // another user id, e.g. the same person on another platform.
+  async import(userId, archive) {
+    if (archive?.format !== EXPORT_FORMAT) {
+      throw createError(`Not a MiniBot export (expected format "${EXPORT_FORMAT}")`, 400);
+    }
+    if (archive.version > EXPORT_VERSION) {
+      throw createError(`Export version ${archive.version} is newer than this server supports`, 400);
+    }
+
+    const list = value => (Array.isArray(value) ? value : []);
+    const imported = await this.memoryManager.importUserMemory(userId, {
+      shortTerm: list(archive.shortTerm),
+      longTerm: list(archive.longTerm),
+      rag: list(archive.rag),
+      graph: archive.graph || {}
+    });
+
+    const { model, temperature, language, verbosity, integrations } = archive.settings || {};
+    const changes = Object.fromEntries(
+      Object.entries({ temperature, language, verbosity, integrations }).filter(([, value]) => value !== undefined && value !== null)
+    );
+    if (Object.keys(changes).length > 0) {
+      try {
+        await this.userProfiles.update(userId, changes);
+      } catch (error) {
+        throw createError(`Invalid settings in export: ${error.message}`, 400);
+      }
+    }
+
+    // Models differ between servers; keep the current one if the exported model isn't offered here
+    const modelImported = !!model && this.aiModelManager.getAvailableModels().includes(model);
+    if (modelImported) {
+      await this.aiModelManager.setUserModel(userId, model);
+    }
+
+    return {
+      ...imported,
+      settings: Object.keys(changes).length > 0 || modelImported,
+      // The audit log records what ran on this server, and tokens are never exported
+      skipped: ['actionHistory', 'connectedAccounts', 'pendingActions']
+    };
+  }
+
+  async countUserData(userId) {
+    return {
+      ...await this.memoryManager.countUserMemory(userId),
+      actionHistory: (await this.mcpManager.actionHistory.getByUser(userId)).length,
+      connectedAccounts: (await this.mcpManager.listUserAccounts(userId)).length,
+      settings: this.userProfiles.has(userId) ? 1 : 0,
+      pendingActions: this.mcpManager.getPendingActions(userId).length
+    };
+  }
+
+  // Erases the user from every store, then counts again so the receipt reports what is
+  // actually left rather than what the deletes claimed
+  async forget(userId, { via = 'unknown' } = {}) {
+    const before = await this.countUserData(userId);
+
+    for (const pending of this.mcpManager.getPendingActions(userId)) {
+      this.mcpManager.cancelPendingAction(pending.id, userId);
+    }
+    await this.memoryManager.forgetUser(userId);
+    await this.mcpManager.actionHistory.deleteByUser(userId);
+    await this.mcpManager.deleteUserAccounts(userId);
+    await this.userProfiles.reset(userId);
+
+    const remaining = await this.countUserData(userId);
+    const receipt = {
+      id: crypto.randomUUID(),
+      subjectHash: crypto.createHash('sha256').update(String(userId)).digest('hex'),
+      requestedVia: via,
+      deleted: Object.fromEntries(Object.entries(before).map(([store, count]) => [store, count - remaining[store]])),
+      remaining,
+      verified: Object.values(remaining).every(count => count === 0),
+      completedAt: new Date().toISOString()
+    };
+
+    await this.saveReceipt(receipt);
+    logger.info(`Deletion receipt ${receipt.id} (${via}): deleted ${JSON.stringify(receipt.deleted)}, ` +
+      (receipt.verified ? 'verified' : `NOT verified, remaining ${JSON.stringify(remaining)}`));
+
+    return receipt;
+  }
+
+  async saveReceipt(receipt) {
+    if (!this.db) return;
+
+    try {
+      await this.db.run(`
+        INSERT INTO deletion_receipts (id, subject_hash, requested_via, deleted, remaining, verified, completed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        receipt.id,
+        receipt.subjectHash,
+        receipt.requestedVia,
+        JSON.stringify(receipt.deleted),
+        JSON.stringify(receipt.remaining),
+        receipt.verified ? 1 : 0,
+        receipt.completedAt
+      ]);
+    } catch (error) {
+      logger.error('Error storing deletion receipt:', error);
+    }
+  }
+}
@@ -0,0 +1,173 @@
+import { getDatabase, getDatabasePath } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+export const VERBOSITY_LEVELS = ['concise', 'normal', 'detailed'];
+
+const DEFAULT_PROFILE = {
+  model: null, // null follows DEFAULT_MODEL
+  temperature: 0.7,
+  language: 'auto',
+  verbosity: 'normal',
+  integrations: {} // server type -> false when the user turned it off
+};
+
+const SETTINGS = Object.keys(DEFAULT_PROFILE);
+
+// Per-user preferences. All profiles are cached in memory because model lookups are synchronous;
+// every change is written through to SQLite so it survives restarts.
+export class UserProfileStore {
+  constructor() {
+    this.db = null;
+    this.dbPath = getDatabasePath();
+    this.profiles = new Map(); // userId -> profile
+  }
+
+  async initialize() {
+    try {
+      this.db = await getDatabase(this.dbPath);
+      await this.loadProfiles();
+      logger.info(`User profiles initialized (${this.profiles.size} stored)`);
+    } catch (error) {
+      // Preferences still work for the lifetime of the process
+      logger.error('Failed to initialize user profiles, keeping them in memory only:', error);
+      this.db = null;
+    }
+  }
+
+  async loadProfiles() {
+    const rows = await this.db.all('SELECT * FROM user_profiles');
+
+    for (const row of rows) {
+      this.profiles.set(row.user_id, {
+        model: row.model,
+        temperature: row.temperature ?? DEFAULT_PROFILE.temperature,
+        language: row.language || DEFAULT_PROFILE.language,
+        verbosity: row.verbosity || DEFAULT_PROFILE.verbosity,
+        integrations: JSON.parse(row.integrations || '{}')
+      });
+    }
+  }
+
+  get(userId) {
+    return {
+      ...DEFAULT_PROFILE,
+      ...this.profiles.get(userId),
+      integrations: { ...(this.profiles.get(userId)?.integrations || {}) }
+    };
+  }
+
+  // Whether the user changed anything from the defaults
+  has(userId) {
+    return this.profiles.has(userId);
+  }
+
+  async update(userId, changes) {
+    const profile = { ...this.get(userId), ...this.validate(changes) };
+    this.profiles.set(userId, profile);
+    await this.persist(userId, profile);
+    return profile;
+  }
+
+  async reset(userId) {
+    this.profiles.delete(userId);
+
+    if (this.db) {
+      try {
+        await this.db.run('DELETE FROM user_profiles WHERE user_id = ?', [userId]);
+      } catch (error) {
+        logger.error('Error deleting user profile:', error);
+      }
+    }
+  }
+
+  async setIntegration(userId, serverType, enabled) {
+    const integrations = { ...this.get(userId).integrations };
+    if (enabled) {
+      delete integrations[serverType];
+    } else {
+      integrations[serverType] = false;
+    }
+    return await this.update(userId, { integrations });
+  }
+
+  isIntegrationEnabled(userId, serverType) {
+    return this.get(userId).integrations[serverType] !== false;
+  }
+
+  getDisabledIntegrations(userId) {
+    return Object.entries(this.get(userId).integrations)
+      .filter(([, enabled]) => enabled === false)
+      .map(([serverType]) => serverType);
+  }
+
+  // Field names can come from callback data or an uploaded export, so anything unknown is refused
+  validate(changes) {
+    const unknown = Object.keys(changes).filter(key => !SETTINGS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown setting: ${unknown.join(', ')}`);
+    }
+
+    const valid = { ...changes };
+
+    if (valid.model !== undefined && valid.model !== null && typeof valid.model !== 'string') {
+      throw new Error('Model must be a model name');
+    }
+
+    if (valid.temperature !== undefined) {
+      const temperature = Number(valid.temperature);
+      if (Number.isNaN(temperature) || temperature < 0 || temperature > 2) {
+        throw new Error('Temperature must be between 0 and 2');
+      }
+      valid.temperature = temperature;
+    }
+
+    if (valid.verbosity !== undefined && !VERBOSITY_LEVELS.includes(valid.verbosity)) {
+      throw new Error(`Verbosity must be one of: ${VERBOSITY_LEVELS.join(', ')}`);
+    }
+
+    if (valid.language !== undefined) {
+      valid.language = String(valid.language).trim().substring(0, 40) || DEFAULT_PROFILE.language;
+    }
+
+    if (valid.integrations !== undefined) {
+      const { integrations } = valid;
+      if (!integrations || typeof integrations !== 'object' || Array.isArray(integrations) ||
+        Object.values(integrations).some(enabled => enabled !== false)) {
+        throw new Error('Integrations must map server types to false');
+      }
+      valid.integrations = { ...integrations };
+    }
+
+    return valid;
+  }
+
+  async persist(userId, profile) {
+    if (!this.db) return;
+
+    try {
+      const now = new Date().toISOString();
+      await this.db.run(`
+        INSERT INTO user_profiles (user_id, model, temperature, language, verbosity, integrations, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (user_id) DO UPDATE SET
+          model = excluded.model,
+          temperature = excluded.temperature,
+          language = excluded.language,
+          verbosity = excluded.verbosity,
+          integrations = excluded.integrations,
+          updated_at = excluded.updated_at
+      `, [
+        userId,
+        profile.model,
+        profile.temperature,
+        profile.language,
+        profile.verbosity,
+        JSON.stringify(profile.integrations),
+        now,
+        now
+      ]);
+    } catch (error) {
+      logger.error('Error saving user profile:', error);
+    }
+  }
+}
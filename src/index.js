@@ -3,10 +3,17 @@ import express from 'express';
 import { MiniBotCore } from './core/MiniBotCore.js';
 import { TelegramHandler } from './messaging/TelegramHandler.js';
 import { WhatsAppHandler } from './messaging/WhatsAppHandler.js';
+import { requireAdmin } from './utils/adminAuth.js';
 import { logger } from './utils/logger.js';
 
 dotenv.config();
 
+// The API can't verify the userId in a request, so it never speaks for a messaging platform's
+// user: its ids are prefixed, which keeps memory, documents and pending actions apart, and
+// linked accounts stay out of reach
+const API_PLATFORM = 'api';
+const apiUserId = userId => `${API_PLATFORM}:${userId}`;
+
 class MiniBotApp {
   constructor() {
     this.app = express();
@@ -44,6 +51,10 @@ class MiniBotApp {
   }
 
   setupRoutes() {
+    // Documents arrive base64-encoded, so they get a bigger body limit than everything else
+    this.app.use('/documents', express.json({ limit: process.env.DOCUMENTS_BODY_LIMIT || '15mb' }));
+    // So are imported exports, which carry the user's documents
+    this.app.use('/users/:id/import', express.json({ limit: process.env.DOCUMENTS_BODY_LIMIT || '15mb' }));
     this.app.use(express.json());
     
     this.app.get('/health', (req, res) => {
@@ -55,11 +66,166 @@ class MiniBotApp {
       res.json(status);
     });
 
+    // The audit log spans every user, so it is an admin endpoint like the user data routes
+    this.app.get('/actions', requireAdmin, async (req, res) => {
+      try {
+        const { userId, platform, server, operation, success, q, since, until, limit, offset } = req.query;
+        const actions = await this.core.mcpManager.searchActionHistory(userId, q, {
+          platform,
+          serverType: server,
+          operation,
+          success: success === undefined ? undefined : success === 'true',
+          since,
+          until,
+          limit: parseInt(limit) || 50,
+          offset: parseInt(offset) || 0
+        });
+        res.json({ actions });
+      } catch (error) {
+        logger.error('Actions API error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Write operations proposed in /chat wait here until the client approves them
+    this.app.get('/actions/pending', (req, res) => {
+      const pendingActions = this.core.getPendingActions(apiUserId(req.query.userId), API_PLATFORM)
+        .map(pending => this.core.serializePendingAction(pending));
+      res.json({ pendingActions });
+    });
+
+    this.app.post('/actions/pending/:id/approve', async (req, res) => {
+      try {
+        const { pending, result, message } = await this.core.approvePendingAction(req.params.id, apiUserId(req.body.userId), API_PLATFORM);
+        res.json({ pendingAction: this.core.serializePendingAction(pending), result, message });
+      } catch (error) {
+        this.sendPendingActionError(res, error);
+      }
+    });
+
+    this.app.post('/actions/pending/:id/cancel', (req, res) => {
+      try {
+        const pending = this.core.cancelPendingAction(req.params.id, apiUserId(req.body.userId), API_PLATFORM);
+        res.json({ pendingAction: this.core.serializePendingAction(pending) });
+      } catch (error) {
+        this.sendPendingActionError(res, error);
+      }
+    });
+
+    this.app.patch('/actions/pending/:id', (req, res) => {
+      try {
+        const pending = this.core.updatePendingAction(req.params.id, apiUserId(req.body.userId), req.body.parameters, API_PLATFORM);
+        res.json({ pendingAction: this.core.serializePendingAction(pending) });
+      } catch (error) {
+        this.sendPendingActionError(res, error);
+      }
+    });
+
+    // Index a file (content or contentBase64 + filename), a web page (url) or a GitHub repository.
+    // namespace is "user" (default), "chat" (with chatId), "workspace:<id>" or "global".
+    // The body names whose namespace to write, so only an admin may call it
+    this.app.post('/documents', requireAdmin, async (req, res) => {
+      try {
+        const { userId, chatId, namespace, filename, mimeType, content, contentBase64, url, repository, ref, path, metadata = {} } = req.body;
+        const ingestor = this.core.documentIngestor;
+        let result;
+
+        if (repository) {
+          const [owner, repo] = repository.split('/');
+          if (!owner || !repo) {
+            res.status(400).json({ error: 'repository must look like owner/repo' });
+            return;
+          }
+          result = await ingestor.ingestGitHubRepository({ owner, repo, ref, pathPrefix: path, userId, chatId, namespace, platform: API_PLATFORM });
+        } else if (url) {
+          result = await ingestor.ingestUrl(url, { userId, chatId, namespace, metadata });
+        } else if ((content || contentBase64) && filename) {
+          const buffer = contentBase64 ? Buffer.from(contentBase64, 'base64') : Buffer.from(content, 'utf8');
+          result = await ingestor.ingestFile({ buffer, filename, mimeType, source: 'api', userId, chatId, namespace, metadata });
+        } else {
+          res.status(400).json({ error: 'Send content or contentBase64 with a filename, a url, or a repository' });
+          return;
+        }
+
+        res.status(201).json(result);
+      } catch (error) {
+        if (error.expose) {
+          res.status(error.status).json({ error: error.message });
+          return;
+        }
+
+        logger.error('Document ingestion error:', error);
+        res.status(502).json({ error: error.message });
+      }
+    });
+
+    // Everything stored about a user as JSON, or ?format=markdown for a readable copy
+    this.app.get('/users/:id/export', requireAdmin, async (req, res) => {
+      try {
+        const archive = await this.core.exportUserData(req.params.id);
+        const filename = `minibot-export-${req.params.id}-${archive.exportedAt.split('T')[0]}`;
+
+        if (req.query.format === 'markdown') {
+          res.attachment(`${filename}.md`).type('text/markdown').send(this.core.formatUserDataExport(archive));
+          return;
+        }
+        res.attachment(`${filename}.json`).json(archive);
+      } catch (error) {
+        logger.error('User export error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // The body is a JSON export, of this user or of the same person under another id
+    this.app.post('/users/:id/import', requireAdmin, async (req, res) => {
+      try {
+        res.json(await this.core.importUserData(req.params.id, req.body));
+      } catch (error) {
+        if (error.expose) {
+          res.status(error.status).json({ error: error.message });
+          return;
+        }
+
+        logger.error('User import error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Erases the user from every store. Repeating the id as ?confirm= guards against typos.
+    this.app.delete('/users/:id', requireAdmin, async (req, res) => {
+      if (req.query.confirm !== req.params.id) {
+        res.status(400).json({ error: 'Repeat the user id as ?confirm=<id> to delete all of their data' });
+        return;
+      }
+
+      try {
+        const receipt = await this.core.forgetUser(req.params.id, { via: 'api' });
+        res.json({ receipt });
+      } catch (error) {
+        logger.error('User deletion error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
     this.app.post('/chat', async (req, res) => {
+      if (!req.body.userId) {
+        res.status(400).json({ error: 'userId is required' });
+        return;
+      }
+
+      const wantsStream = req.body.stream === true ||
+        (req.headers.accept || '').includes('text/event-stream');
+
+      if (wantsStream) {
+        await this.handleChatStream(req, res);
+        return;
+      }
+
       try {
-        const { message, userId, platform = 'api' } = req.body;
-        const response = await this.core.processMessage(message, userId, platform);
-        res.json({ response });
+        const { message } = req.body;
+        const userId = apiUserId(req.body.userId);
+        const { response, sources } = await this.core.processMessage(message, userId, API_PLATFORM);
+        res.json({ response, sources, pendingActions: this.takePendingActions(userId) });
       } catch (error) {
         logger.error('Chat API error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -67,6 +233,69 @@ class MiniBotApp {
     });
   }
 
+  takePendingActions(userId) {
+    return this.core.takeNewPendingActions(userId, API_PLATFORM)
+      .map(pending => this.core.serializePendingAction(pending));
+  }
+
+  sendPendingActionError(res, error) {
+    if (error.expose) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+
+    // The action itself failed upstream (GitHub, Figma, ...)
+    logger.error('Pending action error:', error);
+    res.status(502).json({ error: error.message });
+  }
+
+  async handleChatStream(req, res) {
+    const { message } = req.body;
+    const userId = apiUserId(req.body.userId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    let clientClosed = false;
+    res.on('close', () => {
+      clientClosed = true;
+    });
+
+    const stream = this.core.processMessageStream(message, userId, API_PLATFORM);
+    try {
+      // Iterated by hand, since for await drops the { response, sources } the stream returns
+      let step;
+      while (!(step = await stream.next()).done) {
+        // Closing the generator still stores the partial answer
+        if (clientClosed) {
+          await stream.return();
+          break;
+        }
+        res.write(`data: ${JSON.stringify({ token: step.value })}\n\n`);
+      }
+
+      if (!clientClosed) {
+        const { response, sources } = step.value;
+        res.write(`event: done\ndata: ${JSON.stringify({
+          response,
+          sources,
+          pendingActions: this.takePendingActions(userId)
+        })}\n\n`);
+      }
+    } catch (error) {
+      logger.error('Chat stream error:', error);
+      if (!clientClosed) {
+        res.write(`event: error\ndata: ${JSON.stringify({ error: 'Internal server error' })}\n\n`);
+      }
+    } finally {
+      res.end();
+    }
+  }
+
   async start() {
     await this.initialize();
     
@@ -80,4 +309,13 @@ const app = new MiniBotApp();
 app.start().catch(error => {
   logger.error('Failed to start MiniBot:', error);
   process.exit(1);
-});
\ No newline at end of file
+});
+
+// Stop external MCP server processes before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    logger.info(`Received ${signal}, shutting down`);
+    await app.core.shutdown();
+    process.exit(0);
+  });
+}
\ No newline at end of file
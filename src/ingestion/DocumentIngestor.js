@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import axios from 'axios';
+import { DocumentParser } from './DocumentParser.js';
+import { TextChunker } from './TextChunker.js';
+import { logger } from '../utils/logger.js';
+
+// Paths that are generated, vendored or otherwise noise for retrieval
+const IGNORED_REPO_PATHS = /(^|\/)(node_modules|vendor|dist|build|out|coverage|\.git|\.next|__pycache__|target)\//;
+const IGNORED_REPO_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|composer\.lock|Cargo\.lock|poetry\.lock)$|\.min\.(js|css)$/;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_URL_REDIRECTS = 5;
+
+// URLs to ingest come from users, so they must not reach the server's own network:
+// loopback, private, link-local (cloud metadata endpoints) and reserved ranges are refused.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges by BlockList itself.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  return error;
+};
+
+const isBlockedAddress = address =>
+  BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Checked when the socket connects rather than beforehand, so a DNS answer that changes
+// between a check and the request can't slip through
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isBlockedAddress)) {
+      callback(createError(`${hostname} resolves to a private or reserved address`, 400));
+      return;
+    }
+    callback(null, address, family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// Parses, chunks, dedupes and indexes documents into RAG memory
+export class DocumentIngestor {
+  constructor(ragMemory, mcpManager, namespaces) {
+    this.ragMemory = ragMemory;
+    this.mcpManager = mcpManager;
+    this.namespaces = namespaces;
+    this.parser = new DocumentParser();
+    this.chunker = new TextChunker();
+    this.maxFileBytes = (parseInt(process.env.INGEST_MAX_FILE_MB) || 10) * 1024 * 1024;
+    this.repoMaxFiles = parseInt(process.env.INGEST_REPO_MAX_FILES) || 100;
+    this.repoMaxFileBytes = 200 * 1024;
+    this.githubMaxRetries = parseInt(process.env.INGEST_GITHUB_MAX_RETRIES) || 5;
+  }
+
+  async ingestFile({ buffer, filename, mimeType = '', source = 'upload', sourceId, url, userId, chatId, namespace, metadata = {} }) {
+    const resolvedNamespace = this.namespaces.resolveWriteNamespace(namespace, { userId, chatId });
+    if (buffer.length > this.maxFileBytes) {
+      throw createError(`${filename} is larger than ${Math.round(this.maxFileBytes / 1024 / 1024)} MB`, 413);
+    }
+
+    const parsed = await this.parser.parse({ buffer, filename, mimeType });
+    return await this.index(parsed, {
+      filename,
+      mimeType,
+      source,
+      // Re-uploading a file with the same name replaces the earlier version
+      sourceId: sourceId || `${source}:${userId || 'anonymous'}:${filename}`,
+      url,
+      userId,
+      namespace: resolvedNamespace,
+      metadata
+    });
+  }
+
+  async ingestUrl(url, { userId, chatId, namespace, metadata = {} } = {}) {
+    const { response, parsedUrl } = await this.fetchUrl(url);
+
+    const mimeType = (response.headers['content-type'] || '').split(';')[0].trim();
+    const filename = path.basename(parsedUrl.pathname) || 'index.html';
+
+    return await this.ingestFile({
+      buffer: Buffer.from(response.data),
+      // Pages like /docs/intro have no extension, so fall back to the content type
+      filename: path.extname(filename) ? filename : `${filename}${mimeType === 'text/html' ? '.html' : ''}`,
+      mimeType,
+      source: 'url',
+      sourceId: `url:${url}`,
+      url,
+      userId,
+      chatId,
+      namespace,
+      metadata
+    });
+  }
+
+  // Follows redirects by hand so every hop gets the same checks as the URL the user sent
+  async fetchUrl(url) {
+    let parsedUrl = this.parseFetchableUrl(url);
+
+    for (let redirects = 0; ; redirects++) {
+      let response;
+      try {
+        response = await axios.get(parsedUrl.href, {
+          responseType: 'arraybuffer',
+          timeout: 30000,
+          maxContentLength: this.maxFileBytes,
+          maxRedirects: 0,
+          httpAgent,
+          httpsAgent,
+          validateStatus: status => status < 400,
+          headers: { 'User-Agent': 'MiniBot-AI/1.0' }
+        });
+      } catch (error) {
+        // Refusals from the lookup arrive wrapped in an AxiosError
+        throw error.cause?.expose ? error.cause : error;
+      }
+
+      if (!REDIRECT_STATUSES.includes(response.status)) {
+        return { response, parsedUrl };
+      }
+      if (redirects >= MAX_URL_REDIRECTS) {
+        throw createError(`${url} redirects more than ${MAX_URL_REDIRECTS} times`, 400);
+      }
+      if (!response.headers.location) {
+        throw createError(`${parsedUrl.href} redirects without a location`, 502);
+      }
+
+      parsedUrl = this.parseFetchableUrl(new URL(response.headers.location, parsedUrl).href);
+    }
+  }
+
+  parseFetchableUrl(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw createError(`Invalid URL: ${url}`, 400);
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw createError('Only http and https URLs can be ingested', 400);
+    }
+
+    // Sockets skip the lookup for IP literals, so those are checked here
+    const host = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host)) {
+      throw createError(`${parsedUrl.hostname} is a private or reserved address`, 400);
+    }
+
+    return parsedUrl;
+  }
+
+  async ingestGitHubRepository({ owner, repo, ref, pathPrefix, userId, platform, chatId, namespace }) {
+    const options = { platform, chatId };
+    // Checked before any GitHub calls so a refused namespace fails fast
+    const resolvedNamespace = this.namespaces.resolveWriteNamespace(namespace, { userId, chatId });
+    const listing = await this.callGitHub('list_repository_files', { owner, repo, ref, path_prefix: pathPrefix }, userId, options);
+
+    const candidates = listing.files.filter(file => this.shouldIngestRepoFile(file));
+    // Docs first: they explain the code better than any single source file
+    candidates.sort((a, b) => this.getRepoFilePriority(a.path) - this.getRepoFilePriority(b.path));
+    const files = candidates.slice(0, this.repoMaxFiles);
+
+    const summary = {
+      repository: `${owner}/${repo}`,
+      ref: listing.ref,
+      indexed: 0,
+      updated: 0,
+      duplicates: 0,
+      chunks: 0,
+      skipped: listing.files.length - files.length,
+      failed: []
+    };
+
+    logger.info(`Ingesting ${files.length} files from ${owner}/${repo}@${listing.ref}`);
+
+    for (const file of files) {
+      try {
+        const content = await this.callGitHub('get_file_content', { owner, repo, path: file.path, ref: listing.ref }, userId, options);
+        const result = await this.ingestFile({
+          buffer: Buffer.from(content.content, 'utf8'),
+          filename: file.path,
+          source: 'github',
+          sourceId: `github:${owner}/${repo}/${file.path}`,
+          url: content.html_url,
+          userId,
+          chatId,
+          namespace: resolvedNamespace,
+          metadata: { repository: `${owner}/${repo}`, ref: listing.ref, path: file.path }
+        });
+
+        summary[result.status === 'duplicate' ? 'duplicates' : result.status]++;
+        summary.chunks += result.chunks;
+      } catch (error) {
+        logger.warn(`Skipping ${owner}/${repo}/${file.path}:`, error.message);
+        summary.failed.push({ path: file.path, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  // Large repositories run into the MCP rate limit, so wait for a token a few times before giving up
+  async callGitHub(operation, parameters, userId, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.mcpManager.executeAction({ type: 'github', operation, parameters }, userId, options);
+      } catch (error) {
+        if (!error.rateLimited || attempt >= this.githubMaxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, Math.min(error.retryAfterMs || 1000, 60000)));
+      }
+    }
+  }
+
+  shouldIngestRepoFile(file) {
+    return file.size > 0 &&
+      file.size <= this.repoMaxFileBytes &&
+      !IGNORED_REPO_PATHS.test(file.path) &&
+      !IGNORED_REPO_FILES.test(file.path) &&
+      // PDFs don't survive the text decoding of the contents API
+      !['pdf', null].includes(this.parser.detectFormat(file.path));
+  }
+
+  getRepoFilePriority(filePath) {
+    const format = this.parser.detectFormat(filePath);
+    if (/(^|\/)readme/i.test(filePath)) return 0;
+    if (format === 'markdown' || format === 'text') return 1;
+    return 2;
+  }
+
+  async index(parsed, { filename, mimeType, source, sourceId, url, userId, namespace, metadata }) {
+    if (!parsed.text) {
+      throw createError(`No text could be extracted from ${filename}`, 422);
+    }
+
+    const contentHash = crypto.createHash('sha256').update(parsed.text).digest('hex');
+    const documentId = contentHash.substring(0, 16);
+
+    // Dedupe within the namespace only - a copy someone else owns isn't visible to this caller
+    const duplicate = this.ragMemory.findDocuments({ contentHash, namespace })[0];
+    if (duplicate) {
+      logger.info(`Skipping ${filename}: same content as ${duplicate.metadata.sourceId}`);
+      return { status: 'duplicate', documentId, title: parsed.title, chunks: 0, sourceId, duplicateOf: duplicate.metadata.sourceId };
+    }
+
+    const previous = this.ragMemory.findDocuments({ sourceId, namespace });
+    const chunks = this.chunker.chunk(parsed.text, parsed.format);
+    const ingestedAt = new Date().toISOString();
+
+    const ids = await this.ragMemory.addBulkDocuments(chunks.map(chunk => ({
+      content: chunk.content,
+      metadata: {
+        ...metadata,
+        type: 'document',
+        documentId,
+        contentHash,
+        source,
+        sourceId,
+        title: parsed.title,
+        filename,
+        format: parsed.format,
+        ...(mimeType && { mimeType }),
+        ...(url && { url }),
+        ...(parsed.pages && { pages: parsed.pages }),
+        ...(parsed.language && { language: parsed.language }),
+        ...(chunk.section && { section: chunk.section }),
+        chunkIndex: chunk.index,
+        chunkCount: chunks.length,
+        ...(userId && { userId }),
+        namespace,
+        ingestedAt
+      }
+    })));
+
+    // Only drop the old version once the new one is safely indexed
+    if (previous.length > 0) {
+      await this.ragMemory.deleteDocuments(previous.map(doc => doc.id));
+    }
+
+    logger.info(`Indexed ${filename} as ${ids.length} chunks (${sourceId})`);
+    return {
+      status: previous.length > 0 ? 'updated' : 'indexed',
+      documentId,
+      title: parsed.title,
+      format: parsed.format,
+      chunks: ids.length,
+      sourceId,
+      namespace
+    };
+  }
+}
@@ -0,0 +1,127 @@
+import path from 'path';
+// The package entry point runs a self-test when imported as main, so load the library directly
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.mdx', '.rst'];
+const HTML_EXTENSIONS = ['.html', '.htm', '.xhtml'];
+const TEXT_EXTENSIONS = ['.txt', '.text', '.log', '.csv', ''];
+const SOURCE_EXTENSIONS = [
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.swift',
+  '.scala', '.c', '.h', '.cpp', '.hpp', '.cc', '.cs', '.php', '.sh', '.bash', '.ps1', '.sql', '.css',
+  '.scss', '.vue', '.svelte', '.json', '.yaml', '.yml', '.toml', '.ini', '.xml', '.graphql', '.proto',
+  '.dockerfile', '.tf', '.lua', '.r', '.dart', '.ex', '.exs', '.erl', '.hs', '.clj', '.m', '.pl'
+];
+const SOURCE_FILENAMES = ['dockerfile', 'makefile', 'gemfile', 'procfile', 'rakefile'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Turns an uploaded file into plain text plus the format the chunker should split it by
+export class DocumentParser {
+  detectFormat(filename = '', mimeType = '') {
+    const extension = path.extname(filename).toLowerCase();
+    const basename = path.basename(filename).toLowerCase();
+
+    if (mimeType === 'application/pdf' || extension === '.pdf') return 'pdf';
+    if (mimeType === 'text/html' || HTML_EXTENSIONS.includes(extension)) return 'html';
+    if (mimeType === 'text/markdown' || MARKDOWN_EXTENSIONS.includes(extension)) return 'markdown';
+    if (SOURCE_EXTENSIONS.includes(extension) || SOURCE_FILENAMES.includes(basename)) return 'source';
+    if (mimeType.startsWith('text/') || TEXT_EXTENSIONS.includes(extension)) return 'text';
+
+    return null;
+  }
+
+  isSupported(filename, mimeType) {
+    return this.detectFormat(filename, mimeType) !== null;
+  }
+
+  async parse({ buffer, filename = 'document.txt', mimeType = '' }) {
+    const format = this.detectFormat(filename, mimeType);
+    if (!format) {
+      const error = new Error(`Unsupported file type: ${filename}. Send Markdown, text, HTML, PDF or source files.`);
+      error.status = 415;
+      error.expose = true;
+      throw error;
+    }
+
+    if (format === 'pdf') {
+      let pdf;
+      try {
+        // pdf.js reads the underlying ArrayBuffer from offset 0, which breaks on pooled Node buffers
+        pdf = await pdfParse(new Uint8Array(buffer));
+      } catch (error) {
+        const readError = new Error(`Could not read ${filename}: ${error.message}`);
+        readError.status = 422;
+        readError.expose = true;
+        throw readError;
+      }
+
+      return {
+        format,
+        text: this.normalize(pdf.text),
+        title: pdf.info?.Title || path.basename(filename),
+        pages: pdf.numpages
+      };
+    }
+
+    const raw = buffer.toString('utf8');
+    if (raw.includes('\u0000')) {
+      const error = new Error(`${filename} looks like a binary file`);
+      error.status = 415;
+      error.expose = true;
+      throw error;
+    }
+
+    if (format === 'html') {
+      const title = raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+      return {
+        // Headings become Markdown so the chunker can split on them
+        format: 'markdown',
+        text: this.normalize(this.htmlToText(raw)),
+        title: title ? this.decodeEntities(title.trim()) : path.basename(filename)
+      };
+    }
+
+    return {
+      format,
+      text: this.normalize(raw),
+      title: format === 'markdown'
+        ? raw.match(/^#\s+(.+)$/m)?.[1]?.trim() || path.basename(filename)
+        : path.basename(filename),
+      language: format === 'source' ? path.extname(filename).substring(1) || path.basename(filename) : undefined
+    };
+  }
+
+  htmlToText(html) {
+    const text = html
+      .replace(/<(script|style|noscript|svg|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) =>
+        `\n\n${'#'.repeat(Number(level))} ${content.replace(/<[^>]+>/g, '').trim()}\n\n`)
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<(br|hr)\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|section|article|li|tr|pre|blockquote|table|ul|ol)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '');
+
+    return this.decodeEntities(text);
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1));
+        // Out of range or a lone surrogate would make fromCodePoint throw or emit broken text
+        const valid = !Number.isNaN(code) && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+        return valid ? String.fromCodePoint(code) : match;
+      }
+      return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+  }
+
+  normalize(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
@@ -0,0 +1,162 @@
+// Splits documents along their structure first - Markdown headings, paragraphs, top-level
+// code blocks - and only then by size, carrying a little overlap from one chunk to the next
+export class TextChunker {
+  constructor({
+    chunkSize = parseInt(process.env.INGEST_CHUNK_SIZE) || 1500,
+    overlap = parseInt(process.env.INGEST_CHUNK_OVERLAP) || 200
+  } = {}) {
+    this.chunkSize = chunkSize;
+    this.overlap = Math.min(overlap, Math.floor(chunkSize / 2));
+  }
+
+  chunk(text, format = 'text') {
+    const sections = format === 'markdown'
+      ? this.splitMarkdown(text)
+      : [{ section: null, units: format === 'source' ? this.splitSource(text) : this.splitParagraphs(text) }];
+
+    const chunks = sections.flatMap(({ section, units }) => this.pack(units, section));
+    return chunks.map((chunk, index) => ({ ...chunk, index }));
+  }
+
+  splitMarkdown(text) {
+    const sections = [];
+    const headings = [];
+    let current = { section: null, lines: [] };
+    let inFence = false;
+
+    for (const line of text.split('\n')) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      }
+
+      const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        // A heading directly followed by a subheading travels with it instead of becoming its own chunk
+        const hasBody = current.lines.slice(current.section ? 1 : 0).some(existing => existing.trim());
+        const carried = hasBody ? [] : current.lines.filter(existing => existing.trim());
+        if (hasBody) {
+          sections.push(current);
+        }
+
+        const level = heading[1].length;
+        headings.splice(level - 1);
+        headings[level - 1] = heading[2];
+        current = { section: headings.filter(Boolean).join(' > '), lines: [...carried, line] };
+      } else {
+        current.lines.push(line);
+      }
+    }
+
+    if (current.lines.join('').trim()) {
+      sections.push(current);
+    }
+
+    return sections.map(({ section, lines }) => ({ section, units: this.splitParagraphs(lines.join('\n')) }));
+  }
+
+  // Blank lines separate paragraphs, except inside fenced code
+  splitParagraphs(text) {
+    const units = [];
+    let current = [];
+    let inFence = false;
+
+    for (const line of text.split('\n')) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      }
+
+      if (!inFence && line.trim() === '') {
+        if (current.length > 0) units.push(current.join('\n'));
+        current = [];
+      } else {
+        current.push(line);
+      }
+    }
+
+    if (current.length > 0) units.push(current.join('\n'));
+    return units;
+  }
+
+  // A new block starts at an unindented line after a blank one - usually a top-level declaration
+  splitSource(text) {
+    const units = [];
+    let current = [];
+    let previousBlank = false;
+
+    for (const line of text.split('\n')) {
+      const startsBlock = previousBlank && /^[^\s})\]]/.test(line);
+      if (startsBlock && current.some(existing => existing.trim())) {
+        units.push(current.join('\n').trim());
+        current = [];
+      }
+
+      current.push(line);
+      previousBlank = line.trim() === '';
+    }
+
+    if (current.some(line => line.trim())) units.push(current.join('\n').trim());
+    return units;
+  }
+
+  pack(units, section) {
+    const chunks = [];
+    let current = '';
+
+    const pieces = units.flatMap(unit => unit.length > this.chunkSize ? this.splitLong(unit) : [unit]);
+
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > this.chunkSize) {
+        chunks.push({ content: current.trim(), section });
+        const overlap = this.getOverlap(current);
+        current = overlap ? `${overlap}\n\n${piece}` : piece;
+      } else {
+        current = current ? `${current}\n\n${piece}` : piece;
+      }
+    }
+
+    if (current.trim()) {
+      chunks.push({ content: current.trim(), section });
+    }
+
+    return chunks;
+  }
+
+  // Lines, then sentences, then a hard cut for anything still too long
+  splitLong(unit) {
+    const pieces = [];
+    let current = '';
+
+    const parts = unit.split('\n').flatMap(line => {
+      if (line.length <= this.chunkSize) return [line];
+      const sentences = line.match(/[^.!?]+[.!?]+(\s+|$)|[^.!?]+$/g) || [line];
+      return sentences.flatMap(sentence => {
+        const slices = [];
+        for (let i = 0; i < sentence.length; i += this.chunkSize) {
+          slices.push(sentence.substring(i, i + this.chunkSize));
+        }
+        return slices;
+      });
+    });
+
+    for (const part of parts) {
+      if (current && current.length + part.length + 1 > this.chunkSize) {
+        pieces.push(current);
+        current = part;
+      } else {
+        current = current ? `${current}\n${part}` : part;
+      }
+    }
+
+    if (current) pieces.push(current);
+    return pieces;
+  }
+
+  getOverlap(text) {
+    if (this.overlap <= 0) return '';
+
+    // Start at a word boundary so the overlap doesn't begin mid-word
+    const tail = text.slice(-this.overlap);
+    const boundary = tail.search(/\s/);
+    return (boundary >= 0 ? tail.substring(boundary + 1) : tail).trim();
+  }
+}
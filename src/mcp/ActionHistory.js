@@ -0,0 +1,209 @@
+import { getDatabase, getDatabasePath } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+// Audit log of every MCP action the bot executed, successful or not
+export class ActionHistory {
+  constructor() {
+    this.db = null;
+    this.dbPath = getDatabasePath();
+    this.maxSummaryLength = parseInt(process.env.ACTION_HISTORY_SUMMARY_LENGTH) || 500;
+  }
+
+  async initialize() {
+    try {
+      this.db = await getDatabase(this.dbPath);
+      logger.info('Action history initialized with SQLite database');
+    } catch (error) {
+      logger.error('Failed to initialize action history:', error);
+      throw error;
+    }
+  }
+
+  async record(entry) {
+    if (!this.db) return null;
+
+    try {
+      const {
+        userId,
+        platform,
+        serverType,
+        operation,
+        parameters = {},
+        success,
+        result,
+        error,
+        latencyMs
+      } = entry;
+
+      const query = `
+        INSERT INTO action_history
+          (user_id, platform, server_type, operation, parameters, success, result_summary, error, latency_ms, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const response = await this.db.run(query, [
+        userId || null,
+        platform || null,
+        serverType,
+        operation,
+        JSON.stringify(parameters),
+        success ? 1 : 0,
+        success ? this.summarizeResult(result) : null,
+        error || null,
+        latencyMs ?? null,
+        new Date().toISOString()
+      ]);
+
+      return response?.lastID || null;
+    } catch (error) {
+      // Losing an audit row must never fail the action itself
+      logger.error('Error recording action history:', error);
+      return null;
+    }
+  }
+
+  summarizeResult(result) {
+    if (result === undefined || result === null) {
+      return null;
+    }
+
+    let summary;
+    if (Array.isArray(result)) {
+      summary = `${result.length} items: ${JSON.stringify(result)}`;
+    } else {
+      summary = typeof result === 'string' ? result : JSON.stringify(result);
+    }
+
+    return summary.length > this.maxSummaryLength ?
+      `${summary.substring(0, this.maxSummaryLength)}...` :
+      summary;
+  }
+
+  async search(filters = {}) {
+    if (!this.db) return [];
+
+    try {
+      const {
+        userId,
+        platform,
+        serverType,
+        operation,
+        success,
+        query,
+        since,
+        until,
+        limit = 20,
+        offset = 0
+      } = filters;
+
+      const conditions = [];
+      const params = [];
+
+      if (userId) {
+        conditions.push('user_id = ?');
+        params.push(userId);
+      }
+
+      if (platform) {
+        conditions.push('platform = ?');
+        params.push(platform);
+      }
+
+      if (serverType) {
+        conditions.push('server_type = ?');
+        params.push(serverType);
+      }
+
+      if (operation) {
+        conditions.push('operation = ?');
+        params.push(operation);
+      }
+
+      if (success !== undefined && success !== null) {
+        conditions.push('success = ?');
+        params.push(success ? 1 : 0);
+      }
+
+      if (query) {
+        conditions.push('(parameters LIKE ? OR result_summary LIKE ? OR error LIKE ?)');
+        const searchTerm = `%${query}%`;
+        params.push(searchTerm, searchTerm, searchTerm);
+      }
+
+      if (since) {
+        conditions.push('created_at >= ?');
+        params.push(new Date(since).toISOString());
+      }
+
+      if (until) {
+        conditions.push('created_at <= ?');
+        params.push(new Date(until).toISOString());
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = await this.db.all(
+        `SELECT * FROM action_history ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, Math.min(limit, 200), offset]
+      );
+
+      return rows.map(row => this.toEntry(row));
+    } catch (error) {
+      logger.error('Error searching action history:', error);
+      return [];
+    }
+  }
+
+  async getByUser(userId) {
+    if (!this.db) return [];
+
+    const rows = await this.db.all('SELECT * FROM action_history WHERE user_id = ? ORDER BY created_at', [userId]);
+    return rows.map(row => this.toEntry(row));
+  }
+
+  async deleteByUser(userId) {
+    if (!this.db) return 0;
+
+    const result = await this.db.run('DELETE FROM action_history WHERE user_id = ?', [userId]);
+    return result ? result.changes : 0;
+  }
+
+  toEntry(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      platform: row.platform,
+      serverType: row.server_type,
+      operation: row.operation,
+      parameters: JSON.parse(row.parameters || '{}'),
+      success: row.success === 1,
+      resultSummary: row.result_summary,
+      error: row.error,
+      latencyMs: row.latency_ms,
+      timestamp: new Date(row.created_at)
+    };
+  }
+
+  async getStatus() {
+    if (!this.db) {
+      return { type: 'action-history', enabled: false };
+    }
+
+    try {
+      const result = await this.db.get(`
+        SELECT COUNT(*) as total, SUM(1 - success) as failures, AVG(latency_ms) as avg_latency
+        FROM action_history
+      `);
+
+      return {
+        type: 'action-history',
+        enabled: true,
+        totalActions: result.total,
+        failedActions: result.failures || 0,
+        averageLatencyMs: Math.round(result.avg_latency || 0)
+      };
+    } catch (error) {
+      logger.error('Error getting action history status:', error);
+      return { type: 'action-history', error: error.message };
+    }
+  }
+}
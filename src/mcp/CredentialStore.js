@@ -0,0 +1,103 @@
+import { getDatabase, getDatabasePath } from '../utils/database.js';
+import { deriveKey, encryptSecret, decryptSecret } from '../utils/crypto.js';
+import { logger } from '../utils/logger.js';
+
+// MCP credentials per user or chat, encrypted with CREDENTIALS_MASTER_KEY
+export class CredentialStore {
+  constructor() {
+    this.db = null;
+    this.dbPath = getDatabasePath();
+    this.key = process.env.CREDENTIALS_MASTER_KEY ? deriveKey(process.env.CREDENTIALS_MASTER_KEY) : null;
+  }
+
+  async initialize() {
+    if (!this.key) {
+      logger.warn('CREDENTIALS_MASTER_KEY not set - users cannot connect MCP accounts');
+      return;
+    }
+
+    try {
+      this.db = await getDatabase(this.dbPath);
+      logger.info('Credential store initialized with SQLite database');
+    } catch (error) {
+      logger.error('Failed to initialize credential store:', error);
+      throw error;
+    }
+  }
+
+  isEnabled() {
+    return !!this.db;
+  }
+
+  ensureEnabled() {
+    if (!this.isEnabled()) {
+      throw new Error('Connecting accounts is disabled - the administrator must set CREDENTIALS_MASTER_KEY');
+    }
+  }
+
+  async set(ownerId, serverType, credentials, account = null) {
+    this.ensureEnabled();
+
+    const now = new Date().toISOString();
+    const secret = encryptSecret(JSON.stringify(credentials), this.key);
+
+    await this.db.run(`
+      INSERT INTO mcp_credentials (owner_id, server_type, secret, account, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (owner_id, server_type)
+      DO UPDATE SET secret = excluded.secret, account = excluded.account, updated_at = excluded.updated_at
+    `, [ownerId, serverType, secret, account, now, now]);
+
+    logger.info(`Stored ${serverType} credentials for ${ownerId}`);
+  }
+
+  async get(ownerId, serverType) {
+    if (!this.isEnabled()) return null;
+
+    const row = await this.db.get(
+      'SELECT secret FROM mcp_credentials WHERE owner_id = ? AND server_type = ?',
+      [ownerId, serverType]
+    );
+    if (!row) return null;
+
+    try {
+      return JSON.parse(decryptSecret(row.secret, this.key));
+    } catch (error) {
+      // Usually means the master key changed since the token was stored
+      logger.error(`Cannot decrypt ${serverType} credentials for ${ownerId}:`, error.message);
+      return null;
+    }
+  }
+
+  async delete(ownerId, serverType) {
+    this.ensureEnabled();
+
+    const result = await this.db.run(
+      'DELETE FROM mcp_credentials WHERE owner_id = ? AND server_type = ?',
+      [ownerId, serverType]
+    );
+    return result ? result.changes > 0 : false;
+  }
+
+  async deleteOwner(ownerId) {
+    if (!this.isEnabled()) return 0;
+
+    const result = await this.db.run('DELETE FROM mcp_credentials WHERE owner_id = ?', [ownerId]);
+    return result ? result.changes : 0;
+  }
+
+  async list(ownerId) {
+    if (!this.isEnabled()) return [];
+
+    const rows = await this.db.all(
+      'SELECT server_type, account, updated_at FROM mcp_credentials WHERE owner_id = ? ORDER BY server_type',
+      [ownerId]
+    );
+
+    return rows.map(row => ({
+      serverType: row.server_type,
+      account: row.account,
+      updatedAt: new Date(row.updated_at)
+    }));
+  }
+}
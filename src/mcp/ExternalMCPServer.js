@@ -0,0 +1,161 @@
+import { MCPClient } from './MCPClient.js';
+import { StdioTransport } from './transports/StdioTransport.js';
+import { HttpTransport } from './transports/HttpTransport.js';
+import { logger } from '../utils/logger.js';
+
+// Exposes a standard MCP server (stdio or streamable HTTP) through the same interface
+// as the built-in GitHub and Figma servers
+export class ExternalMCPServer {
+  constructor(name, definition) {
+    this.name = name;
+    this.definition = definition;
+    this.client = null;
+    this.tools = [];
+  }
+
+  async initialize() {
+    this.client = new MCPClient(this.createTransport(this.definition.transport), {
+      name: this.name,
+      timeout: this.definition.timeoutMs
+    });
+
+    await this.client.connect();
+    await this.refreshTools();
+
+    this.client.onToolsChanged = () => {
+      this.refreshTools().catch(error => {
+        logger.warn(`Failed to refresh tools of MCP server '${this.name}':`, error.message);
+      });
+    };
+  }
+
+  createTransport(transport = {}) {
+    switch (transport.type) {
+      case 'stdio':
+        return new StdioTransport(transport);
+      case 'http':
+        return new HttpTransport(transport);
+      default:
+        throw new Error(`Unsupported MCP transport: ${transport.type}`);
+    }
+  }
+
+  async refreshTools() {
+    this.tools = this.client.serverCapabilities.tools ? await this.client.listTools() : [];
+    logger.info(`MCP server '${this.name}' provides ${this.tools.length} tools`);
+  }
+
+  supportsResources() {
+    return !!this.client?.serverCapabilities.resources;
+  }
+
+  async executeOperation(operation, parameters = {}, userId) {
+    if (!this.client || !this.client.connected) {
+      throw new Error(`MCP server '${this.name}' is not connected`);
+    }
+
+    if (this.supportsResources() && operation === 'list_resources') {
+      return { resources: await this.client.listResources() };
+    }
+
+    if (this.supportsResources() && operation === 'read_resource') {
+      if (!parameters.uri) {
+        throw new Error('uri parameter is required');
+      }
+      const result = await this.client.readResource(parameters.uri);
+      return {
+        contents: (result.contents || []).map(item => ({
+          uri: item.uri,
+          mimeType: item.mimeType,
+          text: item.text,
+          // Binary resources are summarized rather than passed to the model
+          blob: item.blob ? `[${item.blob.length} base64 characters]` : undefined
+        }))
+      };
+    }
+
+    const result = await this.client.callTool(operation, parameters);
+    const text = (result.content || [])
+      .filter(item => item.type === 'text')
+      .map(item => item.text)
+      .join('\n');
+
+    if (result.isError) {
+      throw new Error(text || `Tool ${operation} failed`);
+    }
+
+    return {
+      text,
+      structuredContent: result.structuredContent,
+      otherContent: (result.content || [])
+        .filter(item => item.type !== 'text')
+        .map(item => ({ type: item.type, mimeType: item.mimeType, uri: item.resource?.uri || item.uri }))
+    };
+  }
+
+  getAvailableOperations() {
+    const operations = this.tools.map(tool => tool.name);
+    if (this.supportsResources()) {
+      operations.push('list_resources', 'read_resource');
+    }
+    return operations;
+  }
+
+  isWriteOperation(operation) {
+    if (operation === 'list_resources' || operation === 'read_resource') {
+      return false;
+    }
+
+    // Tools are treated as writes unless the server declares them read-only
+    const tool = this.tools.find(item => item.name === operation);
+    return tool?.annotations?.readOnlyHint !== true;
+  }
+
+  getToolDefinitions() {
+    const definitions = this.tools.map(tool => ({
+      name: tool.name,
+      description: tool.description || tool.title || tool.name,
+      parameters: tool.inputSchema || { type: 'object', properties: {} }
+    }));
+
+    if (this.supportsResources()) {
+      definitions.push(
+        {
+          name: 'list_resources',
+          description: `List the resources exposed by ${this.name}`,
+          parameters: { type: 'object', properties: {} }
+        },
+        {
+          name: 'read_resource',
+          description: `Read a resource exposed by ${this.name}`,
+          parameters: {
+            type: 'object',
+            properties: { uri: { type: 'string', description: 'Resource URI from list_resources' } },
+            required: ['uri']
+          }
+        }
+      );
+    }
+
+    return definitions;
+  }
+
+  getDescription() {
+    return this.definition.description || `External MCP server ${this.client?.serverInfo?.name || this.name}`;
+  }
+
+  getStatus() {
+    return {
+      connected: !!this.client?.connected,
+      transport: this.definition.transport?.type,
+      server: this.client?.serverInfo,
+      tools: this.tools.length
+    };
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.close();
+    }
+  }
+}
@@ -1,82 +1,100 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { wrapHttpError } from '../utils/errors.js';
 
 export class FigmaMCP {
   constructor() {
-    this.token = process.env.FIGMA_TOKEN;
     this.baseURL = 'https://api.figma.com/v1';
-    this.client = null;
+    this.clients = new Map(); // token hash -> axios client, one per connected account
+    this.maxClients = 100;
   }
 
   async initialize() {
-    if (!this.token) {
-      throw new Error('FIGMA_TOKEN not provided');
+    // Credentials arrive with every call, so there is no shared connection to test here
+    logger.info('Figma MCP initialized - waiting for per-user credentials');
+  }
+
+  getClient(credentials) {
+    if (!credentials?.token) {
+      throw new Error('Figma credentials are required');
+    }
+
+    const key = crypto.createHash('sha256').update(credentials.token).digest('hex');
+    if (!this.clients.has(key)) {
+      this.clients.set(key, this.createClient(credentials.token));
+
+      if (this.clients.size > this.maxClients) {
+        this.clients.delete(this.clients.keys().next().value);
+      }
     }
 
-    this.client = axios.create({
+    return this.clients.get(key);
+  }
+
+  createClient(token) {
+    return axios.create({
       baseURL: this.baseURL,
       headers: {
-        'X-Figma-Token': this.token,
+        'X-Figma-Token': token,
         'Content-Type': 'application/json'
       }
     });
+  }
 
-    // Test the connection
-    try {
-      await this.client.get('/me');
-      logger.info('Figma MCP initialized successfully');
-    } catch (error) {
-      logger.error('Failed to initialize Figma MCP:', error);
-      throw error;
-    }
+  async validateCredentials(credentials) {
+    const user = await this.getUserInfo(this.createClient(credentials.token));
+    return { account: user.handle || user.email };
   }
 
-  async executeOperation(operation, parameters, userId) {
+  async executeOperation(operation, parameters, userId, { credentials } = {}) {
+    const client = this.getClient(credentials);
+
     switch (operation) {
       case 'get_user_info':
-        return await this.getUserInfo();
+        return await this.getUserInfo(client);
       
       case 'list_team_projects':
-        return await this.listTeamProjects(parameters);
+        return await this.listTeamProjects(client, parameters);
       
       case 'get_project_files':
-        return await this.getProjectFiles(parameters);
+        return await this.getProjectFiles(client, parameters);
       
       case 'get_file':
-        return await this.getFile(parameters);
+        return await this.getFile(client, parameters);
       
       case 'get_file_nodes':
-        return await this.getFileNodes(parameters);
+        return await this.getFileNodes(client, parameters);
       
       case 'get_images':
-        return await this.getImages(parameters);
+        return await this.getImages(client, parameters);
       
       case 'get_comments':
-        return await this.getComments(parameters);
+        return await this.getComments(client, parameters);
       
       case 'post_comment':
-        return await this.postComment(parameters);
+        return await this.postComment(client, parameters);
       
       case 'get_team_components':
-        return await this.getTeamComponents(parameters);
+        return await this.getTeamComponents(client, parameters);
       
       case 'get_component':
-        return await this.getComponent(parameters);
+        return await this.getComponent(client, parameters);
       
       case 'get_team_styles':
-        return await this.getTeamStyles(parameters);
+        return await this.getTeamStyles(client, parameters);
       
       case 'get_style':
-        return await this.getStyle(parameters);
+        return await this.getStyle(client, parameters);
       
       default:
         throw new Error(`Unknown Figma operation: ${operation}`);
     }
   }
 
-  async getUserInfo() {
+  async getUserInfo(client) {
     try {
-      const response = await this.client.get('/me');
+      const response = await client.get('/me');
       const user = response.data;
 
       return {
@@ -87,11 +105,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting user info:', error);
-      throw new Error(`Failed to get user info: ${error.message}`);
+      throw wrapHttpError('Failed to get user info', error);
     }
   }
 
-  async listTeamProjects(params) {
+  async listTeamProjects(client, params) {
     try {
       const { team_id } = params;
       
@@ -99,7 +117,7 @@ export class FigmaMCP {
         throw new Error('team_id parameter is required');
       }
 
-      const response = await this.client.get(`/teams/${team_id}/projects`);
+      const response = await client.get(`/teams/${team_id}/projects`);
       
       return {
         projects: response.data.projects.map(project => ({
@@ -109,11 +127,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error listing team projects:', error);
-      throw new Error(`Failed to list team projects: ${error.message}`);
+      throw wrapHttpError('Failed to list team projects', error);
     }
   }
 
-  async getProjectFiles(params) {
+  async getProjectFiles(client, params) {
     try {
       const { project_id } = params;
       
@@ -121,7 +139,7 @@ export class FigmaMCP {
         throw new Error('project_id parameter is required');
       }
 
-      const response = await this.client.get(`/projects/${project_id}/files`);
+      const response = await client.get(`/projects/${project_id}/files`);
       
       return {
         files: response.data.files.map(file => ({
@@ -133,11 +151,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting project files:', error);
-      throw new Error(`Failed to get project files: ${error.message}`);
+      throw wrapHttpError('Failed to get project files', error);
     }
   }
 
-  async getFile(params) {
+  async getFile(client, params) {
     try {
       const { file_key, version, ids, depth = 1, geometry = 'paths', plugin_data } = params;
       
@@ -150,7 +168,7 @@ export class FigmaMCP {
       if (ids) queryParams.ids = ids;
       if (plugin_data) queryParams.plugin_data = plugin_data;
 
-      const response = await this.client.get(`/files/${file_key}`, {
+      const response = await client.get(`/files/${file_key}`, {
         params: queryParams
       });
 
@@ -174,11 +192,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting file:', error);
-      throw new Error(`Failed to get file: ${error.message}`);
+      throw wrapHttpError('Failed to get file', error);
     }
   }
 
-  async getFileNodes(params) {
+  async getFileNodes(client, params) {
     try {
       const { file_key, ids, version, depth = 1, geometry = 'paths', plugin_data } = params;
       
@@ -190,7 +208,7 @@ export class FigmaMCP {
       if (version) queryParams.version = version;
       if (plugin_data) queryParams.plugin_data = plugin_data;
 
-      const response = await this.client.get(`/files/${file_key}/nodes`, {
+      const response = await client.get(`/files/${file_key}/nodes`, {
         params: queryParams
       });
 
@@ -204,11 +222,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting file nodes:', error);
-      throw new Error(`Failed to get file nodes: ${error.message}`);
+      throw wrapHttpError('Failed to get file nodes', error);
     }
   }
 
-  async getImages(params) {
+  async getImages(client, params) {
     try {
       const { file_key, ids, scale = 1, format = 'png', svg_include_id, svg_simplify_stroke, use_absolute_bounds } = params;
       
@@ -221,7 +239,7 @@ export class FigmaMCP {
       if (svg_simplify_stroke) queryParams.svg_simplify_stroke = svg_simplify_stroke;
       if (use_absolute_bounds) queryParams.use_absolute_bounds = use_absolute_bounds;
 
-      const response = await this.client.get(`/images/${file_key}`, {
+      const response = await client.get(`/images/${file_key}`, {
         params: queryParams
       });
 
@@ -232,11 +250,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting images:', error);
-      throw new Error(`Failed to get images: ${error.message}`);
+      throw wrapHttpError('Failed to get images', error);
     }
   }
 
-  async getComments(params) {
+  async getComments(client, params) {
     try {
       const { file_key } = params;
       
@@ -244,7 +262,7 @@ export class FigmaMCP {
         throw new Error('file_key parameter is required');
       }
 
-      const response = await this.client.get(`/files/${file_key}/comments`);
+      const response = await client.get(`/files/${file_key}/comments`);
       
       return {
         comments: response.data.comments.map(comment => ({
@@ -260,11 +278,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting comments:', error);
-      throw new Error(`Failed to get comments: ${error.message}`);
+      throw wrapHttpError('Failed to get comments', error);
     }
   }
 
-  async postComment(params) {
+  async postComment(client, params) {
     try {
       const { file_key, message, client_meta } = params;
       
@@ -275,7 +293,7 @@ export class FigmaMCP {
       const commentData = { message };
       if (client_meta) commentData.client_meta = client_meta;
 
-      const response = await this.client.post(`/files/${file_key}/comments`, commentData);
+      const response = await client.post(`/files/${file_key}/comments`, commentData);
       
       return {
         id: response.data.id,
@@ -287,11 +305,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error posting comment:', error);
-      throw new Error(`Failed to post comment: ${error.message}`);
+      throw wrapHttpError('Failed to post comment', error);
     }
   }
 
-  async getTeamComponents(params) {
+  async getTeamComponents(client, params) {
     try {
       const { team_id, page_size = 30, after, before } = params;
       
@@ -303,7 +321,7 @@ export class FigmaMCP {
       if (after) queryParams.after = after;
       if (before) queryParams.before = before;
 
-      const response = await this.client.get(`/teams/${team_id}/components`, {
+      const response = await client.get(`/teams/${team_id}/components`, {
         params: queryParams
       });
 
@@ -325,11 +343,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting team components:', error);
-      throw new Error(`Failed to get team components: ${error.message}`);
+      throw wrapHttpError('Failed to get team components', error);
     }
   }
 
-  async getComponent(params) {
+  async getComponent(client, params) {
     try {
       const { key } = params;
       
@@ -337,7 +355,7 @@ export class FigmaMCP {
         throw new Error('key parameter is required');
       }
 
-      const response = await this.client.get(`/components/${key}`);
+      const response = await client.get(`/components/${key}`);
       const component = response.data.meta;
 
       return {
@@ -353,11 +371,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting component:', error);
-      throw new Error(`Failed to get component: ${error.message}`);
+      throw wrapHttpError('Failed to get component', error);
     }
   }
 
-  async getTeamStyles(params) {
+  async getTeamStyles(client, params) {
     try {
       const { team_id, page_size = 30, after, before } = params;
       
@@ -369,7 +387,7 @@ export class FigmaMCP {
       if (after) queryParams.after = after;
       if (before) queryParams.before = before;
 
-      const response = await this.client.get(`/teams/${team_id}/styles`, {
+      const response = await client.get(`/teams/${team_id}/styles`, {
         params: queryParams
       });
 
@@ -392,11 +410,11 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting team styles:', error);
-      throw new Error(`Failed to get team styles: ${error.message}`);
+      throw wrapHttpError('Failed to get team styles', error);
     }
   }
 
-  async getStyle(params) {
+  async getStyle(client, params) {
     try {
       const { key } = params;
       
@@ -404,7 +422,7 @@ export class FigmaMCP {
         throw new Error('key parameter is required');
       }
 
-      const response = await this.client.get(`/styles/${key}`);
+      const response = await client.get(`/styles/${key}`);
       const style = response.data.meta;
 
       return {
@@ -421,7 +439,7 @@ export class FigmaMCP {
       };
     } catch (error) {
       logger.error('Error getting style:', error);
-      throw new Error(`Failed to get style: ${error.message}`);
+      throw wrapHttpError('Failed to get style', error);
     }
   }
 
@@ -477,14 +495,129 @@ export class FigmaMCP {
     ];
   }
 
+  isWriteOperation(operation) {
+    return ['post_comment'].includes(operation);
+  }
+
+  getToolDefinitions() {
+    const fileKey = {
+      file_key: { type: 'string', description: 'Figma file key, the part after /file/ in a Figma URL' }
+    };
+    const teamId = {
+      team_id: { type: 'string', description: 'Figma team ID, the part after /team/ in a Figma URL' }
+    };
+    const nodeIds = {
+      ids: { type: 'string', description: 'Comma-separated node IDs, e.g. "1:2,1:3"' }
+    };
+
+    return [
+      {
+        name: 'get_user_info',
+        description: 'Get the authenticated Figma user',
+        parameters: { type: 'object', properties: {} }
+      },
+      {
+        name: 'list_team_projects',
+        description: 'List the projects of a Figma team',
+        parameters: { type: 'object', properties: { ...teamId }, required: ['team_id'] }
+      },
+      {
+        name: 'get_project_files',
+        description: 'List the files in a Figma project',
+        parameters: {
+          type: 'object',
+          properties: { project_id: { type: 'string', description: 'Figma project ID' } },
+          required: ['project_id']
+        }
+      },
+      {
+        name: 'get_file',
+        description: 'Get a Figma file with its document tree, components and styles',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...fileKey,
+            depth: { type: 'integer', description: 'How deep to traverse the document tree (default 1)' }
+          },
+          required: ['file_key']
+        }
+      },
+      {
+        name: 'get_file_nodes',
+        description: 'Get specific nodes of a Figma file',
+        parameters: { type: 'object', properties: { ...fileKey, ...nodeIds }, required: ['file_key', 'ids'] }
+      },
+      {
+        name: 'get_images',
+        description: 'Render nodes of a Figma file as images and return their URLs',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...fileKey,
+            ...nodeIds,
+            scale: { type: 'number', description: 'Scale factor between 0.01 and 4' },
+            format: { type: 'string', enum: ['jpg', 'png', 'svg', 'pdf'] }
+          },
+          required: ['file_key', 'ids']
+        }
+      },
+      {
+        name: 'get_comments',
+        description: 'List the comments on a Figma file',
+        parameters: { type: 'object', properties: { ...fileKey }, required: ['file_key'] }
+      },
+      {
+        name: 'post_comment',
+        description: 'Post a comment on a Figma file',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...fileKey,
+            message: { type: 'string', description: 'Comment text' }
+          },
+          required: ['file_key', 'message']
+        }
+      },
+      {
+        name: 'get_team_components',
+        description: 'List the published components of a Figma team',
+        parameters: { type: 'object', properties: { ...teamId }, required: ['team_id'] }
+      },
+      {
+        name: 'get_component',
+        description: 'Get a published component by key',
+        parameters: {
+          type: 'object',
+          properties: { key: { type: 'string', description: 'Component key' } },
+          required: ['key']
+        }
+      },
+      {
+        name: 'get_team_styles',
+        description: 'List the published styles of a Figma team',
+        parameters: { type: 'object', properties: { ...teamId }, required: ['team_id'] }
+      },
+      {
+        name: 'get_style',
+        description: 'Get a published style by key',
+        parameters: {
+          type: 'object',
+          properties: { key: { type: 'string', description: 'Style key' } },
+          required: ['key']
+        }
+      }
+    ];
+  }
+
   getDescription() {
     return 'Figma MCP server for design file management, component access, and collaboration';
   }
 
   getStatus() {
     return {
-      connected: !!this.client,
-      base_url: this.baseURL
+      connected: true,
+      base_url: this.baseURL,
+      active_accounts: this.clients.size
     };
   }
 }
\ No newline at end of file
@@ -1,100 +1,130 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { wrapHttpError } from '../utils/errors.js';
 
 export class GitHubMCP {
   constructor() {
-    this.token = process.env.GITHUB_TOKEN;
     this.baseURL = 'https://api.github.com';
-    this.client = null;
-    this.rateLimitRemaining = 5000;
-    this.rateLimitReset = null;
+    this.clients = new Map(); // token hash -> axios client, one per connected account
+    this.maxClients = 100;
   }
 
   async initialize() {
-    if (!this.token) {
-      throw new Error('GITHUB_TOKEN not provided');
+    // Credentials arrive with every call, so there is no shared connection to test here
+    logger.info('GitHub MCP initialized - waiting for per-user credentials');
+  }
+
+  getClient(credentials) {
+    if (!credentials?.token) {
+      throw new Error('GitHub credentials are required');
     }
 
-    this.client = axios.create({
+    const key = crypto.createHash('sha256').update(credentials.token).digest('hex');
+    if (!this.clients.has(key)) {
+      this.clients.set(key, this.createClient(credentials.token));
+
+      if (this.clients.size > this.maxClients) {
+        this.clients.delete(this.clients.keys().next().value);
+      }
+    }
+
+    return this.clients.get(key);
+  }
+
+  createClient(token) {
+    const client = axios.create({
       baseURL: this.baseURL,
       headers: {
-        'Authorization': `token ${this.token}`,
+        'Authorization': `token ${token}`,
         'Accept': 'application/vnd.github.v3+json',
         'User-Agent': 'MiniBot-AI/1.0'
       }
     });
 
-    // Add response interceptor to track rate limits
-    this.client.interceptors.response.use(
+    // GitHub rate limits are per token, so they are tracked per client
+    client.rateLimit = { remaining: 5000, reset: null };
+
+    const trackRateLimit = (headers = {}) => {
+      client.rateLimit = {
+        remaining: parseInt(headers['x-ratelimit-remaining']) || 0,
+        reset: parseInt(headers['x-ratelimit-reset']) || 0
+      };
+    };
+
+    client.interceptors.response.use(
       (response) => {
-        this.rateLimitRemaining = parseInt(response.headers['x-ratelimit-remaining']) || 0;
-        this.rateLimitReset = parseInt(response.headers['x-ratelimit-reset']) || 0;
+        trackRateLimit(response.headers);
         return response;
       },
       (error) => {
         if (error.response) {
-          this.rateLimitRemaining = parseInt(error.response.headers['x-ratelimit-remaining']) || 0;
-          this.rateLimitReset = parseInt(error.response.headers['x-ratelimit-reset']) || 0;
+          trackRateLimit(error.response.headers);
         }
         return Promise.reject(error);
       }
     );
 
-    // Test the connection
-    try {
-      await this.client.get('/user');
-      logger.info('GitHub MCP initialized successfully');
-    } catch (error) {
-      logger.error('Failed to initialize GitHub MCP - check your token:', error.message);
-      throw error;
-    }
+    return client;
+  }
+
+  async validateCredentials(credentials) {
+    // A fresh client, so a rejected token never lands in the cache
+    const user = await this.getUserInfo(this.createClient(credentials.token));
+    return { account: user.login };
   }
 
-  async executeOperation(operation, parameters, userId) {
-    if (this.rateLimitRemaining < 10) {
+  async executeOperation(operation, parameters, userId, { credentials } = {}) {
+    const client = this.getClient(credentials);
+
+    // The remaining count is stale once the reset time has passed
+    if (client.rateLimit.remaining < 10 && client.rateLimit.reset * 1000 > Date.now()) {
       throw new Error('GitHub API rate limit nearly exceeded. Please try again later.');
     }
 
     switch (operation) {
       case 'list_repositories':
-        return await this.listRepositories(parameters);
+        return await this.listRepositories(client, parameters);
       
       case 'get_repository':
-        return await this.getRepository(parameters);
+        return await this.getRepository(client, parameters);
       
       case 'list_issues':
-        return await this.listIssues(parameters);
+        return await this.listIssues(client, parameters);
       
       case 'create_issue':
-        return await this.createIssue(parameters);
+        return await this.createIssue(client, parameters);
       
       case 'get_file_content':
-        return await this.getFileContent(parameters);
+        return await this.getFileContent(client, parameters);
+      
+      case 'list_repository_files':
+        return await this.listRepositoryFiles(client, parameters);
       
       case 'list_commits':
-        return await this.listCommits(parameters);
+        return await this.listCommits(client, parameters);
       
       case 'get_pull_requests':
-        return await this.getPullRequests(parameters);
+        return await this.getPullRequests(client, parameters);
       
       case 'search_repositories':
-        return await this.searchRepositories(parameters);
+        return await this.searchRepositories(client, parameters);
       
       case 'get_user_info':
-        return await this.getUserInfo(parameters);
+        return await this.getUserInfo(client, parameters);
       
       default:
         throw new Error(`Unknown GitHub operation: ${operation}`);
     }
   }
 
-  async listRepositories(params = {}) {
+  async listRepositories(client, params = {}) {
     try {
       const { owner, type = 'all', sort = 'updated', per_page = 30 } = params;
       
       let url = owner ? `/users/${owner}/repos` : '/user/repos';
       
-      const response = await this.client.get(url, {
+      const response = await client.get(url, {
         params: { type, sort, per_page }
       });
 
@@ -117,11 +147,11 @@ export class GitHubMCP {
       };
     } catch (error) {
       logger.error('Error listing repositories:', error);
-      throw new Error(`Failed to list repositories: ${error.message}`);
+      throw wrapHttpError('Failed to list repositories', error);
     }
   }
 
-  async getRepository(params) {
+  async getRepository(client, params) {
     try {
       const { owner, repo } = params;
       
@@ -129,7 +159,7 @@ export class GitHubMCP {
         throw new Error('Owner and repo parameters are required');
       }
 
-      const response = await this.client.get(`/repos/${owner}/${repo}`);
+      const response = await client.get(`/repos/${owner}/${repo}`);
       const repoData = response.data;
 
       return {
@@ -155,11 +185,11 @@ export class GitHubMCP {
       };
     } catch (error) {
       logger.error('Error getting repository:', error);
-      throw new Error(`Failed to get repository: ${error.message}`);
+      throw wrapHttpError('Failed to get repository', error);
     }
   }
 
-  async listIssues(params) {
+  async listIssues(client, params) {
     try {
       const { owner, repo, state = 'open', labels, sort = 'updated', per_page = 30 } = params;
       
@@ -170,7 +200,7 @@ export class GitHubMCP {
       const queryParams = { state, sort, per_page };
       if (labels) queryParams.labels = labels;
 
-      const response = await this.client.get(`/repos/${owner}/${repo}/issues`, {
+      const response = await client.get(`/repos/${owner}/${repo}/issues`, {
         params: queryParams
       });
 
@@ -193,18 +223,18 @@ export class GitHubMCP {
       };
     } catch (error) {
       logger.error('Error listing issues:', error);
-      throw new Error(`Failed to list issues: ${error.message}`);
+      throw wrapHttpError('Failed to list issues', error);
     }
   }
 
-  async createIssue(params) {
+  async createIssue(client, params) {
     try {
       let { owner, repo, title, body, labels, assignees } = params;
       
       // If no owner provided but repo is provided, try to get current user as owner
       if (!owner && repo) {
         try {
-          const userInfo = await this.getUserInfo();
+          const userInfo = await this.getUserInfo(client);
           owner = userInfo.login;
           logger.info(`Using current user as owner: ${owner}`);
         } catch (error) {
@@ -221,7 +251,7 @@ export class GitHubMCP {
       if (labels) issueData.labels = labels;
       if (assignees) issueData.assignees = assignees;
 
-      const response = await this.client.post(`/repos/${owner}/${repo}/issues`, issueData);
+      const response = await client.post(`/repos/${owner}/${repo}/issues`, issueData);
       const issue = response.data;
 
       return {
@@ -244,11 +274,11 @@ export class GitHubMCP {
         throw new Error(`Invalid request: ${error.response?.data?.message || 'Check if all required fields are provided'}`);
       }
       
-      throw new Error(`Failed to create issue: ${error.message}`);
+      throw wrapHttpError('Failed to create issue', error);
     }
   }
 
-  async getFileContent(params) {
+  async getFileContent(client, params) {
     try {
       const { owner, repo, path, ref = 'main' } = params;
       
@@ -256,7 +286,7 @@ export class GitHubMCP {
         throw new Error('Owner, repo, and path parameters are required');
       }
 
-      const response = await this.client.get(`/repos/${owner}/${repo}/contents/${path}`, {
+      const response = await client.get(`/repos/${owner}/${repo}/contents/${path}`, {
         params: { ref }
       });
 
@@ -278,11 +308,46 @@ export class GitHubMCP {
       };
     } catch (error) {
       logger.error('Error getting file content:', error);
-      throw new Error(`Failed to get file content: ${error.message}`);
+      throw wrapHttpError('Failed to get file content', error);
     }
   }
 
-  async listCommits(params) {
+  async listRepositoryFiles(client, params) {
+    try {
+      const { owner, repo, ref, path_prefix } = params;
+      
+      if (!owner || !repo) {
+        throw new Error('Owner and repo parameters are required');
+      }
+
+      const branch = ref || (await client.get(`/repos/${owner}/${repo}`)).data.default_branch;
+      const response = await client.get(`/repos/${owner}/${repo}/git/trees/${encodeURIComponent(branch)}`, {
+        params: { recursive: 1 }
+      });
+
+      const files = response.data.tree
+        .filter(entry => entry.type === 'blob')
+        .filter(entry => !path_prefix || entry.path.startsWith(path_prefix))
+        .map(entry => ({
+          path: entry.path,
+          size: entry.size,
+          sha: entry.sha
+        }));
+
+      return {
+        ref: branch,
+        files,
+        total_count: files.length,
+        // Very large repositories only return part of the tree
+        truncated: response.data.truncated
+      };
+    } catch (error) {
+      logger.error('Error listing repository files:', error);
+      throw wrapHttpError('Failed to list repository files', error);
+    }
+  }
+
+  async listCommits(client, params) {
     try {
       const { owner, repo, sha, path, author, since, until, per_page = 30 } = params;
       
@@ -297,7 +362,7 @@ export class GitHubMCP {
       if (since) queryParams.since = since;
       if (until) queryParams.until = until;
 
-      const response = await this.client.get(`/repos/${owner}/${repo}/commits`, {
+      const response = await client.get(`/repos/${owner}/${repo}/commits`, {
         params: queryParams
       });
 
@@ -322,11 +387,11 @@ export class GitHubMCP {
       };
     } catch (error) {
       logger.error('Error listing commits:', error);
-      throw new Error(`Failed to list commits: ${error.message}`);
+      throw wrapHttpError('Failed to list commits', error);
     }
   }
 
-  async getPullRequests(params) {
+  async getPullRequests(client, params) {
     try {
       const { owner, repo, state = 'open', sort = 'updated', per_page = 30 } = params;
       
@@ -334,7 +399,7 @@ export class GitHubMCP {
         throw new Error('Owner and repo parameters are required');
       }
 
-      const response = await this.client.get(`/repos/${owner}/${repo}/pulls`, {
+      const response = await client.get(`/repos/${owner}/${repo}/pulls`, {
         params: { state, sort, per_page }
       });
 
@@ -363,11 +428,11 @@ export class GitHubMCP {
       };
     } catch (error) {
       logger.error('Error getting pull requests:', error);
-      throw new Error(`Failed to get pull requests: ${error.message}`);
+      throw wrapHttpError('Failed to get pull requests', error);
     }
   }
 
-  async searchRepositories(params) {
+  async searchRepositories(client, params) {
     try {
       const { query, sort = 'stars', order = 'desc', per_page = 30 } = params;
       
@@ -375,7 +440,7 @@ export class GitHubMCP {
         throw new Error('Query parameter is required');
       }
 
-      const response = await this.client.get('/search/repositories', {
+      const response = await client.get('/search/repositories', {
         params: { q: query, sort, order, per_page }
       });
 
@@ -395,16 +460,16 @@ export class GitHubMCP {
       };
     } catch (error) {
       logger.error('Error searching repositories:', error);
-      throw new Error(`Failed to search repositories: ${error.message}`);
+      throw wrapHttpError('Failed to search repositories', error);
     }
   }
 
-  async getUserInfo(params = {}) {
+  async getUserInfo(client, params = {}) {
     try {
       const { username } = params;
       const url = username ? `/users/${username}` : '/user';
       
-      const response = await this.client.get(url);
+      const response = await client.get(url);
       const user = response.data;
 
       return {
@@ -426,7 +491,7 @@ export class GitHubMCP {
       };
     } catch (error) {
       logger.error('Error getting user info:', error);
-      throw new Error(`Failed to get user info: ${error.message}`);
+      throw wrapHttpError('Failed to get user info', error);
     }
   }
 
@@ -437,6 +502,7 @@ export class GitHubMCP {
       'list_issues',
       'create_issue',
       'get_file_content',
+      'list_repository_files',
       'list_commits',
       'get_pull_requests',
       'search_repositories',
@@ -444,15 +510,158 @@ export class GitHubMCP {
     ];
   }
 
+  isWriteOperation(operation) {
+    return ['create_issue'].includes(operation);
+  }
+
+  getToolDefinitions() {
+    const ownerRepo = {
+      owner: { type: 'string', description: 'Repository owner (user or organization login)' },
+      repo: { type: 'string', description: 'Repository name' }
+    };
+
+    return [
+      {
+        name: 'list_repositories',
+        description: 'List repositories of the authenticated user, or of another user when owner is given',
+        parameters: {
+          type: 'object',
+          properties: {
+            owner: { type: 'string', description: 'User whose public repositories to list' },
+            type: { type: 'string', enum: ['all', 'owner', 'member'] },
+            sort: { type: 'string', enum: ['created', 'updated', 'pushed', 'full_name'] },
+            per_page: { type: 'integer', description: 'Number of results (max 100)' }
+          }
+        }
+      },
+      {
+        name: 'get_repository',
+        description: 'Get details of a single repository',
+        parameters: {
+          type: 'object',
+          properties: { ...ownerRepo },
+          required: ['owner', 'repo']
+        }
+      },
+      {
+        name: 'list_issues',
+        description: 'List issues of a repository',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...ownerRepo,
+            state: { type: 'string', enum: ['open', 'closed', 'all'] },
+            labels: { type: 'string', description: 'Comma-separated label names' },
+            per_page: { type: 'integer', description: 'Number of results (max 100)' }
+          },
+          required: ['owner', 'repo']
+        }
+      },
+      {
+        name: 'create_issue',
+        description: 'Create a new issue in a repository',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...ownerRepo,
+            title: { type: 'string', description: 'Issue title' },
+            body: { type: 'string', description: 'Issue description in Markdown' },
+            labels: { type: 'array', items: { type: 'string' } },
+            assignees: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['owner', 'repo', 'title']
+        }
+      },
+      {
+        name: 'get_file_content',
+        description: 'Get the content of a file in a repository',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...ownerRepo,
+            path: { type: 'string', description: 'File path within the repository' },
+            ref: { type: 'string', description: 'Branch, tag or commit SHA (default main)' }
+          },
+          required: ['owner', 'repo', 'path']
+        }
+      },
+      {
+        name: 'list_repository_files',
+        description: 'List every file path in a repository (recursively), optionally under a directory',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...ownerRepo,
+            ref: { type: 'string', description: 'Branch, tag or commit SHA (default: the default branch)' },
+            path_prefix: { type: 'string', description: 'Only paths starting with this, e.g. "docs/"' }
+          },
+          required: ['owner', 'repo']
+        }
+      },
+      {
+        name: 'list_commits',
+        description: 'List commits of a repository',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...ownerRepo,
+            sha: { type: 'string', description: 'Branch name or commit SHA to start from' },
+            path: { type: 'string', description: 'Only commits touching this path' },
+            author: { type: 'string', description: 'GitHub login or email of the author' },
+            since: { type: 'string', description: 'ISO 8601 timestamp' },
+            until: { type: 'string', description: 'ISO 8601 timestamp' },
+            per_page: { type: 'integer', description: 'Number of results (max 100)' }
+          },
+          required: ['owner', 'repo']
+        }
+      },
+      {
+        name: 'get_pull_requests',
+        description: 'List pull requests of a repository',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...ownerRepo,
+            state: { type: 'string', enum: ['open', 'closed', 'all'] },
+            per_page: { type: 'integer', description: 'Number of results (max 100)' }
+          },
+          required: ['owner', 'repo']
+        }
+      },
+      {
+        name: 'search_repositories',
+        description: 'Search public GitHub repositories',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'GitHub search query, e.g. "language:js stars:>100"' },
+            sort: { type: 'string', enum: ['stars', 'forks', 'updated'] },
+            per_page: { type: 'integer', description: 'Number of results (max 100)' }
+          },
+          required: ['query']
+        }
+      },
+      {
+        name: 'get_user_info',
+        description: 'Get a GitHub user profile, or the authenticated user when username is omitted',
+        parameters: {
+          type: 'object',
+          properties: {
+            username: { type: 'string', description: 'GitHub login' }
+          }
+        }
+      }
+    ];
+  }
+
   getDescription() {
     return 'GitHub MCP server for repository management, issue tracking, and code operations';
   }
 
   getStatus() {
     return {
-      connected: !!this.client,
-      rate_limit_remaining: this.rateLimitRemaining,
-      rate_limit_reset: this.rateLimitReset ? new Date(this.rateLimitReset * 1000) : null
+      connected: true,
+      active_accounts: this.clients.size
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,145 @@
+import { logger } from '../utils/logger.js';
+
+const PROTOCOL_VERSION = '2025-03-26';
+
+export class MCPClient {
+  constructor(transport, { name = 'mcp', timeout = 60000 } = {}) {
+    this.transport = transport;
+    this.name = name;
+    this.timeout = timeout;
+    this.nextId = 1;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    this.serverInfo = null;
+    this.serverCapabilities = {};
+    this.connected = false;
+    this.onToolsChanged = null;
+  }
+
+  async connect() {
+    this.transport.onmessage = (message) => this.handleMessage(message);
+    this.transport.onclose = () => this.handleClose();
+
+    await this.transport.start();
+
+    const result = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'minibot', version: '1.0.0' }
+    });
+
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+    this.connected = true;
+
+    await this.notify('notifications/initialized');
+
+    logger.info(`Connected to MCP server '${this.name}' (${this.serverInfo?.name || 'unknown'}, protocol ${result.protocolVersion})`);
+  }
+
+  request(method, params = {}) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request '${method}' to '${this.name}' timed out`));
+      }, this.timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+
+      this.transport.send({ jsonrpc: '2.0', id, method, params }).catch((error) => {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(error);
+      });
+    });
+  }
+
+  async notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params) message.params = params;
+    await this.transport.send(message);
+  }
+
+  handleMessage(message) {
+    // Response to one of our requests
+    if (message.id !== undefined && message.method === undefined) {
+      const pending = this.pending.get(message.id);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pending.delete(message.id);
+
+      if (message.error) {
+        const error = new Error(`MCP error ${message.error.code}: ${message.error.message}`);
+        error.code = message.error.code;
+        pending.reject(error);
+      } else {
+        pending.resolve(message.result || {});
+      }
+      return;
+    }
+
+    // Request from the server - we only implement ping
+    if (message.id !== undefined) {
+      const reply = message.method === 'ping' ?
+        { jsonrpc: '2.0', id: message.id, result: {} } :
+        { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+
+      this.transport.send(reply).catch(error => {
+        logger.warn(`Failed to answer MCP server request '${message.method}':`, error.message);
+      });
+      return;
+    }
+
+    if (message.method === 'notifications/tools/list_changed' && this.onToolsChanged) {
+      this.onToolsChanged();
+    } else {
+      logger.debug(`MCP notification from '${this.name}': ${message.method}`);
+    }
+  }
+
+  handleClose() {
+    this.connected = false;
+
+    for (const [id, pending] of this.pending) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(`MCP server '${this.name}' disconnected`));
+      this.pending.delete(id);
+    }
+  }
+
+  async listTools() {
+    return await this.listPaginated('tools/list', 'tools');
+  }
+
+  async callTool(name, args = {}) {
+    return await this.request('tools/call', { name, arguments: args });
+  }
+
+  async listResources() {
+    return await this.listPaginated('resources/list', 'resources');
+  }
+
+  async readResource(uri) {
+    return await this.request('resources/read', { uri });
+  }
+
+  async listPaginated(method, key) {
+    const items = [];
+    let cursor;
+
+    do {
+      const result = await this.request(method, cursor ? { cursor } : {});
+      items.push(...(result[key] || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return items;
+  }
+
+  async close() {
+    this.connected = false;
+    await this.transport.close();
+  }
+}
@@ -1,10 +1,23 @@
-import { GitHubMCP } from './GitHubMCP.js';
-import { FigmaMCP } from './FigmaMCP.js';
+import { MCPRegistry } from './MCPRegistry.js';
+import { MCPMiddleware } from './MCPMiddleware.js';
+import { ActionHistory } from './ActionHistory.js';
+import { PendingActionStore } from './PendingActionStore.js';
+import { CredentialStore } from './CredentialStore.js';
 import { logger } from '../utils/logger.js';
 
+// Platforms that authenticate the user id they hand over. Anyone can put any userId in an
+// HTTP API request, so those callers never act through linked or shared accounts.
+const VERIFIED_PLATFORMS = ['telegram', 'whatsapp'];
+
 export class MCPManager {
   constructor() {
+    this.registry = new MCPRegistry();
     this.servers = new Map();
+    this.definitions = new Map(); // server type -> definition from config/mcp.json
+    this.middleware = new MCPMiddleware();
+    this.actionHistory = new ActionHistory();
+    this.pendingActions = new PendingActionStore();
+    this.credentialStore = new CredentialStore();
     this.isInitialized = false;
   }
 
@@ -12,30 +25,36 @@ export class MCPManager {
     try {
       logger.info('Initializing MCP Manager...');
 
-      // Initialize GitHub MCP if token is provided
-      if (process.env.GITHUB_TOKEN) {
-        try {
-          const githubMCP = new GitHubMCP();
-          await githubMCP.initialize();
-          this.servers.set('github', githubMCP);
-          logger.info('GitHub MCP initialized');
-        } catch (error) {
-          logger.warn('GitHub MCP initialization failed:', error.message);
-        }
+      await this.registry.load();
+      this.middleware = new MCPMiddleware(this.registry.getSettings());
+
+      try {
+        await this.actionHistory.initialize();
+      } catch (error) {
+        logger.warn('Action history unavailable - executed actions will not be recorded:', error.message);
       }
 
-      // Initialize Figma MCP if token is provided
-      if (process.env.FIGMA_TOKEN) {
+      try {
+        await this.credentialStore.initialize();
+      } catch (error) {
+        logger.warn('Credential store unavailable - servers needing user credentials will refuse calls:', error.message);
+      }
+
+      for (const [type, definition] of this.registry.getServerDefinitions()) {
         try {
-          const figmaMCP = new FigmaMCP();
-          await figmaMCP.initialize();
-          this.servers.set('figma', figmaMCP);
-          logger.info('Figma MCP initialized');
+          const server = await this.registry.createServer(type, definition);
+          if (server) {
+            this.servers.set(type, server);
+            this.definitions.set(type, definition);
+            logger.info(`${type} MCP initialized`);
+          }
         } catch (error) {
-          logger.warn('Figma MCP initialization failed:', error.message);
+          logger.warn(`${type} MCP initialization failed:`, error.message);
         }
       }
 
+      this.pendingActions.start();
+
       this.isInitialized = true;
       logger.info(`MCP Manager initialized with ${this.servers.size} servers`);
     } catch (error) {
@@ -45,7 +64,7 @@ export class MCPManager {
     }
   }
 
-  async executeAction(action, userId) {
+  async executeAction(action, userId, options = {}) {
     if (!this.isInitialized) {
       throw new Error('MCP Manager not initialized');
     }
@@ -56,63 +75,299 @@ export class MCPManager {
       throw new Error(`MCP server '${type}' not available`);
     }
 
+    if (!this.getAllowedOperations(type).includes(operation)) {
+      throw new Error(`Operation '${operation}' not enabled for ${type} server`);
+    }
+
     const server = this.servers.get(type);
+    const startedAt = Date.now();
     
     try {
       logger.info(`Executing ${type} action: ${operation} for user ${userId}`);
-      const result = await server.executeOperation(operation, parameters, userId);
+      const { scope, credentials } = await this.resolveCredentials(type, userId, options);
+      const result = await this.middleware.execute(
+        { type, operation, parameters, userId, scope, isWrite: this.isWriteOperation(type, operation) },
+        () => server.executeOperation(operation, parameters, userId, { credentials })
+      );
       
-      // Store the action result in memory for future reference
-      await this.storeActionResult(type, operation, parameters, result, userId);
+      await this.storeActionResult({
+        serverType: type,
+        operation,
+        parameters,
+        userId,
+        platform: options.platform,
+        success: true,
+        result,
+        latencyMs: Date.now() - startedAt
+      });
       
       return result;
     } catch (error) {
       logger.error(`Error executing ${type} action:`, error);
-      throw error;
-    }
-  }
 
-  async storeActionResult(serverType, operation, parameters, result, userId) {
-    try {
-      // This could be enhanced to store results in RAG memory for future retrieval
-      const actionRecord = {
-        serverType,
+      await this.storeActionResult({
+        serverType: type,
         operation,
         parameters,
-        result: typeof result === 'object' ? JSON.stringify(result) : result,
         userId,
-        timestamp: new Date(),
-        success: true
-      };
+        platform: options.platform,
+        success: false,
+        error: error.message,
+        latencyMs: Date.now() - startedAt
+      });
 
-      // For now, just log the action
-      logger.debug('Action executed successfully:', actionRecord);
-      
-      // In a full implementation, you might want to:
-      // 1. Store successful actions in RAG memory
-      // 2. Cache frequently used results
-      // 3. Track user preferences and patterns
+      throw error;
+    }
+  }
+
+  async storeActionResult(entry) {
+    try {
+      await this.actionHistory.record(entry);
+      logger.debug(`Recorded ${entry.serverType}.${entry.operation} (${entry.success ? 'success' : 'failure'}, ${entry.latencyMs}ms)`);
     } catch (error) {
       logger.error('Error storing action result:', error);
     }
   }
 
+  requiresCredentials(serverType) {
+    return !!this.definitions.get(serverType)?.credentials;
+  }
+
+  async resolveCredentials(serverType, userId, { platform, chatId } = {}) {
+    const config = this.definitions.get(serverType)?.credentials;
+    if (!config) {
+      return { scope: 'shared', credentials: undefined };
+    }
+
+    if (!VERIFIED_PLATFORMS.includes(platform)) {
+      const error = new Error(`${serverType} acts through linked accounts, which are not available on ${platform || 'this platform'}`);
+      error.status = 403;
+      error.expose = true;
+      throw error;
+    }
+
+    // The caller's own account wins over one linked for the whole chat
+    const owners = [this.getCredentialOwner(platform, 'user', userId)];
+    if (chatId) owners.push(this.getCredentialOwner(platform, 'chat', chatId));
+
+    for (const owner of owners) {
+      const credentials = await this.credentialStore.get(owner, serverType);
+      if (credentials) {
+        return { scope: owner, credentials };
+      }
+    }
+
+    // Single-user deployments can opt back into the token from the environment
+    const sharedToken = config.mode === 'shared' && config.sharedTokenEnv && process.env[config.sharedTokenEnv];
+    if (sharedToken) {
+      return { scope: 'shared', credentials: { token: sharedToken } };
+    }
+
+    const error = new Error(`No ${serverType} account connected. Link one with /connect ${serverType}`);
+    error.status = 403;
+    error.expose = true;
+    throw error;
+  }
+
+  async connectAccount(ownerId, serverType, token) {
+    const server = this.servers.get(serverType);
+    if (!server || !this.requiresCredentials(serverType)) {
+      throw new Error(`${serverType} does not take account credentials`);
+    }
+
+    this.credentialStore.ensureEnabled();
+
+    let account;
+    try {
+      ({ account } = await server.validateCredentials({ token }));
+    } catch (error) {
+      throw new Error(`${serverType} rejected the token: ${error.message}`);
+    }
+
+    await this.credentialStore.set(ownerId, serverType, { token }, account);
+    return { serverType, account };
+  }
+
+  async disconnectAccount(ownerId, serverType) {
+    return await this.credentialStore.delete(ownerId, serverType);
+  }
+
+  async listAccounts(ownerId) {
+    return await this.credentialStore.list(ownerId);
+  }
+
+  // The same numeric id can be a different person on another platform, so owners carry it
+  getCredentialOwner(platform, kind, id) {
+    return `${platform}:${kind}:${id}`;
+  }
+
+  async listUserAccounts(userId) {
+    const accounts = [];
+    for (const platform of VERIFIED_PLATFORMS) {
+      const owned = await this.listAccounts(this.getCredentialOwner(platform, 'user', userId));
+      accounts.push(...owned.map(account => ({ ...account, platform })));
+    }
+    return accounts;
+  }
+
+  async deleteUserAccounts(userId) {
+    let removed = 0;
+    for (const platform of VERIFIED_PLATFORMS) {
+      removed += await this.credentialStore.deleteOwner(this.getCredentialOwner(platform, 'user', userId));
+    }
+    return removed;
+  }
+
+  getCredentialServers() {
+    return [...this.servers.keys()].filter(type => this.requiresCredentials(type));
+  }
+
+  isWriteOperation(serverType, operation) {
+    // An explicit list in config/mcp.json wins over the server's own classification
+    const configured = this.definitions.get(serverType)?.writeOperations;
+    if (configured) {
+      return configured.includes(operation);
+    }
+
+    const server = this.servers.get(serverType);
+    return typeof server?.isWriteOperation === 'function' && server.isWriteOperation(operation);
+  }
+
+  requestConfirmation(action, userId, options = {}) {
+    const { type, operation, parameters } = action;
+    const tool = this.servers.get(type)?.getToolDefinitions().find(item => item.name === operation);
+
+    return this.pendingActions.create({
+      userId,
+      platform: options.platform,
+      chatId: options.chatId,
+      type,
+      operation,
+      parameters: parameters || {},
+      description: tool?.description || `${type}.${operation}`
+    });
+  }
+
+  async approvePendingAction(id, userId, platform) {
+    const pending = this.pendingActions.getOpen(id, userId, platform);
+    this.pendingActions.setStatus(id, 'approved');
+
+    try {
+      const result = await this.executeAction(
+        { type: pending.type, operation: pending.operation, parameters: pending.parameters },
+        userId,
+        { platform: pending.platform, chatId: pending.chatId }
+      );
+      this.pendingActions.setStatus(id, 'executed');
+      return { pending, result };
+    } catch (error) {
+      this.pendingActions.setStatus(id, 'failed');
+      throw error;
+    }
+  }
+
+  cancelPendingAction(id, userId, platform) {
+    const pending = this.pendingActions.getOpen(id, userId, platform);
+    this.pendingActions.setStatus(id, 'cancelled');
+    logger.info(`Pending action ${id} cancelled by user ${userId}`);
+    return pending;
+  }
+
+  updatePendingAction(id, userId, changes, platform) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw this.pendingActions.createError('Parameters must be a JSON object', 400);
+    }
+
+    const pending = this.pendingActions.getOpen(id, userId, platform);
+
+    // Edits are merged into the current payload; null removes a field
+    const parameters = { ...pending.parameters, ...changes };
+    for (const [key, value] of Object.entries(parameters)) {
+      if (value === null) delete parameters[key];
+    }
+
+    const tool = this.servers.get(pending.type)?.getToolDefinitions().find(item => item.name === pending.operation);
+    const missing = (tool?.parameters?.required || []).filter(key => parameters[key] === undefined);
+    if (missing.length > 0) {
+      throw this.pendingActions.createError(`Missing required parameters: ${missing.join(', ')}`, 400);
+    }
+
+    return this.pendingActions.update(id, userId, parameters, platform);
+  }
+
+  getPendingActions(userId, platform) {
+    return this.pendingActions.list(userId, platform);
+  }
+
+  takeNewPendingActions(userId, platform) {
+    return this.pendingActions.takeUnannounced(userId, platform);
+  }
+
   async getAvailableActions(serverType = null) {
     if (serverType) {
       if (!this.servers.has(serverType)) {
         return [];
       }
-      return this.servers.get(serverType).getAvailableOperations();
+      return this.getAllowedOperations(serverType);
     }
 
     // Return all available actions from all servers
     const allActions = {};
-    for (const [type, server] of this.servers) {
-      allActions[type] = server.getAvailableOperations();
+    for (const type of this.servers.keys()) {
+      allActions[type] = this.getAllowedOperations(type);
     }
     return allActions;
   }
 
+  getToolDefinitions({ exclude = [] } = {}) {
+    const tools = [];
+
+    for (const [type, server] of this.servers) {
+      if (exclude.includes(type)) continue;
+
+      const allowed = this.getAllowedOperations(type);
+
+      for (const tool of server.getToolDefinitions()) {
+        if (!allowed.includes(tool.name)) continue;
+
+        tools.push({
+          // Provider function names only allow [a-zA-Z0-9_-], so the server is a prefix
+          name: `${type}__${tool.name}`,
+          description: `[${type}] ${tool.description}`,
+          parameters: tool.parameters
+        });
+      }
+    }
+
+    return tools;
+  }
+
+  getAllowedOperations(serverType) {
+    const server = this.servers.get(serverType);
+    if (!server) {
+      return [];
+    }
+
+    // The config's operations list narrows what the server implements
+    const operations = server.getAvailableOperations();
+    const configured = this.definitions.get(serverType)?.operations;
+
+    return configured ? operations.filter(operation => configured.includes(operation)) : operations;
+  }
+
+  toolCallToAction(toolCall) {
+    const separator = toolCall.name.indexOf('__');
+    if (separator === -1) {
+      throw new Error(`Unknown tool: ${toolCall.name}`);
+    }
+
+    return {
+      type: toolCall.name.substring(0, separator),
+      operation: toolCall.name.substring(separator + 2),
+      parameters: toolCall.arguments || {}
+    };
+  }
+
   async getServerCapabilities(serverType) {
     if (!this.servers.has(serverType)) {
       return null;
@@ -121,7 +376,7 @@ export class MCPManager {
     const server = this.servers.get(serverType);
     return {
       type: serverType,
-      operations: server.getAvailableOperations(),
+      operations: this.getAllowedOperations(serverType),
       description: server.getDescription(),
       status: server.getStatus()
     };
@@ -135,7 +390,7 @@ export class MCPManager {
         status[type] = {
           initialized: true,
           status: server.getStatus(),
-          operations: server.getAvailableOperations().length,
+          operations: this.getAllowedOperations(type).length,
           description: server.getDescription()
         };
       } catch (error) {
@@ -149,6 +404,20 @@ export class MCPManager {
     return status;
   }
 
+  async shutdown() {
+    this.pendingActions.stop();
+
+    for (const [type, server] of this.servers) {
+      if (typeof server.close !== 'function') continue;
+
+      try {
+        await server.close();
+      } catch (error) {
+        logger.warn(`Error closing ${type} MCP server:`, error.message);
+      }
+    }
+  }
+
   hasServer(serverType) {
     return this.servers.has(serverType);
   }
@@ -157,6 +426,10 @@ export class MCPManager {
     return this.servers.get(serverType);
   }
 
+  getServerTypes() {
+    return Array.from(this.servers.keys());
+  }
+
   async validateAction(action) {
     const { type, operation, parameters } = action;
 
@@ -167,8 +440,7 @@ export class MCPManager {
       };
     }
 
-    const server = this.servers.get(type);
-    const availableOps = server.getAvailableOperations();
+    const availableOps = this.getAllowedOperations(type);
 
     if (!availableOps.includes(operation)) {
       return {
@@ -183,7 +455,7 @@ export class MCPManager {
     };
   }
 
-  async executeMultipleActions(actions, userId) {
+  async executeMultipleActions(actions, userId, options = {}) {
     const results = [];
 
     for (const action of actions) {
@@ -198,7 +470,7 @@ export class MCPManager {
           continue;
         }
 
-        const result = await this.executeAction(action, userId);
+        const result = await this.executeAction(action, userId, options);
         results.push({
           action,
           success: true,
@@ -217,9 +489,7 @@ export class MCPManager {
   }
 
   async searchActionHistory(userId, query, options = {}) {
-    // This would search through stored action results
-    // For now, return empty array as we're not storing history yet
-    return [];
+    return await this.actionHistory.search({ ...options, userId, query });
   }
 
   async getActionSuggestions(context, userId) {
@@ -0,0 +1,179 @@
+import { LRUCache } from '../utils/LRUCache.js';
+import { TokenBucket } from '../utils/TokenBucket.js';
+import { logger } from '../utils/logger.js';
+
+// Applies the rateLimiting, caching and retries settings from config/mcp.json
+// around every MCP server call
+export class MCPMiddleware {
+  constructor(settings = {}) {
+    const rateLimiting = settings.rateLimiting || {};
+    const caching = settings.caching || {};
+    const retries = settings.retries || {};
+
+    this.rateLimiting = {
+      enabled: rateLimiting.enabled !== false,
+      requestsPerMinute: rateLimiting.requestsPerMinute || 60,
+      burstLimit: rateLimiting.burstLimit || 10
+    };
+
+    this.caching = {
+      enabled: caching.enabled !== false,
+      ttlMs: (caching.ttl || 300) * 1000,
+      maxSize: caching.maxSize || 1000
+    };
+
+    this.retries = {
+      maxAttempts: Math.max(1, retries.maxAttempts || 3),
+      backoffMs: retries.backoffMs || 1000,
+      // Waits longer than this (e.g. an hourly GitHub reset) fail fast instead of blocking the chat
+      maxDelayMs: retries.maxDelayMs || 30000
+    };
+
+    this.userBuckets = new Map();
+    this.serverBuckets = new Map();
+    this.cache = new LRUCache({ maxSize: this.caching.maxSize, ttlMs: this.caching.ttlMs });
+  }
+
+  // isWrite comes from the caller, which knows the writeOperations configured for the server
+  async execute({ type, operation, parameters = {}, userId, scope = 'shared', isWrite = false }, handler) {
+    // Different credentials can see different data, so they never share cache entries
+    const cacheKey = this.getCacheKey(type, scope, operation, parameters);
+
+    if (this.caching.enabled && !isWrite) {
+      const cached = this.cache.get(cacheKey);
+      if (cached !== undefined) {
+        logger.debug(`MCP cache hit for ${type}.${operation}`);
+        return cached;
+      }
+    }
+
+    this.consumeRateLimit(type, userId);
+
+    const result = await this.withRetries(`${type}.${operation}`, handler, isWrite);
+
+    if (this.caching.enabled) {
+      if (isWrite) {
+        // A write can change anything this server returned before
+        this.cache.deleteByPrefix(`${type}:`);
+      } else {
+        this.cache.set(cacheKey, result);
+      }
+    }
+
+    return result;
+  }
+
+  consumeRateLimit(type, userId) {
+    if (!this.rateLimiting.enabled) return;
+
+    const buckets = [
+      this.getBucket(this.serverBuckets, type),
+      this.getBucket(this.userBuckets, userId || 'anonymous')
+    ];
+
+    // Check both before taking so a rejected call doesn't spend a token from either
+    const blocked = buckets.find(bucket => !bucket.hasToken());
+    if (blocked) {
+      const seconds = Math.ceil(blocked.getWaitTime() / 1000);
+      const error = new Error(`Rate limit exceeded for ${type} - try again in ${seconds}s`);
+      error.status = 429;
+      error.rateLimited = true;
+      error.retryAfterMs = blocked.getWaitTime();
+      throw error;
+    }
+
+    buckets.forEach(bucket => bucket.take());
+  }
+
+  getBucket(buckets, key) {
+    if (!buckets.has(key)) {
+      buckets.set(key, new TokenBucket({
+        capacity: this.rateLimiting.burstLimit,
+        refillPerSecond: this.rateLimiting.requestsPerMinute / 60
+      }));
+    }
+    return buckets.get(key);
+  }
+
+  async withRetries(label, handler, isWrite = false) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await handler();
+      } catch (error) {
+        if (attempt >= this.retries.maxAttempts || !this.isRetryable(error, isWrite)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay > this.retries.maxDelayMs) {
+          throw error;
+        }
+
+        logger.warn(`${label} failed with status ${error.status} - retrying in ${delay}ms (attempt ${attempt + 1}/${this.retries.maxAttempts})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  isRetryable(error, isWrite = false) {
+    const status = error.status;
+    // A write that failed with a 5xx may still have happened upstream, so only rejected
+    // (rate-limited) writes are sent again
+    if (status === 429 || (status >= 500 && !isWrite)) {
+      return true;
+    }
+
+    // GitHub reports an exhausted rate limit as 403 with zero remaining
+    return status === 403 && this.getHeader(error.headers, 'x-ratelimit-remaining') === '0';
+  }
+
+  getRetryDelay(error, attempt) {
+    const retryAfter = this.getHeader(error.headers, 'retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) {
+        return Math.max(0, delay);
+      }
+    }
+
+    const reset = Number(this.getHeader(error.headers, 'x-ratelimit-reset'));
+    if (reset) {
+      return Math.max(0, reset * 1000 - Date.now());
+    }
+
+    return this.retries.backoffMs * 2 ** (attempt - 1);
+  }
+
+  getHeader(headers, name) {
+    if (!headers) return undefined;
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === undefined || value === null ? undefined : String(value);
+  }
+
+  getCacheKey(type, scope, operation, parameters) {
+    return `${type}:${scope}:${operation}:${this.stableStringify(parameters)}`;
+  }
+
+  stableStringify(value) {
+    // Parameter order from the model shouldn't produce different cache entries
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  getStats() {
+    return {
+      cacheSize: this.cache.size,
+      trackedUsers: this.userBuckets.size,
+      rateLimiting: this.rateLimiting,
+      caching: { enabled: this.caching.enabled, ttlMs: this.caching.ttlMs, maxSize: this.caching.maxSize },
+      retries: this.retries
+    };
+  }
+}
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ExternalMCPServer } from './ExternalMCPServer.js';
+import { logger } from '../utils/logger.js';
+
+export class MCPRegistry {
+  constructor() {
+    this.configPath = process.env.MCP_CONFIG_PATH || './config/mcp.json';
+    this.pluginsDir = process.env.MCP_PLUGINS_DIR || './plugins';
+    this.config = { mcpServers: {}, settings: {} };
+  }
+
+  async load() {
+    try {
+      const raw = await fs.promises.readFile(this.configPath, 'utf-8');
+      const parsed = JSON.parse(raw);
+
+      this.config = {
+        mcpServers: parsed.mcpServers || {},
+        settings: parsed.settings || {}
+      };
+
+      logger.info(`Loaded ${Object.keys(this.config.mcpServers).length} MCP server definitions from ${this.configPath}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`MCP config not found at ${this.configPath} - no MCP servers will be loaded`);
+      } else {
+        logger.error(`Failed to read MCP config ${this.configPath}:`, error.message);
+      }
+    }
+
+    return this.config;
+  }
+
+  getServerDefinitions() {
+    return Object.entries(this.config.mcpServers);
+  }
+
+  getSettings() {
+    return this.config.settings;
+  }
+
+  getMissingEnvVars(definition) {
+    return (definition.requiredEnvVars || []).filter(name => !process.env[name]);
+  }
+
+  resolveModulePath(name, definition) {
+    // Explicit modules are relative to the project root, anything else is a drop-in plugin
+    if (definition.module) {
+      return path.resolve(definition.module);
+    }
+    return path.resolve(this.pluginsDir, `${name}.js`);
+  }
+
+  async createServer(name, definition) {
+    if (definition.enabled === false) {
+      logger.info(`MCP server '${name}' is disabled in config`);
+      return null;
+    }
+
+    const missing = this.getMissingEnvVars(definition);
+    if (missing.length > 0) {
+      logger.warn(`MCP server '${name}' skipped - missing environment variables: ${missing.join(', ')}`);
+      return null;
+    }
+
+    // Standard MCP servers are reached over a transport instead of an in-process module
+    if (definition.transport) {
+      const server = new ExternalMCPServer(name, {
+        ...definition,
+        transport: this.expandEnv(definition.transport)
+      });
+      await server.initialize();
+      return server;
+    }
+
+    const modulePath = this.resolveModulePath(name, definition);
+    if (!fs.existsSync(modulePath)) {
+      throw new Error(`Module not found: ${modulePath}`);
+    }
+
+    const module = await import(pathToFileURL(modulePath).href);
+    const ServerClass = definition.export ? module[definition.export] : module.default;
+
+    if (typeof ServerClass !== 'function') {
+      throw new Error(`${modulePath} does not export ${definition.export || 'a default'} server class`);
+    }
+
+    const server = new ServerClass(definition.options || {});
+    this.validateServer(name, server);
+    await server.initialize();
+
+    return server;
+  }
+
+  expandEnv(value) {
+    // Lets config reference secrets as "${VAR}" instead of storing them in the file
+    if (typeof value === 'string') {
+      return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.expandEnv(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.expandEnv(item)]));
+    }
+    return value;
+  }
+
+  validateServer(name, server) {
+    const requiredMethods = [
+      'initialize',
+      'executeOperation',
+      'getAvailableOperations',
+      'getToolDefinitions',
+      'getDescription',
+      'getStatus'
+    ];
+
+    const missing = requiredMethods.filter(method => typeof server[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`MCP server '${name}' is missing methods: ${missing.join(', ')}`);
+    }
+  }
+}
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+// Write operations wait here until the user approves, edits or cancels them
+export class PendingActionStore {
+  constructor() {
+    this.ttlMs = parseInt(process.env.PENDING_ACTION_TTL_MS) || 10 * 60 * 1000;
+    this.actions = new Map(); // id -> pending action
+    this.sweepTimer = null;
+  }
+
+  start() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => this.sweep(), 60000);
+    // Never keep the process alive just for the sweep
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  create({ userId, platform, chatId, type, operation, parameters, description }) {
+    const key = this.getKey(userId, platform, type, operation, parameters);
+
+    // The model sometimes repeats a call; reuse the open request instead of stacking duplicates
+    for (const existing of this.actions.values()) {
+      if (existing.status === 'pending' && existing.key === key && !this.isExpired(existing)) {
+        return existing;
+      }
+    }
+
+    const now = Date.now();
+    const pending = {
+      id: crypto.randomBytes(4).toString('hex'),
+      key,
+      userId,
+      platform,
+      chatId,
+      type,
+      operation,
+      parameters,
+      description,
+      status: 'pending',
+      announced: false,
+      createdAt: new Date(now),
+      expiresAt: new Date(now + this.ttlMs)
+    };
+
+    this.actions.set(pending.id, pending);
+    logger.info(`Created pending action ${pending.id} (${type}.${operation}) for user ${userId}`);
+
+    return pending;
+  }
+
+  get(id) {
+    const pending = this.actions.get(id);
+    if (pending && pending.status === 'pending' && this.isExpired(pending)) {
+      pending.status = 'expired';
+    }
+    return pending || null;
+  }
+
+  // Returns the open action of this user, or throws with a message fit for the user.
+  // With a platform, actions proposed on another platform count as someone else's.
+  getOpen(id, userId, platform) {
+    const pending = this.get(id);
+
+    if (!pending || !this.belongsTo(pending, userId, platform)) {
+      throw this.createError(`Pending action ${id} not found`, 404);
+    }
+
+    if (pending.status === 'expired') {
+      throw this.createError(`Pending action ${id} expired - ask again to create a new one`, 410);
+    }
+
+    if (pending.status !== 'pending') {
+      throw this.createError(`Pending action ${id} is already ${pending.status}`, 409);
+    }
+
+    return pending;
+  }
+
+  update(id, userId, parameters, platform) {
+    const pending = this.getOpen(id, userId, platform);
+
+    pending.parameters = parameters;
+    pending.key = this.getKey(userId, pending.platform, pending.type, pending.operation, parameters);
+    // Editing counts as activity, so the clock restarts
+    pending.expiresAt = new Date(Date.now() + this.ttlMs);
+
+    return pending;
+  }
+
+  setStatus(id, status) {
+    const pending = this.actions.get(id);
+    if (pending) {
+      pending.status = status;
+      pending.resolvedAt = new Date();
+    }
+    return pending;
+  }
+
+  belongsTo(pending, userId, platform) {
+    return pending.userId === userId && (!platform || pending.platform === platform);
+  }
+
+  list(userId, platform) {
+    return [...this.actions.values()]
+      .map(pending => this.get(pending.id))
+      .filter(pending => this.belongsTo(pending, userId, platform) && pending.status === 'pending');
+  }
+
+  takeUnannounced(userId, platform) {
+    const fresh = this.list(userId, platform).filter(pending => !pending.announced);
+    fresh.forEach(pending => {
+      pending.announced = true;
+    });
+    return fresh;
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    // Safe to show to the user as-is, unlike failures of the action itself
+    error.expose = true;
+    return error;
+  }
+
+  isExpired(pending) {
+    return pending.expiresAt.getTime() <= Date.now();
+  }
+
+  sweep() {
+    // Resolved and expired actions are kept for one more TTL so late button presses get a clear answer
+    const cutoff = Date.now() - this.ttlMs;
+
+    for (const [id, pending] of this.actions) {
+      const finishedAt = pending.resolvedAt ? pending.resolvedAt.getTime() : pending.expiresAt.getTime();
+      if (finishedAt <= cutoff) {
+        this.actions.delete(id);
+      }
+    }
+  }
+
+  // The same request from two platforms stays two actions, each answered where it was made
+  getKey(userId, platform, type, operation, parameters) {
+    return `${platform}:${userId}:${type}:${operation}:${JSON.stringify(parameters)}`;
+  }
+
+  formatPreview(pending) {
+    const minutes = Math.max(1, Math.round((pending.expiresAt.getTime() - Date.now()) / 60000));
+
+    return [
+      `📝 Confirm ${pending.type}.${pending.operation}`,
+      pending.description,
+      '',
+      JSON.stringify(pending.parameters, null, 2),
+      '',
+      `Expires in ${minutes} min (id ${pending.id})`
+    ].join('\n');
+  }
+
+  serialize(pending) {
+    return {
+      id: pending.id,
+      action: `${pending.type}.${pending.operation}`,
+      description: pending.description,
+      parameters: pending.parameters,
+      status: pending.status,
+      createdAt: pending.createdAt,
+      expiresAt: pending.expiresAt
+    };
+  }
+}
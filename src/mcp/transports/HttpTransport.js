@@ -0,0 +1,100 @@
+import axios from 'axios';
+import { logger } from '../../utils/logger.js';
+
+export class HttpTransport {
+  constructor({ url, headers = {}, timeout = 60000 }) {
+    this.url = url;
+    this.sessionId = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.client = axios.create({
+      timeout,
+      headers,
+      // Bodies are parsed by content type below, so keep them as text
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+  }
+
+  async start() {
+    if (!this.url) {
+      throw new Error('http transport requires a url');
+    }
+  }
+
+  async send(message) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream'
+    };
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+
+    const response = await this.client.post(this.url, JSON.stringify(message), { headers });
+
+    if (response.headers['mcp-session-id']) {
+      this.sessionId = response.headers['mcp-session-id'];
+    }
+
+    // Notifications and responses are acknowledged without a body
+    if (response.status === 202) {
+      return;
+    }
+
+    if (response.status === 404 && this.sessionId) {
+      this.sessionId = null;
+      throw new Error('MCP session expired');
+    }
+
+    if (response.status >= 400) {
+      throw new Error(`MCP HTTP request failed with status ${response.status}`);
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    const messages = contentType.includes('text/event-stream') ?
+      this.parseEventStream(response.data) :
+      [].concat(JSON.parse(response.data || 'null') || []);
+
+    for (const received of messages) {
+      if (this.onmessage) this.onmessage(received);
+    }
+  }
+
+  parseEventStream(body) {
+    const messages = [];
+
+    for (const event of body.split(/\r?\n\r?\n/)) {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.substring(5).trimStart())
+        .join('\n');
+
+      if (!data) continue;
+
+      try {
+        messages.push(...[].concat(JSON.parse(data)));
+      } catch (error) {
+        logger.warn('Ignoring malformed MCP event:', data.substring(0, 200));
+      }
+    }
+
+    return messages;
+  }
+
+  async close() {
+    if (!this.sessionId) {
+      return;
+    }
+
+    try {
+      await this.client.delete(this.url, { headers: { 'Mcp-Session-Id': this.sessionId } });
+    } catch (error) {
+      logger.debug('Failed to end MCP HTTP session:', error.message);
+    }
+    this.sessionId = null;
+    if (this.onclose) this.onclose();
+  }
+}
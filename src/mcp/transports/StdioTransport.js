@@ -0,0 +1,98 @@
+import { spawn } from 'child_process';
+import { logger } from '../../utils/logger.js';
+
+export class StdioTransport {
+  constructor({ command, args = [], env = {}, cwd }) {
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.cwd = cwd;
+    this.process = null;
+    this.buffer = '';
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  async start() {
+    if (!this.command) {
+      throw new Error('stdio transport requires a command');
+    }
+
+    this.process = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    // Fail fast if the command can't be started at all
+    await new Promise((resolve, reject) => {
+      this.process.once('spawn', resolve);
+      this.process.once('error', reject);
+    });
+
+    this.process.stdout.on('data', (chunk) => this.handleData(chunk));
+
+    this.process.stderr.on('data', (chunk) => {
+      logger.debug(`[${this.command}] ${chunk.toString().trim()}`);
+    });
+
+    // Writing to a server that stopped reading fails with EPIPE, which would crash the bot
+    // if nothing listened for it
+    this.process.stdin.on('error', (error) => {
+      logger.warn(`MCP stdio server '${this.command}' stopped accepting input:`, error.message);
+      this.handleClose();
+    });
+
+    this.process.on('exit', (code, signal) => {
+      logger.warn(`MCP stdio server '${this.command}' exited (code ${code}, signal ${signal})`);
+      this.handleClose();
+    });
+  }
+
+  handleClose() {
+    // Both a broken stdin and the exit itself end up here, report only once
+    if (!this.process) return;
+
+    const child = this.process;
+    this.process = null;
+    child.kill();
+    if (this.onclose) this.onclose();
+  }
+
+  handleData(chunk) {
+    // Messages are newline-delimited JSON-RPC objects
+    this.buffer += chunk.toString('utf-8');
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const message = JSON.parse(line);
+        if (this.onmessage) this.onmessage(message);
+      } catch (error) {
+        logger.warn(`Ignoring non-JSON output from MCP server '${this.command}':`, line.substring(0, 200));
+      }
+    }
+  }
+
+  async send(message) {
+    if (!this.process) {
+      throw new Error(`MCP stdio server '${this.command}' is not running`);
+    }
+
+    const stdin = this.process.stdin;
+    await new Promise((resolve, reject) => {
+      stdin.write(`${JSON.stringify(message)}\n`, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async close() {
+    if (this.process) {
+      this.process.stdin.end();
+      this.process.kill();
+      this.process = null;
+    }
+  }
+}
@@ -0,0 +1,110 @@
+// Words too common to say anything about a match; they would only add noise to the scores
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for',
+  'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+  'no', 'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'you', 'your'
+]);
+
+// In-memory inverted index with Okapi BM25 scoring. It's rebuilt from the stored documents at startup,
+// so it needs no persistence of its own.
+export class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.postings = new Map(); // term -> Map(docId -> term frequency)
+    this.docTerms = new Map(); // docId -> distinct terms, for removal
+    this.docLengths = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docLengths.size;
+  }
+
+  // Identifiers such as owner/repo, snake_case names and error codes stay whole
+  // and are also indexed by their parts, so either form matches
+  tokenize(text) {
+    const tokens = [];
+
+    for (const [token] of String(text).toLowerCase().matchAll(/[\p{L}\p{N}_]+(?:[-./:#@][\p{L}\p{N}_]+)*/gu)) {
+      if (!STOP_WORDS.has(token)) {
+        tokens.push(token);
+      }
+
+      const parts = token.split(/[-./:#@_]+/).filter(Boolean);
+      if (parts.length > 1) {
+        tokens.push(...parts.filter(part => !STOP_WORDS.has(part)));
+      }
+    }
+
+    return tokens;
+  }
+
+  add(id, text) {
+    this.remove(id);
+
+    const tokens = this.tokenize(text);
+    const counts = new Map();
+    for (const token of tokens) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+
+    for (const [term, count] of counts) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, count);
+    }
+
+    this.docTerms.set(id, Array.from(counts.keys()));
+    this.docLengths.set(id, tokens.length);
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) return false;
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= this.docLengths.get(id);
+    this.docTerms.delete(id);
+    this.docLengths.delete(id);
+    return true;
+  }
+
+  search(query, { limit = 10, filter = null } = {}) {
+    const docCount = this.docLengths.size;
+    if (docCount === 0) return [];
+
+    const averageLength = this.totalLength / docCount || 1;
+    const scores = new Map();
+
+    for (const term of new Set(this.tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, frequency] of posting) {
+        const length = this.docLengths.get(id);
+        const score = idf * (frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+      .filter(hit => !filter || filter(hit.id))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,112 @@
+import { estimateMessageTokens } from '../utils/tokens.js';
+
+export class ContextBuilder {
+  constructor() {
+    // Share of the budget each section may claim before leftovers are redistributed
+    this.shares = {
+      shortTerm: 0.4,
+      longTerm: 0.25,
+      rag: 0.25,
+      graph: 0.1
+    };
+    this.sections = Object.keys(this.shares);
+  }
+
+  build(candidates, { tokens, tokenizer }) {
+    // The conversation summary is small and always kept, so it comes off the top
+    const summary = candidates.summary || null;
+    const summaryCost = summary ? estimateMessageTokens(summary, tokenizer) : 0;
+    const available = Math.max(tokens - summaryCost, 0);
+
+    const ranked = {
+      shortTerm: candidates.shortTerm || [], // Already most recent first
+      longTerm: this.rankLongTerm(candidates.longTerm || []),
+      rag: this.rankRAG(candidates.rag || []),
+      graph: candidates.graph || [] // Already nearest relations first
+    };
+
+    const entries = {};
+    for (const section of this.sections) {
+      entries[section] = ranked[section].map(item => ({
+        item,
+        cost: estimateMessageTokens(this.getItemText(section, item), tokenizer),
+        selected: false
+      }));
+    }
+
+    let used = 0;
+
+    // First pass: each section fills its own share in rank order
+    for (const section of this.sections) {
+      const limit = Math.floor(available * this.shares[section]);
+      used += this.fill(section, entries[section], limit);
+    }
+
+    // Second pass: whatever is left goes to the items that didn't fit, in section order
+    for (const section of this.sections) {
+      used += this.fill(section, entries[section], available - used);
+    }
+
+    const context = { summary, budget: { tokens, used: used + summaryCost, dropped: [] } };
+    for (const section of this.sections) {
+      context[section] = entries[section].filter(entry => entry.selected).map(entry => entry.item);
+
+      for (const entry of entries[section]) {
+        if (!entry.selected) {
+          context.budget.dropped.push({
+            section,
+            id: entry.item.id || null,
+            tokens: entry.cost
+          });
+        }
+      }
+    }
+
+    return context;
+  }
+
+  fill(section, entries, limit) {
+    let spent = 0;
+
+    for (const entry of entries) {
+      if (entry.selected) continue;
+
+      if (spent + entry.cost > limit) {
+        // Conversation history must stay a contiguous run of the latest turns
+        if (section === 'shortTerm') break;
+        continue;
+      }
+
+      entry.selected = true;
+      spent += entry.cost;
+    }
+
+    return spent;
+  }
+
+  rankLongTerm(items) {
+    // MemoryManager sets relevance when it ranks retrieved memories; importance is the fallback
+    return [...items].sort((a, b) =>
+      (b.relevance ?? b.importance ?? 0) - (a.relevance ?? a.importance ?? 0) ||
+      new Date(b.timestamp) - new Date(a.timestamp)
+    );
+  }
+
+  rankRAG(items) {
+    // Hybrid search already ranked these by fused score; similarity is the fallback
+    return [...items].sort((a, b) => (b.score ?? b.similarity ?? 0) - (a.score ?? a.similarity ?? 0));
+  }
+
+  getItemText(section, item) {
+    if (section === 'rag') {
+      return item.content;
+    }
+
+    if (section === 'graph') {
+      return item.text;
+    }
+
+    // Short-term items also carry the thought process, which is never sent to the model
+    return typeof item.content === 'string' ? item.content : JSON.stringify(item.content);
+  }
+}
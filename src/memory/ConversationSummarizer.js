@@ -0,0 +1,37 @@
+import { logger } from '../utils/logger.js';
+
+// Folds turns that fall out of the short-term window into a running summary,
+// so long conversations keep their thread
+export class ConversationSummarizer {
+  constructor(aiModelManager, { maxTurnLength = 600, maxWords = 250 } = {}) {
+    this.aiModelManager = aiModelManager;
+    this.maxTurnLength = maxTurnLength;
+    this.maxWords = maxWords;
+  }
+
+  // turns: short-term items, oldest first
+  async summarize(userId, { previousSummary, turns }) {
+    const transcript = turns
+      .filter(turn => typeof turn.content === 'string' && turn.content.trim())
+      .map(turn => `${turn.type === 'user_message' ? 'User' : 'Assistant'}: ${turn.content.substring(0, this.maxTurnLength).replace(/\s+/g, ' ')}`)
+      .join('\n');
+
+    if (!transcript) {
+      return previousSummary || '';
+    }
+
+    const summary = await this.aiModelManager.complete({
+      userId,
+      system: 'You keep a running summary of a conversation between a user and an assistant. Reply with the summary only.',
+      prompt: `Summary so far:\n${previousSummary || '(none)'}\n\n` +
+        `Next part of the conversation:\n${transcript}\n\n` +
+        `Rewrite the summary to cover both, in at most ${this.maxWords} words. ` +
+        'Keep topics, decisions, names, numbers, links and open questions; drop greetings and filler. ' +
+        'Write in the third person ("The user asked...") and give older parts less detail than recent ones.',
+      maxTokens: Math.ceil(this.maxWords * 2)
+    });
+
+    logger.debug(`Summarized ${turns.length} turns for user ${userId}`);
+    return String(summary).trim();
+  }
+}
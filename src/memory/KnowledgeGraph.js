@@ -0,0 +1,354 @@
+import { getDatabase, getDatabasePath } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+// account is a GitHub user or organization, which results alone can't tell apart
+export const ENTITY_TYPES = ['person', 'account', 'organization', 'repository', 'project', 'figma_file', 'deadline', 'topic'];
+
+// Only the first items of a list result are learned from
+const MAX_RESULT_ITEMS = 20;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// What a user's conversations and tool results say about the people, repositories, projects,
+// Figma files and deadlines around them, e.g. "Alice discussed acme/api" and "acme owns acme/api",
+// so a question naming one of them can reach the others
+export class KnowledgeGraph {
+  constructor() {
+    this.db = null;
+    this.dbPath = getDatabasePath();
+    // Relations added to the context of one reply
+    this.contextLimit = parseInt(process.env.KNOWLEDGE_GRAPH_CONTEXT_LIMIT) || 15;
+  }
+
+  async initialize() {
+    try {
+      // Tables come from src/migrations, applied before the stores start
+      this.db = await getDatabase(this.dbPath);
+      logger.info('Knowledge graph initialized');
+    } catch (error) {
+      logger.error('Failed to initialize knowledge graph:', error);
+      throw error;
+    }
+  }
+
+  normalizeName(name) {
+    return String(name ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // "Works on" -> works_on
+  normalizeRelation(relation) {
+    return String(relation ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '').substring(0, 40);
+  }
+
+  async upsertEntity(userId, { type, name, attributes = {} }) {
+    const key = this.normalizeName(name);
+    if (!key || !ENTITY_TYPES.includes(type)) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const existing = await this.db.get(
+      'SELECT id, attributes FROM kg_entities WHERE user_id = ? AND type = ? AND name_key = ?',
+      [userId, type, key]
+    );
+
+    if (existing) {
+      await this.db.run(
+        'UPDATE kg_entities SET attributes = ?, mentions = mentions + 1, updated_at = ? WHERE id = ?',
+        [JSON.stringify({ ...JSON.parse(existing.attributes), ...attributes }), now, existing.id]
+      );
+      return existing.id;
+    }
+
+    const result = await this.db.run(`
+      INSERT INTO kg_entities (user_id, type, name, name_key, attributes, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [userId, type, String(name).trim(), key, JSON.stringify(attributes), now, now]);
+    return result?.lastID || null;
+  }
+
+  async addRelation(userId, { from, relation, to }, source = null) {
+    const name = this.normalizeRelation(relation);
+    const fromId = await this.upsertEntity(userId, from);
+    const toId = await this.upsertEntity(userId, to);
+    if (!name || !fromId || !toId || fromId === toId) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    await this.db.run(`
+      INSERT INTO kg_relations (user_id, from_id, relation, to_id, source, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (from_id, relation, to_id) DO UPDATE SET
+        mentions = mentions + 1, source = excluded.source, updated_at = excluded.updated_at
+    `, [userId, fromId, name, toId, source, now, now]);
+    return true;
+  }
+
+  // entities: [{ type, name, attributes }], relations: [{ from, relation, to }] with entities at both ends
+  async record(userId, { entities = [], relations = [] }, source = null) {
+    let recorded = 0;
+
+    try {
+      for (const entity of entities) {
+        if (await this.upsertEntity(userId, entity)) recorded++;
+      }
+      for (const relation of relations) {
+        if (await this.addRelation(userId, relation, source)) recorded++;
+      }
+    } catch (error) {
+      logger.error(`Error updating knowledge graph for user ${userId}:`, error);
+    }
+
+    return recorded;
+  }
+
+  // Name of an entity learned earlier under the id a tool knows it by, e.g. a Figma file key
+  async findName(userId, type, attribute, value) {
+    const row = await this.db.get(
+      `SELECT name FROM kg_entities WHERE user_id = ? AND type = ? AND json_extract(attributes, '$.${attribute}') = ?`,
+      [userId, type, String(value)]
+    );
+    return row?.name || null;
+  }
+
+  // What a GitHub or Figma result says about who owns, works on or contains what
+  async fromActionResult(userId, action, parameters = {}, result) {
+    const entities = [];
+    const relations = [];
+    const items = list => (Array.isArray(list) ? list.slice(0, MAX_RESULT_ITEMS) : []);
+    const account = login => ({ type: 'account', name: login });
+
+    const addRepository = repo => {
+      if (!repo?.full_name) return null;
+      const entity = {
+        type: 'repository',
+        name: repo.full_name,
+        attributes: Object.fromEntries(
+          Object.entries({ url: repo.html_url, description: repo.description, language: repo.language }).filter(([, value]) => value)
+        )
+      };
+      relations.push({ from: account(repo.full_name.split('/')[0]), relation: 'owns', to: entity });
+      return entity;
+    };
+
+    // Operations on a repository name it in their parameters
+    const target = parameters.owner && parameters.repo ? addRepository({ full_name: `${parameters.owner}/${parameters.repo}` }) : null;
+
+    switch (action) {
+      case 'github.list_repositories':
+      case 'github.search_repositories':
+        items(result?.repositories).forEach(addRepository);
+        break;
+
+      case 'github.get_repository':
+        addRepository(result);
+        break;
+
+      case 'github.list_issues':
+        for (const issue of items(result?.issues)) {
+          if (issue.user) relations.push({ from: account(issue.user), relation: 'opened_issues_in', to: target });
+          for (const assignee of issue.assignees || []) {
+            relations.push({ from: account(assignee), relation: 'works_on', to: target });
+          }
+        }
+        break;
+
+      case 'github.create_issue':
+        for (const assignee of parameters.assignees || []) {
+          relations.push({ from: account(assignee), relation: 'works_on', to: target });
+        }
+        break;
+
+      case 'github.get_pull_requests':
+        for (const pr of items(result?.pull_requests)) {
+          if (pr.user) relations.push({ from: account(pr.user), relation: 'contributes_to', to: target });
+        }
+        break;
+
+      case 'github.list_commits':
+        for (const commit of items(result?.commits)) {
+          if (commit.author?.name) relations.push({ from: { type: 'person', name: commit.author.name }, relation: 'contributes_to', to: target });
+        }
+        break;
+
+      case 'github.get_user_info':
+        if (result?.login) {
+          entities.push(account(result.login));
+          if (result.name) relations.push({ from: { type: 'person', name: result.name }, relation: 'has_account', to: account(result.login) });
+        }
+        break;
+
+      case 'figma.list_team_projects':
+        for (const project of items(result?.projects)) {
+          entities.push({ type: 'project', name: project.name, attributes: { figmaProjectId: String(project.id) } });
+        }
+        break;
+
+      case 'figma.get_project_files': {
+        const projectName = await this.findName(userId, 'project', 'figmaProjectId', parameters.project_id);
+        for (const file of items(result?.files)) {
+          const entity = { type: 'figma_file', name: file.name, attributes: { figmaFileKey: file.key } };
+          if (projectName) {
+            relations.push({ from: { type: 'project', name: projectName }, relation: 'contains', to: entity });
+          } else {
+            entities.push(entity);
+          }
+        }
+        break;
+      }
+
+      case 'figma.get_file':
+        if (result?.name) entities.push({ type: 'figma_file', name: result.name, attributes: { figmaFileKey: parameters.file_key } });
+        break;
+
+      case 'figma.get_comments': {
+        const fileName = await this.findName(userId, 'figma_file', 'figmaFileKey', parameters.file_key);
+        if (!fileName) break;
+        for (const comment of items(result?.comments)) {
+          if (comment.user?.handle) {
+            relations.push({ from: { type: 'person', name: comment.user.handle }, relation: 'commented_on', to: { type: 'figma_file', name: fileName } });
+          }
+        }
+        break;
+      }
+    }
+
+    // A repository named in both the parameters and the result is still one relation
+    const unique = new Map(relations
+      .filter(relation => relation.to)
+      .map(relation => [`${relation.from.name}|${relation.relation}|${relation.to.name}`, relation]));
+    return { entities, relations: [...unique.values()] };
+  }
+
+  // Entities named in the text, or in extraNames such as the entities of retrieved memories
+  async findMentioned(userId, text, extraNames = []) {
+    const haystack = ` ${this.normalizeName([text, ...extraNames].join(' '))} `;
+    const rows = await this.db.all(
+      'SELECT id, type, name_key FROM kg_entities WHERE user_id = ? ORDER BY mentions DESC, updated_at DESC LIMIT 1000',
+      [userId]
+    );
+
+    return rows.filter(row => {
+      // acme/api is also talked about as just "api"
+      const names = row.type === 'repository' ? [row.name_key, row.name_key.split('/').pop()] : [row.name_key];
+      // The substring check rules out nearly every row before a word-boundary RegExp is built
+      return names.some(name => name.length >= 3 && haystack.includes(name) &&
+        new RegExp(`[^\\p{L}\\p{N}_]${escapeRegExp(name)}[^\\p{L}\\p{N}_]`, 'u').test(haystack));
+    });
+  }
+
+  describeRelation(row) {
+    return `${row.from_name} (${row.from_type}) ${row.relation.replace(/_/g, ' ')} ${row.to_name} (${row.to_type})`;
+  }
+
+  // Relations of the entities the text names, then those of their neighbours, so
+  // "who owns the repo we discussed with Alice?" reaches Alice -> repo -> owner
+  async getContext(userId, text, { extraNames = [], limit = this.contextLimit } = {}) {
+    try {
+      const seeds = await this.findMentioned(userId, text, extraNames);
+      const visited = new Set(seeds.map(entity => entity.id));
+      const seen = new Set();
+      const facts = [];
+      let frontier = [...visited];
+
+      for (let hop = 0; hop < 2 && frontier.length > 0 && facts.length < limit; hop++) {
+        const placeholders = frontier.map(() => '?').join(', ');
+        const rows = await this.db.all(`
+          SELECT r.id, r.relation, r.source,
+            f.id AS from_id, f.name AS from_name, f.type AS from_type,
+            t.id AS to_id, t.name AS to_name, t.type AS to_type
+          FROM kg_relations r
+          JOIN kg_entities f ON f.id = r.from_id
+          JOIN kg_entities t ON t.id = r.to_id
+          WHERE r.user_id = ? AND (r.from_id IN (${placeholders}) OR r.to_id IN (${placeholders}))
+          ORDER BY r.mentions DESC, r.updated_at DESC
+          LIMIT ?
+        `, [userId, ...frontier, ...frontier, limit]);
+
+        const next = [];
+        for (const row of rows) {
+          if (seen.has(row.id)) continue;
+          seen.add(row.id);
+          facts.push({ id: `graph:${row.id}`, hop, source: row.source, text: this.describeRelation(row) });
+
+          for (const id of [row.from_id, row.to_id]) {
+            if (!visited.has(id)) {
+              visited.add(id);
+              next.push(id);
+            }
+          }
+        }
+        frontier = next;
+      }
+
+      return facts.slice(0, limit);
+    } catch (error) {
+      logger.error('Error querying knowledge graph:', error);
+      return [];
+    }
+  }
+
+  // Relations refer to entities by type and name, so an export can be imported under another user id
+  async getAll(userId) {
+    const entities = await this.db.all(
+      'SELECT id, type, name, attributes, mentions, updated_at FROM kg_entities WHERE user_id = ? ORDER BY id',
+      [userId]
+    );
+    const relations = await this.db.all(`
+      SELECT f.type AS from_type, f.name AS from_name, r.relation, t.type AS to_type, t.name AS to_name, r.source, r.mentions
+      FROM kg_relations r
+      JOIN kg_entities f ON f.id = r.from_id
+      JOIN kg_entities t ON t.id = r.to_id
+      WHERE r.user_id = ?
+      ORDER BY r.id
+    `, [userId]);
+
+    return {
+      entities: entities.map(row => ({
+        type: row.type,
+        name: row.name,
+        attributes: JSON.parse(row.attributes),
+        mentions: row.mentions,
+        updatedAt: row.updated_at
+      })),
+      relations: relations.map(row => ({
+        from: { type: row.from_type, name: row.from_name },
+        relation: row.relation,
+        to: { type: row.to_type, name: row.to_name },
+        source: row.source,
+        mentions: row.mentions
+      }))
+    };
+  }
+
+  async restore(userId, { entities = [], relations = [] }) {
+    let restored = 0;
+    for (const entity of entities) {
+      if (await this.upsertEntity(userId, entity)) restored++;
+    }
+    for (const relation of relations) {
+      if (await this.addRelation(userId, relation, relation.source || 'import')) restored++;
+    }
+    return restored;
+  }
+
+  async count(userId) {
+    const { total } = await this.db.get(`
+      SELECT (SELECT COUNT(*) FROM kg_entities WHERE user_id = ?) + (SELECT COUNT(*) FROM kg_relations WHERE user_id = ?) AS total
+    `, [userId, userId]);
+    return total;
+  }
+
+  async clear(userId) {
+    await this.db.run('DELETE FROM kg_relations WHERE user_id = ?', [userId]);
+    const result = await this.db.run('DELETE FROM kg_entities WHERE user_id = ?', [userId]);
+    logger.info(`Cleared ${result?.changes || 0} knowledge graph entities for user ${userId}`);
+  }
+
+  async getStatus() {
+    const entities = await this.db.get('SELECT COUNT(*) AS total FROM kg_entities');
+    const relations = await this.db.get('SELECT COUNT(*) AS total FROM kg_relations');
+    return { entities: entities.total, relations: relations.total };
+  }
+}
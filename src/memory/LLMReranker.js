@@ -0,0 +1,44 @@
+import { logger } from '../utils/logger.js';
+
+// Asks the chat model to grade each retrieved passage against the query.
+// Costs one extra model call per search, so it's only used when RAG_RERANKER=llm.
+export class LLMReranker {
+  constructor(aiModelManager, { maxPassageLength = 600 } = {}) {
+    this.aiModelManager = aiModelManager;
+    this.maxPassageLength = maxPassageLength;
+  }
+
+  // Returns one score between 0 and 1 per passage, in the same order
+  async rerank(query, passages) {
+    const numbered = passages
+      .map((passage, i) => `[${i}] ${passage.substring(0, this.maxPassageLength).replace(/\s+/g, ' ')}`)
+      .join('\n');
+
+    const response = await this.aiModelManager.complete({
+      system: 'You grade how well passages answer a search query. Reply with JSON only.',
+      prompt: `Query: ${query}\n\nPassages:\n${numbered}\n\n` +
+        `Rate each passage from 0 (irrelevant) to 10 (directly answers the query). ` +
+        `Reply as {"scores": [<one number per passage, in order>]}`,
+      maxTokens: 20 + passages.length * 6
+    });
+
+    const scores = this.parseScores(response, passages.length);
+    logger.debug(`Reranked ${passages.length} passages for "${query}"`);
+    return scores.map(score => Math.min(Math.max(score / 10, 0), 1));
+  }
+
+  parseScores(text, expected) {
+    const match = String(text).match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+    if (!match) {
+      throw new Error('Reranker reply contained no JSON');
+    }
+
+    const parsed = JSON.parse(match[0]);
+    const scores = Array.isArray(parsed) ? parsed : parsed.scores;
+    if (!Array.isArray(scores) || scores.length !== expected || scores.some(score => typeof score !== 'number')) {
+      throw new Error(`Reranker returned ${Array.isArray(scores) ? scores.length : 'no'} scores for ${expected} passages`);
+    }
+
+    return scores;
+  }
+}
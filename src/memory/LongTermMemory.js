@@ -1,32 +1,30 @@
-import sqlite3 from 'sqlite3';
-import { open } from 'sqlite';
-import path from 'path';
-import fs from 'fs';
+import { getDatabase, getDatabasePath } from '../utils/database.js';
 import { logger } from '../utils/logger.js';
 
+// Left out of natural-language queries, where they'd match nearly every memory
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'to', 'of', 'and', 'or', 'in', 'on', 'at', 'for',
+  'with', 'it', 'this', 'that', 'as', 'by', 'from', 'what', 'when', 'how', 'do', 'does', 'did', 'can',
+  'i', 'me', 'my', 'you', 'your', 'we', 'our', 'about', 'please'
+]);
+
+// updated_at comes from CURRENT_TIMESTAMP, which is UTC without a zone
+const parseSqlDate = value => {
+  if (value === null || value === undefined) return null;
+  return new Date(typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+};
+
 export class LongTermMemory {
   constructor() {
     this.db = null;
-    this.dbPath = process.env.DATABASE_PATH || './data/minibot.db';
+    this.dbPath = getDatabasePath();
   }
 
   async initialize() {
     try {
-      // Ensure data directory exists
-      const dataDir = path.dirname(this.dbPath);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-
-      // Initialize SQLite database with better async support
-      this.db = await open({
-        filename: this.dbPath,
-        driver: sqlite3.Database
-      });
-
-      // Create tables
-      await this.createTables();
-      
+      // Shares the connection with the other stores in the same database file
+      // Tables come from src/migrations, applied before the stores start
+      this.db = await getDatabase(this.dbPath);
       logger.info('Long-term memory initialized with SQLite database');
     } catch (error) {
       logger.error('Failed to initialize long-term memory:', error);
@@ -34,31 +32,51 @@ export class LongTermMemory {
     }
   }
 
-  async createTables() {
-    const createMemoryTable = `
-      CREATE TABLE IF NOT EXISTS long_term_memory (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id TEXT NOT NULL,
-        content TEXT NOT NULL,
-        metadata TEXT,
-        importance REAL DEFAULT 0.5,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createIndexes = [
-      'CREATE INDEX IF NOT EXISTS idx_user_id ON long_term_memory(user_id)',
-      'CREATE INDEX IF NOT EXISTS idx_timestamp ON long_term_memory(timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_importance ON long_term_memory(importance)'
-    ];
-
-    await this.db.run(createMemoryTable);
-    
-    for (const indexQuery of createIndexes) {
-      await this.db.run(indexQuery);
+  // Turns free text into an FTS5 query. "Quoted phrases" and prefix* terms are kept;
+  // every other word is quoted so characters like - or : in chat messages can't break the syntax.
+  // matchAll requires every term (explicit searches), otherwise any term matches and bm25 ranks.
+  toMatchQuery(query, { matchAll = false } = {}) {
+    const tokenize = text => (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []);
+    const terms = new Set();
+
+    for (const [, phrase, word] of (query || '').matchAll(/"([^"]+)"|(\S+)/g)) {
+      if (phrase) {
+        const words = tokenize(phrase);
+        if (words.length > 0) terms.add(`"${words.join(' ')}"`);
+        continue;
+      }
+
+      const tokens = tokenize(word);
+      const isPrefix = word.endsWith('*');
+      tokens.forEach((token, i) => {
+        if (isPrefix && i === tokens.length - 1) {
+          terms.add(`"${token}"*`);
+        } else if (matchAll || !STOP_WORDS.has(token)) {
+          terms.add(`"${token}"`);
+        }
+      });
     }
+
+    return Array.from(terms).slice(0, 32).join(matchAll ? ' AND ' : ' OR ');
+  }
+
+  toMemory(row) {
+    return {
+      id: row.id,
+      kind: row.kind,
+      content: JSON.parse(row.content),
+      metadata: JSON.parse(row.metadata || '{}'),
+      importance: row.importance,
+      confidence: row.confidence,
+      timestamp: new Date(row.timestamp),
+      updatedAt: parseSqlDate(row.updated_at),
+      accessCount: row.access_count || 0,
+      lastAccessed: parseSqlDate(row.last_accessed),
+      strength: row.strength ?? row.importance,
+      archivedAt: parseSqlDate(row.archived_at),
+      // Full-text matches also say how well and where they matched
+      ...(row.rank !== undefined && { score: -row.rank, snippet: row.snippet })
+    };
   }
 
   async store(userId, memoryData) {
@@ -105,28 +123,103 @@ export class LongTermMemory {
     }
   }
 
-  async getRelevant(userId, query, limit = 5) {
+  // Facts, preferences, tasks and entities pulled out of conversations by MemoryExtractor
+  async storeFact(userId, { kind, text, entities = [], due = null, confidence, importance, metadata = {} }) {
     try {
-      // Simple text-based relevance search
-      // In production, you might want to use FTS (Full-Text Search) or vector similarity
-      const searchQuery = `
-        SELECT * FROM long_term_memory 
-        WHERE user_id = ? 
-        AND (content LIKE ? OR metadata LIKE ?)
-        ORDER BY importance DESC, timestamp DESC
+      const result = await this.db.run(`
+        INSERT INTO long_term_memory (user_id, content, metadata, importance, kind, confidence, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        userId,
+        JSON.stringify({ kind, text, entities, due }),
+        JSON.stringify(metadata),
+        importance,
+        kind,
+        confidence,
+        new Date()
+      ]);
+
+      logger.debug(`Stored ${kind} for user ${userId}: ${text}`);
+      return result?.lastID || null;
+    } catch (error) {
+      logger.error('Error storing extracted memory:', error);
+      throw error;
+    }
+  }
+
+  async getFacts(userId, limit = 50) {
+    try {
+      const results = await this.db.all(`
+        SELECT * FROM long_term_memory
+        WHERE user_id = ? AND kind NOT IN ('conversation', 'summary')
+        ORDER BY updated_at DESC
         LIMIT ?
-      `;
+      `, [userId, limit]);
+
+      return results.map(row => this.toMemory(row));
+    } catch (error) {
+      logger.error('Error getting extracted memories:', error);
+      return [];
+    }
+  }
+
+  // One rolling summary per user of the turns evicted from short-term memory
+  async getSummary(userId) {
+    try {
+      const row = await this.db.get(
+        "SELECT * FROM long_term_memory WHERE user_id = ? AND kind = 'summary' ORDER BY id DESC LIMIT 1",
+        [userId]
+      );
+      return row ? this.toMemory(row) : null;
+    } catch (error) {
+      logger.error('Error getting conversation summary:', error);
+      return null;
+    }
+  }
+
+  async saveSummary(userId, { text, messages, from, to }) {
+    const existing = await this.getSummary(userId);
+    const content = { kind: 'summary', text, messages, from, to };
+
+    if (existing) {
+      await this.update(existing.id, { content });
+      return existing.id;
+    }
+
+    const result = await this.db.run(`
+      INSERT INTO long_term_memory (user_id, content, metadata, importance, kind, timestamp)
+      VALUES (?, ?, ?, ?, 'summary', ?)
+    `, [userId, JSON.stringify(content), '{}', 0.5, new Date()]);
+    return result?.lastID || null;
+  }
 
-      const searchTerm = `%${query}%`;
-      const results = await this.db.all(searchQuery, [userId, searchTerm, searchTerm, limit]);
+  async deleteSummary(userId) {
+    const result = await this.db.run("DELETE FROM long_term_memory WHERE user_id = ? AND kind = 'summary'", [userId]);
+    return result ? result.changes > 0 : false;
+  }
+
+  async getRelevant(userId, query, limit = 5) {
+    try {
+      const match = this.toMatchQuery(query);
+      if (!match) {
+        return [];
+      }
 
-      return results.map(row => ({
-        id: row.id,
-        content: JSON.parse(row.content),
-        metadata: JSON.parse(row.metadata || '{}'),
-        importance: row.importance,
-        timestamp: new Date(row.timestamp)
-      }));
+      // bm25 is negative, lower is better; strong memories get pulled further up.
+      // rank stays the plain match score so the caller can blend it with strength itself.
+      const results = await this.db.all(`
+        SELECT m.*,
+          bm25(long_term_memory_fts) AS rank,
+          snippet(long_term_memory_fts, 0, '«', '»', '…', 16) AS snippet
+        FROM long_term_memory_fts
+        JOIN long_term_memory m ON m.id = long_term_memory_fts.rowid
+        WHERE long_term_memory_fts MATCH ? AND long_term_memory_fts.user_id = ?
+        AND m.archived_at IS NULL
+        ORDER BY rank * (0.5 + coalesce(m.strength, m.importance, 0.5))
+        LIMIT ?
+      `, [match, userId, limit]);
+
+      return results.map(row => this.toMemory(row));
     } catch (error) {
       logger.error('Error getting relevant long-term memories:', error);
       return [];
@@ -137,20 +230,14 @@ export class LongTermMemory {
     try {
       const query = `
         SELECT * FROM long_term_memory 
-        WHERE user_id = ? 
+        WHERE user_id = ? AND archived_at IS NULL
         ORDER BY timestamp DESC 
         LIMIT ?
       `;
 
       const results = await this.db.all(query, [userId, limit]);
 
-      return results.map(row => ({
-        id: row.id,
-        content: JSON.parse(row.content),
-        metadata: JSON.parse(row.metadata || '{}'),
-        importance: row.importance,
-        timestamp: new Date(row.timestamp)
-      }));
+      return results.map(row => this.toMemory(row));
     } catch (error) {
       logger.error('Error getting recent long-term memories:', error);
       return [];
@@ -166,44 +253,48 @@ export class LongTermMemory {
         endDate = null
       } = options;
 
-      let searchQuery = `
-        SELECT * FROM long_term_memory 
-        WHERE user_id = ? 
-        AND importance >= ?
+      // Searches need every word; "phrases" and prefix* work as in FTS5.
+      // Archived memories are still found here, only automatic retrieval skips them.
+      const match = query ? this.toMatchQuery(query, { matchAll: true }) : null;
+      if (query && !match) {
+        return [];
+      }
+
+      let searchQuery = match ? `
+        SELECT m.*,
+          bm25(long_term_memory_fts) AS rank,
+          snippet(long_term_memory_fts, 0, '«', '»', '…', 16) AS snippet
+        FROM long_term_memory_fts
+        JOIN long_term_memory m ON m.id = long_term_memory_fts.rowid
+        WHERE long_term_memory_fts MATCH ? AND long_term_memory_fts.user_id = ?
+        AND m.importance >= ?
+      ` : `
+        SELECT * FROM long_term_memory m
+        WHERE m.user_id = ?
+        AND m.importance >= ?
       `;
 
-      const params = [userId, minImportance];
-
-      // Add text search
-      if (query) {
-        searchQuery += ` AND (content LIKE ? OR metadata LIKE ?)`;
-        const searchTerm = `%${query}%`;
-        params.push(searchTerm, searchTerm);
-      }
+      const params = match ? [match, userId, minImportance] : [userId, minImportance];
 
       // Add date range
       if (startDate) {
-        searchQuery += ` AND timestamp >= ?`;
+        searchQuery += ` AND m.timestamp >= ?`;
         params.push(startDate);
       }
 
       if (endDate) {
-        searchQuery += ` AND timestamp <= ?`;
+        searchQuery += ` AND m.timestamp <= ?`;
         params.push(endDate);
       }
 
-      searchQuery += ` ORDER BY importance DESC, timestamp DESC LIMIT ?`;
+      searchQuery += match
+        ? ` ORDER BY rank, m.importance DESC LIMIT ?`
+        : ` ORDER BY m.importance DESC, m.timestamp DESC LIMIT ?`;
       params.push(limit);
 
       const results = await this.db.all(searchQuery, params);
 
-      return results.map(row => ({
-        id: row.id,
-        content: JSON.parse(row.content),
-        metadata: JSON.parse(row.metadata || '{}'),
-        importance: row.importance,
-        timestamp: new Date(row.timestamp)
-      }));
+      return results.map(row => this.toMemory(row));
     } catch (error) {
       logger.error('Error searching long-term memory:', error);
       return [];
@@ -215,7 +306,10 @@ export class LongTermMemory {
       const {
         content,
         metadata,
-        importance
+        importance,
+        confidence,
+        strength,
+        archivedAt
       } = updates;
 
       let updateQuery = 'UPDATE long_term_memory SET updated_at = CURRENT_TIMESTAMP';
@@ -236,6 +330,22 @@ export class LongTermMemory {
         params.push(importance);
       }
 
+      if (confidence !== undefined) {
+        updateQuery += ', confidence = ?';
+        params.push(confidence);
+      }
+
+      if (strength !== undefined) {
+        updateQuery += ', strength = ?';
+        params.push(strength);
+      }
+
+      // null restores an archived memory
+      if (archivedAt !== undefined) {
+        updateQuery += ', archived_at = ?';
+        params.push(archivedAt);
+      }
+
       updateQuery += ' WHERE id = ?';
       params.push(id);
 
@@ -269,21 +379,70 @@ export class LongTermMemory {
     }
   }
 
+  // Scoped to the user so one user can't reach another's memory by id
+  async get(userId, id) {
+    const row = await this.db.get('SELECT * FROM long_term_memory WHERE id = ? AND user_id = ?', [id, userId]);
+    return row ? this.toMemory(row) : null;
+  }
+
+  // Pinned memories first, then the most recently changed, archived ones last.
+  // The rolling summary isn't listed.
+  async list(userId, { offset = 0, limit = 5 } = {}) {
+    const { total } = await this.db.get(
+      "SELECT COUNT(*) AS total FROM long_term_memory WHERE user_id = ? AND kind != 'summary'",
+      [userId]
+    );
+    const rows = await this.db.all(`
+      SELECT * FROM long_term_memory
+      WHERE user_id = ? AND kind != 'summary'
+      ORDER BY importance >= 1.0 DESC, archived_at IS NULL DESC, updated_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [userId, limit, offset]);
+
+    return { total, memories: rows.map(row => this.toMemory(row)) };
+  }
+
+  // Everything stored for a user, oldest first
+  async getAll(userId) {
+    const rows = await this.db.all('SELECT * FROM long_term_memory WHERE user_id = ? ORDER BY id', [userId]);
+    return rows.map(row => this.toMemory(row));
+  }
+
+  // Re-creates an exported memory with its kind and original timestamp
+  async restore(userId, { kind = 'conversation', content, metadata = {}, importance = 0.5, confidence = null, timestamp }) {
+    const result = await this.db.run(`
+      INSERT INTO long_term_memory (user_id, content, metadata, importance, kind, confidence, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      userId,
+      JSON.stringify(content),
+      JSON.stringify(metadata),
+      importance,
+      kind,
+      confidence,
+      timestamp ? new Date(timestamp) : new Date()
+    ]);
+    return result?.lastID || null;
+  }
+
   async getStatus() {
     try {
       const totalQuery = 'SELECT COUNT(*) as total FROM long_term_memory';
       const userCountQuery = 'SELECT COUNT(DISTINCT user_id) as users FROM long_term_memory';
       const avgImportanceQuery = 'SELECT AVG(importance) as avg_importance FROM long_term_memory';
+      const archivedQuery = 'SELECT COUNT(*) as archived FROM long_term_memory WHERE archived_at IS NOT NULL';
 
-      const [totalResult, userCountResult, avgImportanceResult] = await Promise.all([
+      const [totalResult, userCountResult, avgImportanceResult, archivedResult] = await Promise.all([
         this.db.get(totalQuery),
         this.db.get(userCountQuery),
-        this.db.get(avgImportanceQuery)
+        this.db.get(avgImportanceQuery),
+        this.db.get(archivedQuery)
       ]);
 
       return {
         type: 'long-term',
         totalMemories: totalResult.total,
+        archivedMemories: archivedResult.archived,
         totalUsers: userCountResult.users,
         averageImportance: avgImportanceResult.avg_importance || 0,
         databasePath: this.dbPath
@@ -302,6 +461,7 @@ export class LongTermMemory {
       const statsQuery = `
         SELECT 
           COUNT(*) as total,
+          COUNT(archived_at) as archived,
           AVG(importance) as avg_importance,
           MIN(timestamp) as oldest,
           MAX(timestamp) as newest
@@ -313,6 +473,7 @@ export class LongTermMemory {
 
       return {
         totalMemories: result.total,
+        archivedMemories: result.archived,
         averageImportance: result.avg_importance || 0,
         oldestMemory: result.oldest ? new Date(result.oldest) : null,
         newestMemory: result.newest ? new Date(result.newest) : null
@@ -323,53 +484,36 @@ export class LongTermMemory {
     }
   }
 
-  async cleanup(options = {}) {
-    try {
-      const {
-        maxAge = 365, // days
-        minImportance = 0.1,
-        maxRecords = 10000
-      } = options;
+  // Retrieval doesn't count as a change, so updated_at is left alone
+  async recordAccess(ids, at = new Date()) {
+    if (ids.length === 0) return;
 
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - maxAge);
+    try {
+      await this.db.run(`
+        UPDATE long_term_memory SET access_count = access_count + 1, last_accessed = ?
+        WHERE id IN (${ids.map(() => '?').join(', ')})
+      `, [at, ...ids]);
+    } catch (error) {
+      logger.error('Error recording long-term memory access:', error);
+    }
+  }
 
-      // Delete old, low-importance memories
-      const cleanupQuery = `
-        DELETE FROM long_term_memory 
-        WHERE timestamp < ? 
-        AND importance < ?
-      `;
+  // Memories the rescore job still has to look at, in id order so it can walk them in batches
+  async getActiveBatch(afterId = 0, limit = 500) {
+    const rows = await this.db.all(`
+      SELECT * FROM long_term_memory
+      WHERE id > ? AND archived_at IS NULL AND kind != 'summary'
+      ORDER BY id
+      LIMIT ?
+    `, [afterId, limit]);
+    return rows.map(row => this.toMemory(row));
+  }
 
-      const result1 = await this.db.run(cleanupQuery, [cutoffDate, minImportance]);
-
-      // If still too many records, delete oldest ones
-      const countResult = await this.db.get('SELECT COUNT(*) as total FROM long_term_memory');
-      
-      if (countResult.total > maxRecords) {
-        const excessRecords = countResult.total - maxRecords;
-        const deleteOldestQuery = `
-          DELETE FROM long_term_memory 
-          WHERE id IN (
-            SELECT id FROM long_term_memory 
-            ORDER BY timestamp ASC 
-            LIMIT ?
-          )
-        `;
-        
-        const result2 = await this.db.run(deleteOldestQuery, [excessRecords]);
-        const changes1 = result1 ? result1.changes : 0;
-        const changes2 = result2 ? result2.changes : 0;
-        logger.info(`Cleaned up ${changes1 + changes2} old memories`);
-      } else {
-        const changes1 = result1 ? result1.changes : 0;
-        logger.info(`Cleaned up ${changes1} old memories`);
-      }
+  async setStrength(id, strength) {
+    await this.db.run('UPDATE long_term_memory SET strength = ? WHERE id = ?', [strength, id]);
+  }
 
-      return result1 ? result1.changes : 0;
-    } catch (error) {
-      logger.error('Error cleaning up long-term memory:', error);
-      return 0;
-    }
+  async archive(id, strength, at = new Date()) {
+    await this.db.run('UPDATE long_term_memory SET strength = ?, archived_at = ? WHERE id = ?', [strength, at, id]);
   }
 }
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { logger } from '../utils/logger.js';
+import { ENTITY_TYPES } from './KnowledgeGraph.js';
+
+export const MEMORY_KINDS = ['fact', 'preference', 'task', 'entity'];
+
+// Asks the user's model which durable facts, preferences, tasks and entities an exchange
+// reveals, whether any of them corrects something already remembered, and how the people,
+// repositories, projects and files it names relate to each other.
+export class MemoryExtractor {
+  constructor(aiModelManager, { maxExchangeLength = 4000 } = {}) {
+    this.aiModelManager = aiModelManager;
+    this.maxExchangeLength = maxExchangeLength;
+  }
+
+  // existing: [{ id, kind, text }] the model may update instead of duplicating.
+  // Returns { memories, relations } for long-term memory and the knowledge graph.
+  async extract(userId, { userMessage, botResponse, existing = [] }) {
+    const known = existing.length > 0
+      ? existing.map(memory => `[${memory.id}] (${memory.kind}) ${memory.text}`).join('\n')
+      : '(none)';
+
+    const response = await this.aiModelManager.complete({
+      userId,
+      system: 'You maintain long-term memory about a user for an assistant. Reply with JSON only.',
+      prompt: `Already remembered:\n${known}\n\n` +
+        `New exchange:\nUser: ${userMessage.substring(0, this.maxExchangeLength)}\n` +
+        `Assistant: ${botResponse.substring(0, this.maxExchangeLength)}\n\n` +
+        'List what is worth remembering about the user beyond this conversation: ' +
+        'facts about them, their preferences, tasks or commitments (with a due date if given), ' +
+        'and entities they work with (people, projects, repositories). ' +
+        'Write each as one short standalone sentence in the third person. ' +
+        'Skip small talk, questions, one-off requests and anything only the assistant said. ' +
+        'Never include passwords, tokens or other secrets. ' +
+        'If a new item corrects or updates a remembered one, set "replaces" to its id. ' +
+        'If it just repeats a remembered one, leave it out.\n' +
+        'Also list relations stated in the exchange between named people, organizations, repositories ' +
+        '(as owner/repo), projects, Figma files and deadlines (as YYYY-MM-DD), e.g. who owns, works on ' +
+        'or discussed what, and when something is due. Use "user" as the name of the user themself.\n' +
+        'Reply as {"memories": [{"kind": "fact|preference|task|entity", "text": "...", ' +
+        '"confidence": <0-1>, "entities": ["..."], "due": "YYYY-MM-DD or null", "replaces": <id or null>}], ' +
+        `"relations": [{"from": "...", "fromType": "${ENTITY_TYPES.join('|')}", "relation": "owns|works_on|discussed|due_on|...", ` +
+        `"to": "...", "toType": "${ENTITY_TYPES.join('|')}", "confidence": <0-1>}]}`,
+      maxTokens: 1000
+    });
+
+    const parsed = this.parseReply(response);
+    const memories = this.parseMemories(parsed, existing);
+    const relations = this.parseRelations(parsed);
+    logger.debug(`Extracted ${memories.length} memories and ${relations.length} relations for user ${userId}`);
+    return { memories, relations };
+  }
+
+  parseReply(text) {
+    const match = String(text).match(/\{[\s\S]*\}/);
+    if (!match) {
+      throw new Error('Extraction reply contained no JSON');
+    }
+    return JSON.parse(match[0]);
+  }
+
+  parseMemories(parsed, existing) {
+    if (!Array.isArray(parsed.memories)) {
+      throw new Error('Extraction reply has no memories array');
+    }
+
+    const existingIds = new Set(existing.map(memory => memory.id));
+
+    return parsed.memories
+      .filter(memory => MEMORY_KINDS.includes(memory?.kind) && typeof memory.text === 'string' && memory.text.trim())
+      .map(memory => ({
+        kind: memory.kind,
+        text: memory.text.trim(),
+        confidence: Math.min(Math.max(Number(memory.confidence) || 0, 0), 1),
+        entities: Array.isArray(memory.entities) ? memory.entities.filter(entity => typeof entity === 'string') : [],
+        due: typeof memory.due === 'string' && /^\d{4}-\d{2}-\d{2}/.test(memory.due) ? memory.due : null,
+        // Ignore ids the model made up
+        replaces: existingIds.has(memory.replaces) ? memory.replaces : null
+      }));
+  }
+
+  // Relations are optional; malformed ones are dropped rather than failing the memories
+  parseRelations(parsed) {
+    const isName = value => typeof value === 'string' && value.trim();
+
+    return (Array.isArray(parsed.relations) ? parsed.relations : [])
+      .filter(relation => isName(relation?.from) && isName(relation.to) && isName(relation.relation) &&
+        ENTITY_TYPES.includes(relation.fromType) && ENTITY_TYPES.includes(relation.toType))
+      .map(relation => ({
+        from: { type: relation.fromType, name: relation.from.trim() },
+        relation: relation.relation.trim(),
+        to: { type: relation.toType, name: relation.to.trim() },
+        confidence: Math.min(Math.max(Number(relation.confidence) || 0, 0), 1)
+      }));
+  }
+}
@@ -1,13 +1,47 @@
 import { ShortTermMemory } from './ShortTermMemory.js';
 import { LongTermMemory } from './LongTermMemory.js';
 import { RAGMemory } from './RAGMemory.js';
+import { ContextBuilder } from './ContextBuilder.js';
+import { NamespaceACL } from './NamespaceACL.js';
+import { MemoryScorer } from './MemoryScorer.js';
+import { KnowledgeGraph } from './KnowledgeGraph.js';
 import { logger } from '../utils/logger.js';
 
+// Base importance of extracted memories, scaled by the model's confidence
+const FACT_IMPORTANCE = {
+  task: 0.8,
+  preference: 0.7,
+  fact: 0.6,
+  entity: 0.5
+};
+
+// What the user asked to remember outranks anything inferred
+const EXPLICIT_IMPORTANCE = 0.9;
+
 export class MemoryManager {
   constructor() {
     this.shortTermMemory = new ShortTermMemory();
     this.longTermMemory = new LongTermMemory();
     this.ragMemory = new RAGMemory();
+    this.knowledgeGraph = new KnowledgeGraph();
+    this.contextBuilder = new ContextBuilder();
+    this.namespaces = new NamespaceACL();
+    this.scorer = new MemoryScorer();
+    // How often strengths are recomputed and faded memories archived; 0 turns it off
+    this.rescoreIntervalHours = parseFloat(process.env.MEMORY_RESCORE_INTERVAL_HOURS ?? 6);
+    this.rescoreTimer = null;
+    this.extractor = null; // see setExtractor()
+    // llm extracts facts with the user's model; heuristic stores keyword-picked transcripts
+    this.extractionMode = process.env.MEMORY_EXTRACTION || 'llm';
+    this.minConfidence = parseFloat(process.env.MEMORY_MIN_CONFIDENCE) || 0.5;
+    this.summarizer = null; // see setSummarizer()
+    this.pendingTasks = new Map(); // userId -> extraction or consolidation still running
+    // How many items to fetch per source before trimming them to a token budget
+    this.candidateLimits = {
+      shortTerm: parseInt(process.env.SHORT_MEMORY_LIMIT) || 50,
+      longTerm: 20,
+      rag: 10
+    };
     this.isInitialized = false;
   }
 
@@ -18,6 +52,13 @@ export class MemoryManager {
       await this.shortTermMemory.initialize();
       await this.longTermMemory.initialize();
       await this.ragMemory.initialize();
+      await this.knowledgeGraph.initialize();
+      await this.namespaces.initialize();
+
+      if (this.rescoreIntervalHours > 0) {
+        this.rescoreTimer = setInterval(() => this.rescoreMemories(), this.rescoreIntervalHours * 60 * 60 * 1000);
+        this.rescoreTimer.unref();
+      }
       
       this.isInitialized = true;
       logger.info('Memory Manager initialized successfully');
@@ -35,63 +76,330 @@ export class MemoryManager {
     return await this.shortTermMemory.add(userId, memoryItem);
   }
 
-  async getRelevantContext(userId, query) {
+  async getRelevantContext(userId, query, options = {}) {
     if (!this.isInitialized) {
       throw new Error('Memory Manager not initialized');
     }
 
+    // Without a budget we keep the fixed limits; with one we over-fetch and trim
+    const { budget = null, chatId = null } = options;
+    const limits = budget ? this.candidateLimits : { shortTerm: 10, longTerm: 5, rag: 5 };
+
     try {
       // Get recent short-term memories
-      const shortTerm = await this.shortTermMemory.getRecent(userId, 10);
+      const shortTerm = await this.shortTermMemory.getRecent(userId, limits.shortTerm);
       
-      // Get relevant long-term memories
-      const longTerm = await this.longTermMemory.getRelevant(userId, query, 5);
+      // What happened before the short-term window
+      const summary = (await this.longTermMemory.getSummary(userId))?.content.text || null;
       
       // Get RAG-based relevant information
-      const rag = await this.ragMemory.search(query, 5);
-
-      return {
-        shortTerm,
-        longTerm,
+      const rag = await this.ragMemory.search(query, limits.rag, {
+        namespaces: this.namespaces.getReadableNamespaces({ userId, chatId })
+      });
+
+      // Get relevant long-term memories; the summary has its own slot.
+      // Twice as many as needed, since strength can reorder them.
+      const longTerm = this.rankLongTerm(
+        (await this.longTermMemory.getRelevant(userId, query, limits.longTerm * 2)).filter(memory => memory.kind !== 'summary'),
         rag
-      };
+      ).slice(0, limits.longTerm);
+
+      // Relations around what the message names, and around the entities of the memories it recalled
+      const graph = await this.knowledgeGraph.getContext(userId, query, {
+        extraNames: longTerm.flatMap(memory => memory.content?.entities || [])
+      });
+
+      if (!budget) {
+        await this.recordRetrieval(longTerm, rag);
+        return {
+          summary,
+          shortTerm,
+          longTerm,
+          rag,
+          graph
+        };
+      }
+
+      const context = this.contextBuilder.build({ summary, shortTerm, longTerm, rag, graph }, budget);
+      if (context.budget.dropped.length > 0) {
+        logger.info(`Context for user ${userId} trimmed to ${context.budget.used}/${budget.tokens} tokens, dropped ${context.budget.dropped.length} items`);
+      }
+
+      // Only what made it into the prompt counts as used
+      await this.recordRetrieval(context.longTerm, context.rag);
+      return context;
     } catch (error) {
       logger.error('Error getting relevant context:', error);
-      return { shortTerm: [], longTerm: [], rag: [] };
+      return { shortTerm: [], longTerm: [], rag: [], graph: [] };
     }
   }
 
-  async updateLongTermMemory(userId, userMessage, botResponse) {
-    try {
-      // Check if this interaction should be stored in long-term memory
-      const shouldStore = await this.shouldStoreInLongTerm(userMessage, botResponse);
-      
-      if (shouldStore) {
-        await this.longTermMemory.store(userId, {
-          userMessage,
-          botResponse,
-          timestamp: new Date(),
-          importance: this.calculateImportance(userMessage, botResponse)
-        });
+  // Sets each memory's relevance: how well it matched, relative to the best full-text match or
+  // its vector similarity if the fact also came back from RAG, blended with its strength
+  rankLongTerm(memories, rag = []) {
+    const similarity = new Map(rag
+      .filter(doc => doc.metadata?.type === 'memory')
+      .map(doc => [doc.metadata.memoryId, doc.similarity ?? 0]));
+    const bestMatch = Math.max(...memories.map(memory => memory.score || 0), 0);
+    const now = Date.now();
+
+    for (const memory of memories) {
+      const match = Math.max(bestMatch > 0 ? (memory.score || 0) / bestMatch : 0, similarity.get(memory.id) ?? 0);
+      memory.relevance = this.scorer.getRelevance(memory, match, now);
+    }
+
+    return memories.sort((a, b) => b.relevance - a.relevance);
+  }
+
+  async recordRetrieval(longTerm = [], rag = []) {
+    const ids = new Set([
+      ...longTerm.map(memory => memory.id),
+      ...rag.filter(doc => doc.metadata?.type === 'memory').map(doc => doc.metadata.memoryId)
+    ]);
+    await this.longTermMemory.recordAccess([...ids].filter(Boolean));
+  }
 
-        // Also add to RAG memory for semantic search
-        await this.ragMemory.addDocument({
-          content: `User: ${userMessage}\nBot: ${botResponse}`,
-          metadata: {
-            userId,
-            timestamp: new Date(),
-            type: 'conversation'
+  // Recomputes every active memory's strength and archives the ones that have faded. Archived
+  // memories leave automatic retrieval and RAG but stay listed, searchable and exportable.
+  async rescoreMemories(now = Date.now()) {
+    const result = { scored: 0, archived: 0 };
+
+    try {
+      let afterId = 0;
+      for (;;) {
+        const batch = await this.longTermMemory.getActiveBatch(afterId);
+        if (batch.length === 0) break;
+
+        for (const memory of batch) {
+          const strength = this.scorer.getStrength(memory, now);
+
+          if (this.scorer.shouldArchive(memory, now)) {
+            await this.longTermMemory.archive(memory.id, strength, new Date(now));
+            await this.ragMemory.deleteDocuments(
+              this.ragMemory.findDocuments({ type: 'memory', memoryId: memory.id }).map(doc => doc.id)
+            );
+            result.archived++;
+          } else if (Math.abs(strength - memory.strength) > 0.001) {
+            await this.longTermMemory.setStrength(memory.id, strength);
           }
-        });
+          result.scored++;
+        }
+
+        afterId = batch[batch.length - 1].id;
+      }
+
+      logger.info(`Rescored ${result.scored} long-term memories, archived ${result.archived}`);
+    } catch (error) {
+      logger.error('Error rescoring long-term memories:', error);
+    }
+
+    return result;
+  }
+
+  // Brings an archived memory back into retrieval, fully strong again
+  async restoreMemory(userId, id) {
+    const memory = await this.longTermMemory.get(userId, id);
+    if (!memory?.archivedAt) {
+      return memory;
+    }
+
+    await this.reviveMemory(userId, memory);
+    logger.info(`User ${userId} restored memory ${id}`);
+    return await this.longTermMemory.get(userId, memory.id);
+  }
+
+  async reviveMemory(userId, memory) {
+    await this.longTermMemory.update(memory.id, { archivedAt: null, strength: memory.importance });
+    if (memory.content.text && memory.kind !== 'conversation') {
+      await this.indexFact(userId, memory.id, memory.content);
+    }
+  }
+
+  // Any object with extract(userId, { userMessage, botResponse, existing }) returning
+  // { memories, relations } or just the memories array, e.g. MemoryExtractor
+  setExtractor(extractor) {
+    this.extractor = extractor;
+  }
+
+  // Any object with summarize(userId, { previousSummary, turns }), e.g. ConversationSummarizer
+  setSummarizer(summarizer) {
+    this.summarizer = summarizer;
+  }
+
+  async updateLongTermMemory(userId, userMessage, botResponse) {
+    try {
+      // Not awaited: the reply shouldn't wait for extra model calls
+      if (this.extractor && this.extractionMode === 'llm') {
+        this.enqueue(userId, () => this.extractMemories(userId, userMessage, botResponse));
+      } else {
+        await this.storeTranscript(userId, userMessage, botResponse);
       }
 
       // Check if short-term memory should be consolidated
-      await this.consolidateMemoryIfNeeded(userId);
+      this.enqueue(userId, () => this.consolidateMemoryIfNeeded(userId));
     } catch (error) {
       logger.error('Error updating long-term memory:', error);
     }
   }
 
+  // Repositories and Figma files linked in the message, and what successful tool calls returned.
+  // Runs in the background like extraction, so forgetting a user waits for it.
+  recordKnowledge(userId, { mentions = {}, actions = [] }) {
+    return this.enqueue(userId, async () => {
+      await this.knowledgeGraph.record(userId, {
+        entities: [
+          ...(mentions.repositories || []).map(name => ({ type: 'repository', name })),
+          ...(mentions.figmaFiles || []).map(({ key, name }) => ({ type: 'figma_file', name, attributes: { figmaFileKey: key } }))
+        ]
+      }, 'conversation');
+
+      for (const { action, parameters, result } of actions) {
+        await this.knowledgeGraph.record(userId, await this.knowledgeGraph.fromActionResult(userId, action, parameters, result), action);
+      }
+    });
+  }
+
+  // Background work for one user runs in order, so each task sees what the previous one stored
+  enqueue(userId, task) {
+    const previous = this.pendingTasks.get(userId) || Promise.resolve();
+    const next = previous.then(task).catch(error => logger.error(`Background memory task failed for user ${userId}:`, error));
+
+    this.pendingTasks.set(userId, next);
+    next.finally(() => {
+      if (this.pendingTasks.get(userId) === next) this.pendingTasks.delete(userId);
+    });
+    return next;
+  }
+
+  async extractMemories(userId, userMessage, botResponse) {
+    try {
+      const existing = await this.longTermMemory.getFacts(userId);
+      const result = await this.extractor.extract(userId, {
+        userMessage,
+        botResponse,
+        existing: existing.map(memory => ({ id: memory.id, kind: memory.kind, text: memory.content.text }))
+      });
+      // Extractors written before the knowledge graph return just the list of memories
+      const { memories = [], relations = [] } = Array.isArray(result) ? { memories: result } : result || {};
+
+      for (const memory of memories) {
+        if (memory.confidence >= this.minConfidence) {
+          await this.applyExtractedMemory(userId, memory, existing);
+        }
+      }
+
+      await this.knowledgeGraph.record(userId, {
+        relations: relations.filter(relation => relation.confidence >= this.minConfidence)
+      }, 'conversation');
+    } catch (error) {
+      // Keyword heuristics are a poor substitute, but better than forgetting the exchange
+      logger.warn(`Memory extraction failed for user ${userId}, storing transcript instead:`, error.message);
+      await this.storeTranscript(userId, userMessage, botResponse).catch(storeError =>
+        logger.error('Error storing transcript:', storeError));
+    }
+  }
+
+  async applyExtractedMemory(userId, memory, existing) {
+    const target = memory.replaces
+      ? existing.find(item => item.id === memory.replaces)
+      : existing.find(item => item.kind === memory.kind && this.normalizeFact(item.content.text) === this.normalizeFact(memory.text));
+
+    const content = { kind: memory.kind, text: memory.text, entities: memory.entities, due: memory.due };
+
+    if (!target) {
+      const id = await this.longTermMemory.storeFact(userId, {
+        ...content,
+        confidence: memory.confidence,
+        importance: this.getFactImportance(memory.kind, memory.confidence),
+        metadata: { source: 'extraction', mentions: 1 }
+      });
+      existing.push({ id, kind: memory.kind, content, confidence: memory.confidence, metadata: { source: 'extraction', mentions: 1 } });
+      await this.indexFact(userId, id, content);
+      return;
+    }
+
+    // A correction takes the new wording and confidence; a repeat only ever strengthens the old one
+    const corrected = this.normalizeFact(target.content.text) !== this.normalizeFact(memory.text);
+    if (!corrected) {
+      content.text = target.content.text;
+      content.entities = [...new Set([...(target.content.entities || []), ...memory.entities])];
+      content.due = memory.due || target.content.due || null;
+    }
+    const confidence = corrected ? memory.confidence : Math.max(target.confidence ?? 0, memory.confidence);
+    const metadata = {
+      ...target.metadata,
+      mentions: (target.metadata.mentions || 1) + 1,
+      ...(corrected && { previous: [...(target.metadata.previous || []), target.content.text].slice(-5) })
+    };
+
+    // Pinned memories keep their top importance whatever the model says
+    const extractedImportance = this.getFactImportance(memory.kind, confidence);
+    const importance = metadata.pinned ? 1.0 : corrected ? extractedImportance : Math.max(target.importance ?? 0, extractedImportance);
+    // Coming up again in conversation brings an archived memory back
+    const restored = !!target.archivedAt;
+    await this.longTermMemory.update(target.id, {
+      content,
+      metadata,
+      confidence,
+      importance,
+      ...(restored && { archivedAt: null, strength: importance })
+    });
+    Object.assign(target, { kind: memory.kind, content, confidence, metadata, importance, archivedAt: null });
+
+    if (corrected || restored) {
+      logger.info(`${corrected ? 'Updated' : 'Restored'} ${memory.kind} ${target.id} for user ${userId}`);
+      await this.indexFact(userId, target.id, content);
+    }
+  }
+
+  // Facts are what RAG search should find about a user, rather than raw transcripts
+  async indexFact(userId, memoryId, { kind, text }) {
+    const namespace = `user:${userId}`;
+    const [doc] = this.ragMemory.findDocuments({ type: 'memory', memoryId, namespace });
+
+    if (doc) {
+      await this.ragMemory.updateDocument(doc.id, { content: text, metadata: { kind } });
+    } else {
+      await this.ragMemory.addDocument({
+        content: text,
+        metadata: { type: 'memory', kind, memoryId, userId, namespace }
+      });
+    }
+  }
+
+  normalizeFact(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  getFactImportance(kind, confidence) {
+    return (FACT_IMPORTANCE[kind] || 0.5) * (0.5 + confidence / 2);
+  }
+
+  async storeTranscript(userId, userMessage, botResponse) {
+    // Check if this interaction should be stored in long-term memory
+    const shouldStore = await this.shouldStoreInLongTerm(userMessage, botResponse);
+
+    if (shouldStore) {
+      await this.longTermMemory.store(userId, {
+        userMessage,
+        botResponse,
+        timestamp: new Date(),
+        importance: this.calculateImportance(userMessage, botResponse)
+      });
+
+      // Also add to RAG memory for semantic search
+      await this.ragMemory.addDocument({
+        content: `User: ${userMessage}\nBot: ${botResponse}`,
+        metadata: {
+          userId,
+          namespace: `user:${userId}`,
+          timestamp: new Date(),
+          type: 'conversation'
+        }
+      });
+    }
+  }
+
   async shouldStoreInLongTerm(userMessage, botResponse) {
     // Store if message contains important keywords
     const importantKeywords = [
@@ -137,25 +445,51 @@ export class MemoryManager {
     return Math.min(importance, 1.0);
   }
 
+  getConsolidationThreshold() {
+    // Must trigger before the store's own cap silently drops the oldest turns
+    const threshold = parseInt(process.env.LONG_MEMORY_THRESHOLD) || 100;
+    return Math.min(threshold, Math.floor(this.shortTermMemory.maxItems * 0.8));
+  }
+
   async consolidateMemoryIfNeeded(userId) {
     const shortTermCount = await this.shortTermMemory.getCount(userId);
-    const threshold = parseInt(process.env.LONG_MEMORY_THRESHOLD) || 100;
+    const threshold = this.getConsolidationThreshold();
 
     if (shortTermCount > threshold) {
       logger.info(`Consolidating memory for user ${userId}`);
-      
-      // Get older short-term memories
-      const oldMemories = await this.shortTermMemory.getOldest(userId, 20);
-      
-      // Move important ones to long-term memory
-      for (const memory of oldMemories) {
-        if (memory.importance && memory.importance > 0.7) {
-          await this.longTermMemory.store(userId, memory);
-        }
+
+      // Evict half at a time so the summary isn't rewritten after every turn
+      const keepCount = Math.floor(threshold / 2);
+      const evicted = await this.shortTermMemory.getOldest(userId, shortTermCount - keepCount);
+
+      if (this.summarizer) {
+        await this.updateConversationSummary(userId, evicted);
       }
 
       // Clean up old short-term memories
-      await this.shortTermMemory.cleanup(userId, threshold * 0.8);
+      await this.shortTermMemory.cleanup(userId, keepCount);
+    }
+  }
+
+  async updateConversationSummary(userId, turns) {
+    try {
+      const previous = await this.longTermMemory.getSummary(userId);
+      const text = await this.summarizer.summarize(userId, {
+        previousSummary: previous?.content.text,
+        turns
+      });
+      if (!text) return;
+
+      await this.longTermMemory.saveSummary(userId, {
+        text,
+        messages: (previous?.content.messages || 0) + turns.length,
+        from: previous?.content.from || turns[0]?.timestamp,
+        to: turns[turns.length - 1]?.timestamp
+      });
+      logger.info(`Updated conversation summary for user ${userId} with ${turns.length} turns`);
+    } catch (error) {
+      // The turns are evicted either way; the previous summary is still better than none
+      logger.warn(`Could not summarize evicted turns for user ${userId}:`, error.message);
     }
   }
 
@@ -168,6 +502,7 @@ export class MemoryManager {
       initialized: true,
       shortTerm: await this.shortTermMemory.getStatus(),
       longTerm: await this.longTermMemory.getStatus(),
+      graph: await this.knowledgeGraph.getStatus(),
       rag: await this.ragMemory.getStatus()
     };
   }
@@ -189,7 +524,9 @@ export class MemoryManager {
       }
 
       if (options.includeRAG !== false) {
-        results.rag = await this.ragMemory.search(query, options.ragLimit || 5);
+        results.rag = await this.ragMemory.search(query, options.ragLimit || 5, {
+          namespaces: this.namespaces.getReadableNamespaces({ userId, chatId: options.chatId })
+        });
       }
 
       return results;
@@ -201,19 +538,219 @@ export class MemoryManager {
 
   async clearUserMemory(userId, type = 'all') {
     try {
+      // Otherwise a running extraction could write facts back right after the clear
+      await this.pendingTasks.get(userId);
+
+      // The summary only exists to continue the conversation being cleared
       if (type === 'all' || type === 'short') {
         await this.shortTermMemory.clear(userId);
+        await this.longTermMemory.deleteSummary(userId);
       }
 
       if (type === 'all' || type === 'long') {
         await this.longTermMemory.clear(userId);
+        await this.knowledgeGraph.clear(userId);
+        await this.ragMemory.deleteDocuments(
+          this.ragMemory.findDocuments({ type: 'memory', namespace: `user:${userId}` }).map(doc => doc.id)
+        );
+      }
+
+      // Only the user's private namespace - documents shared in chats and workspaces belong to them
+      if (type === 'all' || type === 'rag') {
+        await this.ragMemory.deleteNamespace(`user:${userId}`);
       }
 
-      // Note: RAG memory is shared across users, so we don't clear it per user
       logger.info(`Cleared ${type} memory for user ${userId}`);
     } catch (error) {
       logger.error('Error clearing user memory:', error);
       throw error;
     }
   }
+
+  async listMemories(userId, { page = 0, pageSize = 5 } = {}) {
+    const { total, memories } = await this.longTermMemory.list(userId, { offset: page * pageSize, limit: pageSize });
+    return { total, page, pages: Math.max(1, Math.ceil(total / pageSize)), memories };
+  }
+
+  getMemory(userId, id) {
+    return this.longTermMemory.get(userId, id);
+  }
+
+  // /remember: stored as said, with full confidence. Saying it again returns the existing memory.
+  async rememberFact(userId, text, kind = 'fact') {
+    if (!FACT_IMPORTANCE[kind]) {
+      throw new Error(`Unknown memory kind: ${kind}`);
+    }
+
+    const existing = (await this.longTermMemory.getFacts(userId, 200))
+      .find(memory => memory.kind === kind && this.normalizeFact(memory.content.text) === this.normalizeFact(text));
+    if (existing) {
+      return { memory: existing, created: false };
+    }
+
+    const content = { kind, text: text.trim(), entities: [], due: null };
+    const id = await this.longTermMemory.storeFact(userId, {
+      ...content,
+      confidence: 1,
+      importance: EXPLICIT_IMPORTANCE,
+      metadata: { source: 'user', mentions: 1 }
+    });
+    await this.indexFact(userId, id, content);
+
+    logger.info(`User ${userId} added ${kind} ${id}`);
+    return { memory: await this.longTermMemory.get(userId, id), created: true };
+  }
+
+  // Only extracted and remembered facts have a text to edit; transcripts can just be deleted
+  async editMemory(userId, id, text) {
+    const memory = await this.longTermMemory.get(userId, id);
+    if (!memory?.content.text || memory.kind === 'summary') {
+      return null;
+    }
+
+    const content = { ...memory.content, text: text.trim() };
+    const metadata = {
+      ...memory.metadata,
+      source: 'user',
+      previous: [...(memory.metadata.previous || []), memory.content.text].slice(-5)
+    };
+    // Editing an archived memory is a good sign it's still wanted
+    await this.longTermMemory.update(memory.id, { content, metadata, confidence: 1, archivedAt: null, strength: memory.importance });
+    await this.indexFact(userId, memory.id, content);
+
+    return await this.longTermMemory.get(userId, memory.id);
+  }
+
+  // Pinning raises importance to 1.0 (and takes it out of the archive); unpinning restores what it was before
+  async setMemoryPinned(userId, id, pinned) {
+    const memory = await this.longTermMemory.get(userId, id);
+    if (!memory || pinned === !!memory.metadata.pinned) {
+      return memory;
+    }
+
+    const { pinned: wasPinned, unpinnedImportance, ...metadata } = memory.metadata;
+    await this.longTermMemory.update(memory.id, pinned
+      ? { metadata: { ...metadata, pinned: true, unpinnedImportance: memory.importance }, importance: 1.0 }
+      : { metadata, importance: unpinnedImportance ?? 0.5 });
+    if (pinned && memory.archivedAt) {
+      await this.reviveMemory(userId, { ...memory, importance: 1.0 });
+    }
+
+    return await this.longTermMemory.get(userId, memory.id);
+  }
+
+  async deleteMemory(userId, id) {
+    const memory = await this.longTermMemory.get(userId, id);
+    if (!memory) {
+      return false;
+    }
+
+    await this.longTermMemory.delete(memory.id);
+    await this.ragMemory.deleteDocuments(
+      this.ragMemory.findDocuments({ type: 'memory', memoryId: memory.id, namespace: `user:${userId}` }).map(doc => doc.id)
+    );
+    logger.info(`User ${userId} deleted memory ${id}`);
+    return true;
+  }
+
+  // Private documents plus anything the user added to shared chats and workspaces
+  getUserDocuments(userId) {
+    const documents = new Map();
+    for (const doc of [
+      ...this.ragMemory.findDocuments({ namespace: `user:${userId}` }),
+      ...this.ragMemory.findDocuments({ userId })
+    ]) {
+      documents.set(doc.id, doc);
+    }
+    return Array.from(documents.values());
+  }
+
+  async exportUserMemory(userId) {
+    await this.pendingTasks.get(userId);
+
+    return {
+      shortTerm: await this.shortTermMemory.getItems(userId),
+      longTerm: await this.longTermMemory.getAll(userId),
+      rag: this.getUserDocuments(userId),
+      graph: await this.knowledgeGraph.getAll(userId)
+    };
+  }
+
+  async countUserMemory(userId) {
+    return {
+      shortTerm: await this.shortTermMemory.getCount(userId),
+      longTerm: (await this.longTermMemory.getMemoryStats(userId))?.totalMemories || 0,
+      rag: this.getUserDocuments(userId).length,
+      graph: await this.knowledgeGraph.count(userId)
+    };
+  }
+
+  // Adds an export's memories to what the user already has. Everything lands in the user's
+  // private namespace, since the shared chats it came from may not be readable to them here.
+  async importUserMemory(userId, { shortTerm = [], longTerm = [], rag = [], graph = {} }) {
+    const imported = { shortTerm: 0, longTerm: 0, rag: 0, graph: 0 };
+
+    const knownItems = new Set((await this.shortTermMemory.getItems(userId)).map(item => item.id));
+    for (const item of shortTerm) {
+      if (!item?.type || knownItems.has(item.id)) continue;
+      await this.shortTermMemory.add(userId, item);
+      imported.shortTerm++;
+    }
+
+    const known = new Set((await this.longTermMemory.getAll(userId)).map(memory => `${memory.kind}:${JSON.stringify(memory.content)}`));
+    for (const memory of longTerm) {
+      if (!memory?.content || known.has(`${memory.kind}:${JSON.stringify(memory.content)}`)) continue;
+
+      // Only one rolling summary per user
+      if (memory.kind === 'summary' && await this.longTermMemory.getSummary(userId)) continue;
+
+      const memoryId = await this.longTermMemory.restore(userId, memory);
+      known.add(`${memory.kind}:${JSON.stringify(memory.content)}`);
+      imported.longTerm++;
+
+      if (memory.content.text && !['conversation', 'summary'].includes(memory.kind)) {
+        await this.indexFact(userId, memoryId, memory.content);
+      }
+    }
+
+    // Fact documents point at the old memory ids and were just re-indexed above
+    for (const doc of rag) {
+      if (!doc?.content || doc.metadata?.type === 'memory') continue;
+
+      const { addedAt, contentLength, updatedAt, ...rest } = doc.metadata || {};
+      const metadata = { ...rest, userId, namespace: `user:${userId}` };
+      if (await this.ragMemory.getDocument(this.ragMemory.generateDocumentId(doc.content, metadata))) continue;
+
+      await this.ragMemory.addDocument({ content: doc.content, metadata });
+      imported.rag++;
+    }
+
+    // Entities and relations merge with the user's own by type and name
+    imported.graph = await this.knowledgeGraph.restore(userId, {
+      entities: Array.isArray(graph.entities) ? graph.entities : [],
+      relations: Array.isArray(graph.relations) ? graph.relations : []
+    });
+
+    logger.info(`Imported ${imported.shortTerm} short-term, ${imported.longTerm} long-term, ${imported.rag} RAG and ${imported.graph} knowledge graph items for user ${userId}`);
+    return imported;
+  }
+
+  // Unlike clearUserMemory('all'), also removes what the user added to shared namespaces
+  async forgetUser(userId) {
+    await this.clearUserMemory(userId, 'all');
+    const deleted = await this.ragMemory.deleteDocuments(this.getUserDocuments(userId).map(doc => doc.id));
+    logger.info(`Forgot user ${userId} (${deleted} shared documents removed)`);
+  }
+
+  async shutdown() {
+    clearInterval(this.rescoreTimer);
+    this.rescoreTimer = null;
+    await Promise.allSettled(this.pendingTasks.values());
+
+    try {
+      await this.shortTermMemory.close();
+    } catch (error) {
+      logger.warn('Error closing short-term memory store:', error.message);
+    }
+  }
 }
\ No newline at end of file
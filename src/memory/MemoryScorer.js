@@ -0,0 +1,45 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How strongly a long-term memory is held: its importance, halved every half-life since it was
+// last used. Each retrieval lengthens the half-life, so memories that keep coming up fade slower.
+export class MemoryScorer {
+  constructor() {
+    this.halfLifeDays = parseFloat(process.env.MEMORY_HALF_LIFE_DAYS) || 30;
+    // Faded below this, a memory is archived by the rescore job
+    this.archiveThreshold = parseFloat(process.env.MEMORY_ARCHIVE_THRESHOLD) || 0.1;
+    // Share of a retrieval's relevance that comes from matching the query, the rest is strength
+    this.matchWeight = parseFloat(process.env.MEMORY_MATCH_WEIGHT) || 0.6;
+  }
+
+  // Counted from the last retrieval, or the last change (a repeat or an edit) if it was never used
+  getAgeDays(memory, now = Date.now()) {
+    const since = memory.lastAccessed || memory.updatedAt || memory.timestamp;
+    return since ? Math.max(0, (now - new Date(since)) / DAY_MS) : 0;
+  }
+
+  // 1 retrieval doubles the half-life, 3 triple it, 7 quadruple it
+  getHalfLifeDays(memory) {
+    return this.halfLifeDays * (1 + Math.log2(1 + (memory.accessCount || 0)));
+  }
+
+  getRecency(memory, now) {
+    return 0.5 ** (this.getAgeDays(memory, now) / this.getHalfLifeDays(memory));
+  }
+
+  getStrength(memory, now) {
+    if (memory.metadata?.pinned) {
+      return 1;
+    }
+    return (memory.importance ?? 0.5) * this.getRecency(memory, now);
+  }
+
+  // match is 0-1: how well the memory fits the query, relative to the other candidates
+  getRelevance(memory, match, now) {
+    return this.matchWeight * match + (1 - this.matchWeight) * this.getStrength(memory, now);
+  }
+
+  // Pinned memories and the conversation summary never fade away
+  shouldArchive(memory, now) {
+    return !memory.metadata?.pinned && memory.kind !== 'summary' && this.getStrength(memory, now) < this.archiveThreshold;
+  }
+}
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+
+export const GLOBAL_NAMESPACE = 'global';
+
+const NAMESPACE_KINDS = ['user', 'chat', 'workspace'];
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  return error;
+};
+
+// Decides which RAG namespaces a caller may read and write.
+// Namespaces are "user:<id>", "chat:<id>", "workspace:<id>" or "global".
+export class NamespaceACL {
+  constructor() {
+    this.configPath = process.env.WORKSPACES_CONFIG_PATH || './config/workspaces.json';
+    // Only these users may add documents everyone can see
+    this.globalWriters = (process.env.RAG_ADMIN_USERS || '').split(',').map(id => id.trim()).filter(Boolean);
+    this.workspaces = new Map(); // workspace id -> { members: Set, chats: Set }
+  }
+
+  async initialize() {
+    try {
+      const raw = await fs.promises.readFile(this.configPath, 'utf-8');
+      const { workspaces = {} } = JSON.parse(raw);
+
+      for (const [id, workspace] of Object.entries(workspaces)) {
+        this.workspaces.set(id, {
+          members: new Set((workspace.members || []).map(String)),
+          chats: new Set((workspace.chats || []).map(String))
+        });
+      }
+
+      logger.info(`Loaded ${this.workspaces.size} workspaces from ${this.configPath}`);
+    } catch (error) {
+      // Workspaces are optional; user, chat and global namespaces work without them
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read workspaces config ${this.configPath}:`, error.message);
+      }
+    }
+  }
+
+  getWorkspaces({ userId, chatId } = {}) {
+    return Array.from(this.workspaces.entries())
+      .filter(([, workspace]) =>
+        (userId && workspace.members.has(String(userId))) ||
+        (chatId && workspace.chats.has(String(chatId))))
+      .map(([id]) => id);
+  }
+
+  getReadableNamespaces({ userId, chatId } = {}) {
+    const namespaces = [GLOBAL_NAMESPACE];
+    if (userId) namespaces.push(`user:${userId}`);
+    if (chatId && String(chatId) !== String(userId)) namespaces.push(`chat:${chatId}`);
+    for (const id of this.getWorkspaces({ userId, chatId })) {
+      namespaces.push(`workspace:${id}`);
+    }
+    return namespaces;
+  }
+
+  // Group chats share what's added there; anything else stays private to the user
+  getDefaultNamespace({ userId, chatId } = {}) {
+    if (chatId && String(chatId) !== String(userId)) return `chat:${chatId}`;
+    return userId ? `user:${userId}` : GLOBAL_NAMESPACE;
+  }
+
+  // Accepts a full namespace or the shorthands "user" and "chat", and refuses
+  // namespaces the caller couldn't read back
+  resolveWriteNamespace(requested, { userId, chatId } = {}) {
+    if (!requested) {
+      return this.getDefaultNamespace({ userId, chatId });
+    }
+
+    if (requested === GLOBAL_NAMESPACE) {
+      if (!this.globalWriters.includes(String(userId))) {
+        throw createError('Only administrators can add documents to the global namespace', 403);
+      }
+      return GLOBAL_NAMESPACE;
+    }
+
+    const [kind, ...rest] = requested.split(':');
+    const id = rest.join(':') || (kind === 'user' ? userId : kind === 'chat' ? chatId : null);
+    if (!NAMESPACE_KINDS.includes(kind) || !id) {
+      throw createError(`Invalid namespace: ${requested} (expected user, chat, workspace:<id> or global)`, 400);
+    }
+
+    // A private chat is just the user
+    const namespace = kind === 'chat' && String(id) === String(userId) ? `user:${userId}` : `${kind}:${id}`;
+    if (!this.getReadableNamespaces({ userId, chatId }).includes(namespace)) {
+      throw createError(`You don't have access to ${namespace}`, 403);
+    }
+    return namespace;
+  }
+}
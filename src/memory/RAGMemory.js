@@ -1,86 +1,184 @@
-import { ChromaClient } from 'chromadb';
-import OpenAI from 'openai';
 import fs from 'fs';
-import path from 'path';
 import crypto from 'crypto';
+import { VectorIndex } from './VectorIndex.js';
+import { BM25Index } from './BM25Index.js';
+import { OpenAIEmbeddingProvider } from './embeddings/OpenAIEmbeddingProvider.js';
+import { OllamaEmbeddingProvider } from './embeddings/OllamaEmbeddingProvider.js';
+import { LocalEmbeddingProvider } from './embeddings/LocalEmbeddingProvider.js';
+import { GLOBAL_NAMESPACE } from './NamespaceACL.js';
 import { logger } from '../utils/logger.js';
 
 export class RAGMemory {
   constructor() {
-    this.client = null;
-    this.collection = null;
-    this.openai = null;
-    this.collectionName = 'minibot_rag';
-    this.embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.index = null;
+    this.keywordIndex = new BM25Index();
+    this.embeddings = null;
+    this.reranker = null; // optional, see setReranker()
+    // auto picks OpenAI when a key is set and the local hashed embeddings otherwise
+    this.providerType = process.env.EMBEDDING_PROVIDER || 'auto';
     this.vectorDbPath = process.env.VECTOR_DB_PATH || './data/vector_db';
+    this.minSimilarity = parseFloat(process.env.RAG_MIN_SIMILARITY) || 0.2;
+    // 1 ranks purely by relevance; lower values trade relevance for less repetitive results
+    this.mmrLambda = process.env.RAG_MMR_LAMBDA !== undefined ? parseFloat(process.env.RAG_MMR_LAMBDA) : 0.7;
+    this.rrfK = 60;
+    this.batchSize = 32;
   }
 
   async initialize() {
     try {
-      // For now, we'll disable ChromaDB and use a simple in-memory store
-      // This can be enabled later when ChromaDB server is running
-      logger.warn('ChromaDB disabled - using simple in-memory RAG storage');
-      
-      // Initialize OpenAI for embeddings if available
-      if (process.env.OPENAI_API_KEY) {
-        this.openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY
-        });
-        logger.info('OpenAI client initialized for embeddings');
-      } else {
-        logger.warn('OpenAI API key not found - RAG memory will have limited functionality');
+      this.index = new VectorIndex(this.vectorDbPath);
+      await this.loadIndex();
+
+      for (const doc of this.index.values()) {
+        this.keywordIndex.add(doc.id, doc.content);
+      }
+      await this.assignMissingNamespaces();
+
+      this.embeddings = await this.initializeProvider(this.providerType);
+      try {
+        await this.reindexIfNeeded();
+      } catch (error) {
+        if (this.embeddings.name === 'local') throw error;
+
+        logger.error(`Re-embedding with ${this.embeddings.getId()} failed, falling back to local embeddings:`, error.message);
+        this.embeddings = await this.initializeProvider('local');
+        await this.reindexIfNeeded();
       }
 
-      // Use simple in-memory storage for now
-      this.documents = new Map();
-      
-      logger.info('RAG memory initialized with in-memory storage');
+      logger.info(`RAG memory initialized with ${this.index.size} documents (${this.embeddings.getId()} embeddings)`);
     } catch (error) {
       logger.error('Failed to initialize RAG memory:', error);
       throw error;
     }
   }
 
+  async loadIndex() {
+    try {
+      await this.index.load();
+    } catch (error) {
+      // Keep the unreadable file for inspection and start over rather than refusing to boot
+      const asidePath = `${this.index.filePath}.corrupt-${Date.now()}`;
+      logger.error(`Could not load vector index, moving it to ${asidePath}:`, error);
+      await fs.promises.rename(this.index.filePath, asidePath).catch(() => {});
+      this.index = new VectorIndex(this.vectorDbPath);
+    }
+  }
+
+  // Documents indexed before namespaces existed: anything tied to a user becomes private to them
+  async assignMissingNamespaces() {
+    const untagged = this.index.values().filter(doc => !doc.metadata?.namespace);
+    if (untagged.length === 0) return;
+
+    for (const doc of untagged) {
+      this.index.set({ ...doc, metadata: { ...doc.metadata, namespace: this.getDefaultNamespace(doc.metadata) } });
+    }
+    await this.index.save();
+    logger.info(`Assigned namespaces to ${untagged.length} RAG documents`);
+  }
+
+  getDefaultNamespace(metadata = {}) {
+    return metadata.namespace || (metadata.userId ? `user:${metadata.userId}` : GLOBAL_NAMESPACE);
+  }
+
+  createEmbeddingProvider(type) {
+    switch (type) {
+      case 'auto':
+        return process.env.OPENAI_API_KEY ? new OpenAIEmbeddingProvider() : new LocalEmbeddingProvider();
+      case 'openai':
+        return new OpenAIEmbeddingProvider();
+      case 'ollama':
+        return new OllamaEmbeddingProvider();
+      case 'local':
+        return new LocalEmbeddingProvider();
+      default:
+        throw new Error(`Unknown EMBEDDING_PROVIDER: ${type} (expected auto, openai, ollama or local)`);
+    }
+  }
+
+  async initializeProvider(type) {
+    const provider = this.createEmbeddingProvider(type);
+
+    try {
+      await provider.initialize();
+      return provider;
+    } catch (error) {
+      if (provider.name === 'local') throw error;
+
+      // Semantic search keeps working offline, just with weaker embeddings
+      logger.error(`Embedding provider ${provider.getId()} unavailable, falling back to local embeddings:`, error.message || error.code);
+      const fallback = new LocalEmbeddingProvider();
+      await fallback.initialize();
+      return fallback;
+    }
+  }
+
+  // Any object with rerank(query, passages) returning one 0-1 score per passage, e.g. LLMReranker
+  setReranker(reranker) {
+    this.reranker = reranker;
+  }
+
+  putDocument(doc) {
+    this.index.set(doc);
+    this.keywordIndex.add(doc.id, doc.content);
+  }
+
+  removeDocument(id) {
+    this.keywordIndex.remove(id);
+    return this.index.delete(id);
+  }
+
+  async reindexIfNeeded() {
+    const currentId = this.embeddings.getId();
+    if (this.index.embeddingId === currentId) return;
+
+    // Vectors from another model aren't comparable, so everything is embedded again from the stored text
+    if (this.index.size > 0) {
+      logger.info(`Re-embedding ${this.index.size} documents: ${this.index.embeddingId} -> ${currentId}`);
+      const docs = this.index.values();
+      const embeddings = await this.embedAll(docs.map(doc => doc.content));
+      docs.forEach((doc, i) => this.index.set({ ...doc, embedding: embeddings[i] }));
+    }
+
+    this.index.embeddingId = currentId;
+    await this.index.save();
+  }
+
+  async embedAll(texts) {
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      embeddings.push(...await this.embeddings.embed(texts.slice(i, i + this.batchSize)));
+    }
+    return embeddings;
+  }
+
   async addDocument(document) {
     try {
-      const { content, metadata = {} } = document;
-      
+      const { content } = document;
+      const metadata = { ...document.metadata, namespace: this.getDefaultNamespace(document.metadata) };
+
       if (!content || content.trim().length === 0) {
         throw new Error('Document content cannot be empty');
       }
 
       // Generate unique ID
       const id = this.generateDocumentId(content, metadata);
-
-      // For simple in-memory storage
-      if (!this.client) {
-        this.documents.set(id, {
-          id,
-          content,
-          metadata: {
-            ...metadata,
-            addedAt: new Date().toISOString(),
-            contentLength: content.length
-          }
-        });
-        
-        logger.debug(`Added document to in-memory RAG storage: ${id}`);
+      if (this.index.has(id)) {
         return id;
       }
 
-      // Original ChromaDB code (when available)
       const embedding = await this.generateEmbedding(content);
-      
-      await this.collection.add({
-        ids: [id],
-        embeddings: [embedding],
-        documents: [content],
-        metadatas: [{
+
+      this.putDocument({
+        id,
+        content,
+        embedding,
+        metadata: {
           ...metadata,
           addedAt: new Date().toISOString(),
           contentLength: content.length
-        }]
+        }
       });
+      await this.index.save();
 
       logger.debug(`Added document to RAG memory: ${id}`);
       return id;
@@ -90,97 +188,165 @@ export class RAGMemory {
     }
   }
 
+  // Hybrid retrieval: BM25 and vector candidates fused by reciprocal rank, optionally reranked,
+  // then diversified with MMR. Every result carries the scores that got it there.
+  // Pass `namespaces` to restrict results to what the caller may read.
   async search(query, limit = 5, options = {}) {
     try {
-      if (!query || query.trim().length === 0) {
+      if (!query || query.trim().length === 0 || this.index.size === 0) {
         return [];
       }
 
-      // For simple in-memory storage (fallback when ChromaDB not available)
-      if (!this.client) {
-        const results = [];
-        const queryLower = query.toLowerCase();
-        
-        for (const [id, doc] of this.documents) {
-          if (doc.content.toLowerCase().includes(queryLower)) {
-            results.push({
-              content: doc.content,
-              similarity: 0.8, // Simple fallback similarity
-              distance: 0.2,
-              metadata: doc.metadata
-            });
-          }
-        }
-        
-        return results.slice(0, limit);
-      }
-
-      // Original ChromaDB search code
       const {
-        minSimilarity = 0.7,
+        minSimilarity = this.minSimilarity,
         includeMetadata = true,
-        filterMetadata = null
+        filterMetadata = null,
+        namespaces = null,
+        rerank = true
       } = options;
 
+      const filter = this.createFilter(filterMetadata, namespaces);
+      const candidateCount = Math.max(limit * 4, 20);
+
       // Generate query embedding
       const queryEmbedding = await this.generateEmbedding(query);
 
-      // Search in collection
-      const searchParams = {
-        queryEmbeddings: [queryEmbedding],
-        nResults: limit,
-        include: ['documents', 'distances']
-      };
-
-      if (includeMetadata) {
-        searchParams.include.push('metadatas');
-      }
+      const vectorHits = this.index.search(queryEmbedding, { limit: candidateCount, filter });
+      const keywordHits = this.keywordIndex.search(query, {
+        limit: candidateCount,
+        filter: filter ? id => filter(this.index.get(id)) : null
+      });
 
-      if (filterMetadata) {
-        searchParams.where = filterMetadata;
-      }
+      // Keyword hits lift exact identifiers up the ranking, but they still have to be about the
+      // query: a shared common word alone must not pull in an unrelated document
+      const candidates = this.fuseResults(queryEmbedding, vectorHits, keywordHits)
+        .filter(candidate => candidate.scores.vector >= minSimilarity)
+        .slice(0, candidateCount);
 
-      const results = await this.collection.query(searchParams);
-
-      // Process results
-      const processedResults = [];
-      
-      if (results.documents && results.documents[0]) {
-        for (let i = 0; i < results.documents[0].length; i++) {
-          const distance = results.distances[0][i];
-          const similarity = 1 - distance; // Convert distance to similarity
-
-          if (similarity >= minSimilarity) {
-            processedResults.push({
-              content: results.documents[0][i],
-              similarity,
-              distance,
-              metadata: includeMetadata && results.metadatas ? results.metadatas[0][i] : null
-            });
-          }
-        }
+      if (rerank && this.reranker && candidates.length > 1) {
+        await this.applyReranker(query, candidates);
       }
 
-      return processedResults;
+      return this.diversify(candidates, limit).map(({ doc, score, scores }) => ({
+        id: doc.id,
+        content: doc.content,
+        similarity: scores.vector,
+        distance: 1 - scores.vector,
+        score,
+        scores,
+        metadata: includeMetadata ? doc.metadata : null
+      }));
     } catch (error) {
       logger.error('Error searching RAG memory:', error);
       return [];
     }
   }
 
-  async generateEmbedding(text) {
-    try {
-      if (!this.openai) {
-        throw new Error('OpenAI client not initialized for embeddings');
+  fuseResults(queryEmbedding, vectorHits, keywordHits) {
+    const candidates = new Map();
+    const getCandidate = (doc) => {
+      if (!candidates.has(doc.id)) {
+        candidates.set(doc.id, {
+          doc,
+          score: 0,
+          scores: { vector: null, vectorRank: null, bm25: null, bm25Rank: null, rrf: 0, rerank: null, mmr: null }
+        });
+      }
+      return candidates.get(doc.id);
+    };
+
+    vectorHits.forEach(({ doc, similarity }, i) => {
+      const candidate = getCandidate(doc);
+      candidate.scores.vector = similarity;
+      candidate.scores.vectorRank = i + 1;
+      candidate.scores.rrf += 1 / (this.rrfK + i + 1);
+    });
+
+    keywordHits.forEach(({ id, score }, i) => {
+      const candidate = getCandidate(this.index.get(id));
+      candidate.scores.bm25 = score;
+      candidate.scores.bm25Rank = i + 1;
+      candidate.scores.rrf += 1 / (this.rrfK + i + 1);
+    });
+
+    const fused = Array.from(candidates.values());
+    for (const candidate of fused) {
+      // Keyword-only hits still report how close they are semantically
+      if (candidate.scores.vector === null) {
+        candidate.scores.vector = this.index.cosineSimilarity(queryEmbedding, candidate.doc.embedding);
       }
+    }
+
+    const maxRrf = Math.max(...fused.map(candidate => candidate.scores.rrf));
+    for (const candidate of fused) {
+      candidate.score = candidate.scores.rrf / maxRrf;
+    }
 
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: text,
-        encoding_format: 'float'
+    return fused.sort((a, b) => b.score - a.score);
+  }
+
+  async applyReranker(query, candidates) {
+    try {
+      const scores = await this.reranker.rerank(query, candidates.map(candidate => candidate.doc.content));
+      candidates.forEach((candidate, i) => {
+        candidate.scores.rerank = scores[i];
+        candidate.score = scores[i];
+      });
+      candidates.sort((a, b) => b.score - a.score);
+    } catch (error) {
+      // Fused ranking is still a good answer
+      logger.warn('Reranking failed, keeping fused ranking:', error.message);
+    }
+  }
+
+  // Maximal marginal relevance: each pick balances its own relevance against
+  // its similarity to what's already been picked
+  diversify(candidates, limit) {
+    if (this.mmrLambda >= 1) {
+      return candidates.slice(0, limit);
+    }
+
+    const remaining = [...candidates];
+    const selected = [];
+
+    while (selected.length < limit && remaining.length > 0) {
+      let bestIndex = 0;
+      let bestScore = -Infinity;
+
+      remaining.forEach((candidate, i) => {
+        const redundancy = selected.length > 0
+          ? Math.max(...selected.map(picked => this.index.cosineSimilarity(candidate.doc.embedding, picked.doc.embedding)))
+          : 0;
+        const score = this.mmrLambda * candidate.score - (1 - this.mmrLambda) * redundancy;
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = i;
+        }
       });
 
-      return response.data[0].embedding;
+      const [picked] = remaining.splice(bestIndex, 1);
+      picked.scores.mmr = bestScore;
+      selected.push(picked);
+    }
+
+    return selected;
+  }
+
+  createFilter(filterMetadata, namespaces) {
+    if (!filterMetadata && !namespaces) return null;
+
+    return doc => (!namespaces || namespaces.includes(doc.metadata?.namespace)) &&
+      (!filterMetadata || this.matchesMetadata(doc.metadata, filterMetadata));
+  }
+
+  matchesMetadata(metadata, filter) {
+    return Object.entries(filter).every(([key, value]) => metadata?.[key] === value);
+  }
+
+  async generateEmbedding(text) {
+    try {
+      const [embedding] = await this.embeddings.embed([text]);
+      return embedding;
     } catch (error) {
       logger.error('Error generating embedding:', error);
       throw error;
@@ -198,32 +364,28 @@ export class RAGMemory {
   async updateDocument(id, updates) {
     try {
       const { content, metadata } = updates;
+      const doc = this.index.get(id);
 
-      if (content) {
-        // Generate new embedding for updated content
-        const embedding = await this.generateEmbedding(content);
-        
-        // Update the document
-        await this.collection.update({
-          ids: [id],
-          embeddings: [embedding],
-          documents: [content],
-          metadatas: [{
-            ...metadata,
-            updatedAt: new Date().toISOString()
-          }]
-        });
-      } else if (metadata) {
-        // Update only metadata
-        await this.collection.update({
-          ids: [id],
-          metadatas: [{
-            ...metadata,
-            updatedAt: new Date().toISOString()
-          }]
-        });
+      if (!doc) {
+        return false;
       }
 
+      this.putDocument({
+        ...doc,
+        ...(content && {
+          content,
+          // Generate new embedding for updated content
+          embedding: await this.generateEmbedding(content)
+        }),
+        metadata: {
+          ...doc.metadata,
+          ...metadata,
+          ...(content && { contentLength: content.length }),
+          updatedAt: new Date().toISOString()
+        }
+      });
+      await this.index.save();
+
       logger.debug(`Updated document in RAG memory: ${id}`);
       return true;
     } catch (error) {
@@ -234,9 +396,10 @@ export class RAGMemory {
 
   async deleteDocument(id) {
     try {
-      await this.collection.delete({
-        ids: [id]
-      });
+      if (!this.removeDocument(id)) {
+        return false;
+      }
+      await this.index.save();
 
       logger.debug(`Deleted document from RAG memory: ${id}`);
       return true;
@@ -246,49 +409,54 @@ export class RAGMemory {
     }
   }
 
-  async getDocument(id) {
-    try {
-      const result = await this.collection.get({
-        ids: [id],
-        include: ['documents', 'metadatas']
-      });
+  findDocuments(filterMetadata) {
+    return this.index.values()
+      .filter(doc => this.matchesMetadata(doc.metadata, filterMetadata))
+      .map(({ id, content, metadata }) => ({ id, content, metadata }));
+  }
 
-      if (result.documents && result.documents.length > 0) {
-        return {
-          id,
-          content: result.documents[0],
-          metadata: result.metadatas ? result.metadatas[0] : null
-        };
-      }
+  async deleteDocuments(ids) {
+    let deletedCount = 0;
+    for (const id of ids) {
+      if (this.removeDocument(id)) deletedCount++;
+    }
 
-      return null;
-    } catch (error) {
-      logger.error('Error getting document from RAG memory:', error);
+    if (deletedCount > 0) {
+      await this.index.save();
+      logger.debug(`Deleted ${deletedCount} documents from RAG memory`);
+    }
+    return deletedCount;
+  }
+
+  async deleteNamespace(namespace) {
+    const deletedCount = await this.deleteDocuments(this.findDocuments({ namespace }).map(doc => doc.id));
+    logger.info(`Deleted ${deletedCount} RAG documents in ${namespace}`);
+    return deletedCount;
+  }
+
+  async getDocument(id) {
+    const doc = this.index.get(id);
+    if (!doc) {
       return null;
     }
+
+    return {
+      id,
+      content: doc.content,
+      metadata: doc.metadata
+    };
   }
 
   async getStatus() {
     try {
-      if (!this.client) {
-        // In-memory storage status
-        return {
-          type: 'rag',
-          totalDocuments: this.documents ? this.documents.size : 0,
-          collectionName: this.collectionName,
-          embeddingModel: this.embeddingModel,
-          storage: 'in-memory'
-        };
-      }
-
-      const count = await this.collection.count();
-      
       return {
         type: 'rag',
-        totalDocuments: count,
-        collectionName: this.collectionName,
-        embeddingModel: this.embeddingModel,
-        vectorDbPath: this.vectorDbPath
+        totalDocuments: this.index ? this.index.size : 0,
+        namespaces: this.index ? new Set(this.index.values().map(doc => doc.metadata?.namespace)).size : 0,
+        embeddingProvider: this.embeddings?.name,
+        embeddingModel: this.embeddings?.model,
+        vectorDbPath: this.vectorDbPath,
+        storage: 'vector-index'
       };
     } catch (error) {
       logger.error('Error getting RAG memory status:', error);
@@ -305,50 +473,48 @@ export class RAGMemory {
         throw new Error('Documents must be a non-empty array');
       }
 
-      const ids = [];
-      const embeddings = [];
-      const contents = [];
-      const metadatas = [];
+      const pending = [];
 
       for (const doc of documents) {
-        const { content, metadata = {} } = doc;
-        
+        const { content } = doc;
+        const metadata = { ...doc.metadata, namespace: this.getDefaultNamespace(doc.metadata) };
+
         if (!content || content.trim().length === 0) {
           continue; // Skip empty documents
         }
 
-        const embedding = await this.generateEmbedding(content);
         const id = this.generateDocumentId(content, metadata);
+        if (this.index.has(id) || pending.some(item => item.id === id)) {
+          continue;
+        }
 
-        ids.push(id);
-        embeddings.push(embedding);
-        contents.push(content);
-        metadatas.push({
-          ...metadata,
-          addedAt: new Date().toISOString(),
-          contentLength: content.length
+        pending.push({
+          id,
+          content,
+          metadata: {
+            ...metadata,
+            addedAt: new Date().toISOString(),
+            contentLength: content.length
+          }
         });
       }
 
-      if (ids.length > 0) {
-        await this.collection.add({
-          ids,
-          embeddings,
-          documents: contents,
-          metadatas
-        });
+      if (pending.length > 0) {
+        const embeddings = await this.embedAll(pending.map(doc => doc.content));
+        pending.forEach((doc, i) => this.putDocument({ ...doc, embedding: embeddings[i] }));
+        await this.index.save();
 
-        logger.info(`Added ${ids.length} documents to RAG memory`);
+        logger.info(`Added ${pending.length} documents to RAG memory`);
       }
 
-      return ids;
+      return pending.map(doc => doc.id);
     } catch (error) {
       logger.error('Error adding bulk documents to RAG memory:', error);
       throw error;
     }
   }
 
-  async searchSimilar(documentId, limit = 5) {
+  async searchSimilar(documentId, limit = 5, options = {}) {
     try {
       // Get the document first
       const doc = await this.getDocument(documentId);
@@ -357,7 +523,8 @@ export class RAGMemory {
       }
 
       // Search for similar documents
-      return await this.search(doc.content, limit + 1); // +1 to exclude the original
+      const results = await this.search(doc.content, limit + 1, options); // +1 to exclude the original
+      return results.filter(result => result.id !== documentId).slice(0, limit);
     } catch (error) {
       logger.error('Error searching for similar documents:', error);
       return [];
@@ -367,39 +534,24 @@ export class RAGMemory {
   async cleanup(options = {}) {
     try {
       const {
-        maxAge = 365, // days
-        minSimilarityThreshold = 0.95 // Remove near-duplicates
+        maxAge = 365 // days
       } = options;
 
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - maxAge);
 
-      // Get all documents with metadata
-      const allDocs = await this.collection.get({
-        include: ['documents', 'metadatas']
-      });
-
       let deletedCount = 0;
 
-      if (allDocs.metadatas) {
-        const toDelete = [];
-
-        for (let i = 0; i < allDocs.metadatas.length; i++) {
-          const metadata = allDocs.metadatas[i];
-          const addedAt = new Date(metadata.addedAt);
-
-          // Delete old documents
-          if (addedAt < cutoffDate) {
-            toDelete.push(allDocs.ids[i]);
-          }
+      // Delete old documents
+      for (const doc of this.index.values()) {
+        if (new Date(doc.metadata.addedAt) < cutoffDate) {
+          this.removeDocument(doc.id);
+          deletedCount++;
         }
+      }
 
-        if (toDelete.length > 0) {
-          await this.collection.delete({
-            ids: toDelete
-          });
-          deletedCount = toDelete.length;
-        }
+      if (deletedCount > 0) {
+        await this.index.save();
       }
 
       logger.info(`Cleaned up ${deletedCount} documents from RAG memory`);
@@ -409,4 +561,4 @@ export class RAGMemory {
       return 0;
     }
   }
-}
\ No newline at end of file
+}
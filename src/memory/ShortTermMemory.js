@@ -1,22 +1,40 @@
+import { InMemoryStore } from './stores/InMemoryStore.js';
+import { SQLiteStore } from './stores/SQLiteStore.js';
+import { RedisStore } from './stores/RedisStore.js';
 import { logger } from '../utils/logger.js';
 
 export class ShortTermMemory {
-  constructor() {
-    this.memory = new Map(); // userId -> array of memory items
+  constructor(store = null) {
+    // memory, sqlite or redis - sqlite keeps conversations across restarts
+    this.store = store || this.createStore(process.env.SHORT_MEMORY_STORE || 'sqlite');
     this.maxItems = parseInt(process.env.SHORT_MEMORY_LIMIT) || 50;
   }
 
-  async initialize() {
-    logger.info('Short-term memory initialized');
+  createStore(type) {
+    switch (type) {
+      case 'memory':
+        return new InMemoryStore();
+      case 'sqlite':
+        return new SQLiteStore();
+      case 'redis':
+        return new RedisStore();
+      default:
+        throw new Error(`Unknown SHORT_MEMORY_STORE: ${type} (expected memory, sqlite or redis)`);
+    }
   }
 
-  async add(userId, memoryItem) {
-    if (!this.memory.has(userId)) {
-      this.memory.set(userId, []);
+  async initialize() {
+    try {
+      await this.store.initialize();
+      logger.info(`Short-term memory initialized (${this.store.name} store)`);
+    } catch (error) {
+      // Conversations still work, they just won't outlive the process
+      logger.error(`Failed to initialize ${this.store.name} short-term store, falling back to in-memory:`, error);
+      this.store = new InMemoryStore();
     }
+  }
 
-    const userMemory = this.memory.get(userId);
-    
+  async add(userId, memoryItem) {
     // Add timestamp and ID if not present
     const item = {
       id: this.generateId(),
@@ -24,57 +42,46 @@ export class ShortTermMemory {
       ...memoryItem
     };
 
-    userMemory.push(item);
-
-    // Keep only the most recent items
-    if (userMemory.length > this.maxItems) {
-      userMemory.splice(0, userMemory.length - this.maxItems);
-    }
+    // The store keeps only the most recent maxItems
+    await this.store.append(userId, item, this.maxItems);
 
     logger.debug(`Added item to short-term memory for user ${userId}`);
     return item.id;
   }
 
-  async getRecent(userId, limit = 10) {
-    if (!this.memory.has(userId)) {
-      return [];
-    }
+  async getItems(userId) {
+    return (await this.store.getItems(userId)).map(item => this.revive(item));
+  }
+
+  // Persistent stores hand back JSON, so restore the dates callers expect
+  revive(item) {
+    return {
+      ...item,
+      timestamp: item.timestamp ? new Date(item.timestamp) : item.timestamp,
+      ...(item.updatedAt && { updatedAt: new Date(item.updatedAt) })
+    };
+  }
 
-    const userMemory = this.memory.get(userId);
+  async getRecent(userId, limit = 10) {
+    const userMemory = await this.getItems(userId);
     return userMemory.slice(-limit).reverse(); // Most recent first
   }
 
   async getAll(userId) {
-    if (!this.memory.has(userId)) {
-      return [];
-    }
-
-    return [...this.memory.get(userId)];
+    return await this.getItems(userId);
   }
 
   async getCount(userId) {
-    if (!this.memory.has(userId)) {
-      return 0;
-    }
-
-    return this.memory.get(userId).length;
+    return await this.store.getCount(userId);
   }
 
   async getOldest(userId, limit = 10) {
-    if (!this.memory.has(userId)) {
-      return [];
-    }
-
-    const userMemory = this.memory.get(userId);
+    const userMemory = await this.getItems(userId);
     return userMemory.slice(0, limit);
   }
 
   async search(userId, query) {
-    if (!this.memory.has(userId)) {
-      return [];
-    }
-
-    const userMemory = this.memory.get(userId);
+    const userMemory = await this.getItems(userId);
     const queryLower = query.toLowerCase();
 
     return userMemory.filter(item => {
@@ -84,62 +91,46 @@ export class ShortTermMemory {
   }
 
   async cleanup(userId, keepCount) {
-    if (!this.memory.has(userId)) {
-      return;
-    }
-
-    const userMemory = this.memory.get(userId);
-    if (userMemory.length > keepCount) {
-      const toKeep = userMemory.slice(-keepCount);
-      this.memory.set(userId, toKeep);
+    if (await this.store.trim(userId, keepCount)) {
       logger.debug(`Cleaned up short-term memory for user ${userId}, kept ${keepCount} items`);
     }
   }
 
   async clear(userId) {
-    if (this.memory.has(userId)) {
-      this.memory.delete(userId);
+    if (await this.store.clear(userId)) {
       logger.info(`Cleared short-term memory for user ${userId}`);
     }
   }
 
   async getStatus() {
-    const totalUsers = this.memory.size;
-    let totalItems = 0;
-
-    for (const userMemory of this.memory.values()) {
-      totalItems += userMemory.length;
-    }
+    const { totalUsers, totalItems } = await this.store.getStats();
 
     return {
       type: 'short-term',
+      store: this.store.name,
       totalUsers,
       totalItems,
       maxItemsPerUser: this.maxItems
     };
   }
 
+  async close() {
+    await this.store.close();
+  }
+
   generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
   // Get memory items by type
   async getByType(userId, type) {
-    if (!this.memory.has(userId)) {
-      return [];
-    }
-
-    const userMemory = this.memory.get(userId);
+    const userMemory = await this.getItems(userId);
     return userMemory.filter(item => item.type === type);
   }
 
   // Get memory items within time range
   async getByTimeRange(userId, startTime, endTime) {
-    if (!this.memory.has(userId)) {
-      return [];
-    }
-
-    const userMemory = this.memory.get(userId);
+    const userMemory = await this.getItems(userId);
     return userMemory.filter(item => {
       const itemTime = new Date(item.timestamp);
       return itemTime >= startTime && itemTime <= endTime;
@@ -148,40 +139,22 @@ export class ShortTermMemory {
 
   // Update an existing memory item
   async update(userId, itemId, updates) {
-    if (!this.memory.has(userId)) {
-      return false;
-    }
+    const userMemory = await this.getItems(userId);
+    const existing = userMemory.find(item => item.id === itemId);
 
-    const userMemory = this.memory.get(userId);
-    const itemIndex = userMemory.findIndex(item => item.id === itemId);
-
-    if (itemIndex === -1) {
+    if (!existing) {
       return false;
     }
 
-    userMemory[itemIndex] = {
-      ...userMemory[itemIndex],
+    return await this.store.replaceItem(userId, itemId, {
+      ...existing,
       ...updates,
       updatedAt: new Date()
-    };
-
-    return true;
+    });
   }
 
   // Remove a specific memory item
   async remove(userId, itemId) {
-    if (!this.memory.has(userId)) {
-      return false;
-    }
-
-    const userMemory = this.memory.get(userId);
-    const itemIndex = userMemory.findIndex(item => item.id === itemId);
-
-    if (itemIndex === -1) {
-      return false;
-    }
-
-    userMemory.splice(itemIndex, 1);
-    return true;
+    return await this.store.removeItem(userId, itemId);
   }
 }
\ No newline at end of file
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const INDEX_VERSION = 1;
+
+// Brute-force cosine index kept in memory and persisted as one JSON file under VECTOR_DB_PATH.
+// Vectors are stored as base64 Float32 to keep the file small.
+export class VectorIndex {
+  constructor(dirPath = process.env.VECTOR_DB_PATH || './data/vector_db') {
+    this.dirPath = dirPath;
+    this.filePath = path.join(dirPath, 'index.json');
+    this.documents = new Map(); // id -> { id, content, metadata, embedding }
+    this.embeddingId = null; // provider:model the stored vectors came from
+    this.saving = Promise.resolve();
+    this.saveQueued = false;
+  }
+
+  async load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    if (data.version !== INDEX_VERSION) {
+      throw new Error(`Unsupported vector index version ${data.version} in ${this.filePath}`);
+    }
+
+    this.embeddingId = data.embeddingId;
+    for (const doc of data.documents) {
+      this.documents.set(doc.id, { ...doc, embedding: this.decodeVector(doc.embedding) });
+    }
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  get(id) {
+    return this.documents.get(id) || null;
+  }
+
+  has(id) {
+    return this.documents.has(id);
+  }
+
+  values() {
+    return Array.from(this.documents.values());
+  }
+
+  set(doc) {
+    this.documents.set(doc.id, doc);
+  }
+
+  delete(id) {
+    return this.documents.delete(id);
+  }
+
+  search(queryEmbedding, { limit = 5, minSimilarity = 0, filter = null } = {}) {
+    const results = [];
+
+    for (const doc of this.documents.values()) {
+      if (filter && !filter(doc)) continue;
+
+      const similarity = this.cosineSimilarity(queryEmbedding, doc.embedding);
+      if (similarity >= minSimilarity) {
+        results.push({ doc, similarity });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  cosineSimilarity(a, b) {
+    if (a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  // Saves are serialised and coalesced: a burst of changes produces at most one extra write
+  save() {
+    if (this.saveQueued) {
+      return this.saving;
+    }
+
+    this.saveQueued = true;
+    this.saving = this.saving
+      .then(() => {
+        this.saveQueued = false;
+        return this.write();
+      })
+      .catch(error => {
+        logger.error('Error saving vector index:', error);
+      });
+
+    return this.saving;
+  }
+
+  async write() {
+    await fs.promises.mkdir(this.dirPath, { recursive: true });
+
+    const data = {
+      version: INDEX_VERSION,
+      embeddingId: this.embeddingId,
+      documents: this.values().map(doc => ({ ...doc, embedding: this.encodeVector(doc.embedding) }))
+    };
+
+    // Write then rename so a crash never leaves a half-written index
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  encodeVector(vector) {
+    return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+  }
+
+  decodeVector(encoded) {
+    // Copy out of Node's shared buffer pool, whose offsets aren't 4-byte aligned
+    const bytes = new Uint8Array(Buffer.from(encoded, 'base64'));
+    return Array.from(new Float32Array(bytes.buffer));
+  }
+}
@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+
+// Words frequent enough to make unrelated texts look similar
+const STOP_WORDS = new Set([
+  'the', 'is', 'are', 'was', 'were', 'be', 'to', 'of', 'and', 'or', 'in', 'on', 'at', 'for', 'with',
+  'it', 'this', 'that', 'as', 'by', 'an', 'from', 'what', 'when', 'how', 'do', 'does', 'can', 'me', 'my'
+]);
+
+// Hashed term-frequency vectors computed on the CPU - no network, no model download.
+// Words and word pairs are hashed into a fixed number of signed buckets, log-scaled and
+// L2-normalised. IDF is left out on purpose: it would shift every stored vector as the corpus grows.
+export class LocalEmbeddingProvider {
+  constructor({ dimensions = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 512 } = {}) {
+    this.name = 'local';
+    this.model = `hashed-tf-${dimensions}`;
+    this.dimensions = dimensions;
+  }
+
+  async initialize() {}
+
+  getId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(token => (token.length > 1 || /\p{N}/u.test(token)) && !STOP_WORDS.has(token));
+  }
+
+  embedText(text) {
+    const tokens = this.tokenize(text);
+    const counts = new Map();
+
+    for (let i = 0; i < tokens.length; i++) {
+      counts.set(tokens[i], (counts.get(tokens[i]) || 0) + 1);
+      if (i > 0) {
+        const pair = `${tokens[i - 1]} ${tokens[i]}`;
+        // Pairs count for half so single-word queries still match well
+        counts.set(pair, (counts.get(pair) || 0) + 0.5);
+      }
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [term, count] of counts) {
+      const digest = crypto.createHash('md5').update(term).digest();
+      const bucket = digest.readUInt32LE(0) % this.dimensions;
+      const sign = digest[4] & 1 ? 1 : -1;
+      vector[bucket] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+}
@@ -0,0 +1,41 @@
+import axios from 'axios';
+
+export class OllamaEmbeddingProvider {
+  constructor({
+    baseURL = process.env.OLLAMA_EMBEDDING_URL || process.env.OLLAMA_URL || 'http://localhost:11434',
+    apiKey = process.env.OLLAMA_API_KEY,
+    model = process.env.EMBEDDING_MODEL || 'nomic-embed-text'
+  } = {}) {
+    this.name = 'ollama';
+    this.model = model;
+    this.client = axios.create({
+      baseURL,
+      timeout: 30000,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    });
+  }
+
+  async initialize() {
+    // Fails early if the model isn't pulled rather than on the first document
+    await this.embed(['ping']);
+  }
+
+  getId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async embed(texts) {
+    const embeddings = [];
+
+    // /api/embeddings takes one prompt per request
+    for (const text of texts) {
+      const response = await this.client.post('/api/embeddings', { model: this.model, prompt: text });
+      if (!Array.isArray(response.data?.embedding) || response.data.embedding.length === 0) {
+        throw new Error(`Ollama returned no embedding for model ${this.model}`);
+      }
+      embeddings.push(response.data.embedding);
+    }
+
+    return embeddings;
+  }
+}
@@ -0,0 +1,32 @@
+import OpenAI from 'openai';
+
+export class OpenAIEmbeddingProvider {
+  constructor({ apiKey = process.env.OPENAI_API_KEY, model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small' } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = apiKey ? new OpenAI({ apiKey }) : null;
+  }
+
+  async initialize() {
+    if (!this.client) {
+      throw new Error('OPENAI_API_KEY is required for OpenAI embeddings');
+    }
+  }
+
+  getId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async embed(texts) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+      encoding_format: 'float'
+    });
+
+    // The API may return items out of order for batched input
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
@@ -0,0 +1,71 @@
+// Process-local conversation store - fast, but lost on restart and not shared between instances
+export class InMemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.items = new Map(); // userId -> array of memory items, oldest first
+  }
+
+  async initialize() {}
+
+  async append(userId, item, maxItems) {
+    if (!this.items.has(userId)) {
+      this.items.set(userId, []);
+    }
+
+    const userItems = this.items.get(userId);
+    userItems.push(item);
+
+    if (userItems.length > maxItems) {
+      userItems.splice(0, userItems.length - maxItems);
+    }
+  }
+
+  async getItems(userId) {
+    return [...(this.items.get(userId) || [])];
+  }
+
+  async getCount(userId) {
+    return this.items.get(userId)?.length || 0;
+  }
+
+  async replaceItem(userId, itemId, item) {
+    const userItems = this.items.get(userId) || [];
+    const index = userItems.findIndex(existing => existing.id === itemId);
+    if (index === -1) return false;
+
+    userItems[index] = item;
+    return true;
+  }
+
+  async removeItem(userId, itemId) {
+    const userItems = this.items.get(userId) || [];
+    const index = userItems.findIndex(existing => existing.id === itemId);
+    if (index === -1) return false;
+
+    userItems.splice(index, 1);
+    return true;
+  }
+
+  async trim(userId, keepCount) {
+    const userItems = this.items.get(userId);
+    if (!userItems || userItems.length <= keepCount) return false;
+
+    this.items.set(userId, userItems.slice(-keepCount));
+    return true;
+  }
+
+  async clear(userId) {
+    return this.items.delete(userId);
+  }
+
+  async getStats() {
+    let totalItems = 0;
+    for (const userItems of this.items.values()) {
+      totalItems += userItems.length;
+    }
+
+    return { totalUsers: this.items.size, totalItems };
+  }
+
+  async close() {}
+}
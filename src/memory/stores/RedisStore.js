@@ -0,0 +1,88 @@
+import { RedisClient } from '../../utils/RedisClient.js';
+
+// Conversation store on a Redis-protocol server so several bot instances share the same context.
+// Each user is a list of JSON items, oldest first; a set tracks which users have one.
+export class RedisStore {
+  constructor(url = process.env.REDIS_URL, prefix = process.env.SHORT_MEMORY_REDIS_PREFIX || 'minibot:stm:') {
+    this.name = 'redis';
+    this.client = new RedisClient(url || 'redis://localhost:6379');
+    this.prefix = prefix;
+    this.usersKey = `${prefix}users`;
+  }
+
+  async initialize() {
+    await this.client.connect();
+    await this.client.command('PING');
+  }
+
+  getKey(userId) {
+    return `${this.prefix}user:${userId}`;
+  }
+
+  async append(userId, item, maxItems) {
+    const key = this.getKey(userId);
+    await this.client.command('RPUSH', key, JSON.stringify(item));
+    await this.client.command('LTRIM', key, -maxItems, -1);
+    await this.client.command('SADD', this.usersKey, userId);
+  }
+
+  async getItems(userId) {
+    const values = await this.client.command('LRANGE', this.getKey(userId), 0, -1);
+    return values.map(value => JSON.parse(value));
+  }
+
+  async getCount(userId) {
+    return await this.client.command('LLEN', this.getKey(userId));
+  }
+
+  async findItem(userId, itemId) {
+    const values = await this.client.command('LRANGE', this.getKey(userId), 0, -1);
+    const index = values.findIndex(value => JSON.parse(value).id === itemId);
+    return index === -1 ? null : { index, value: values[index] };
+  }
+
+  async replaceItem(userId, itemId, item) {
+    const found = await this.findItem(userId, itemId);
+    if (!found) return false;
+
+    await this.client.command('LSET', this.getKey(userId), found.index, JSON.stringify(item));
+    return true;
+  }
+
+  async removeItem(userId, itemId) {
+    const found = await this.findItem(userId, itemId);
+    if (!found) return false;
+
+    // LREM by value, since the index may have shifted if another instance appended meanwhile
+    const removed = await this.client.command('LREM', this.getKey(userId), 1, found.value);
+    return removed > 0;
+  }
+
+  async trim(userId, keepCount) {
+    const before = await this.getCount(userId);
+    if (before <= keepCount) return false;
+
+    await this.client.command('LTRIM', this.getKey(userId), -Math.floor(keepCount), -1);
+    return true;
+  }
+
+  async clear(userId) {
+    const removed = await this.client.command('DEL', this.getKey(userId));
+    await this.client.command('SREM', this.usersKey, userId);
+    return removed > 0;
+  }
+
+  async getStats() {
+    const userIds = await this.client.command('SMEMBERS', this.usersKey);
+    let totalItems = 0;
+    for (const userId of userIds) {
+      totalItems += await this.getCount(userId);
+    }
+
+    return { totalUsers: userIds.length, totalItems };
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
@@ -0,0 +1,76 @@
+import { getDatabase, getDatabasePath } from '../../utils/database.js';
+
+// Conversation store in the shared SQLite database, so context survives restarts
+export class SQLiteStore {
+  constructor(dbPath = getDatabasePath()) {
+    this.name = 'sqlite';
+    this.db = null;
+    this.dbPath = dbPath;
+  }
+
+  async initialize() {
+    this.db = await getDatabase(this.dbPath);
+  }
+
+  async append(userId, item, maxItems) {
+    await this.db.run(
+      'INSERT INTO short_term_memory (user_id, item_id, data, created_at) VALUES (?, ?, ?, ?)',
+      [userId, item.id, JSON.stringify(item), new Date().toISOString()]
+    );
+    await this.trim(userId, maxItems);
+  }
+
+  async getItems(userId) {
+    const rows = await this.db.all(
+      'SELECT data FROM short_term_memory WHERE user_id = ? ORDER BY seq',
+      [userId]
+    );
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async getCount(userId) {
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM short_term_memory WHERE user_id = ?', [userId]);
+    return row.count;
+  }
+
+  async replaceItem(userId, itemId, item) {
+    const result = await this.db.run(
+      'UPDATE short_term_memory SET data = ? WHERE user_id = ? AND item_id = ?',
+      [JSON.stringify(item), userId, itemId]
+    );
+    return result.changes > 0;
+  }
+
+  async removeItem(userId, itemId) {
+    const result = await this.db.run(
+      'DELETE FROM short_term_memory WHERE user_id = ? AND item_id = ?',
+      [userId, itemId]
+    );
+    return result.changes > 0;
+  }
+
+  async trim(userId, keepCount) {
+    const result = await this.db.run(`
+      DELETE FROM short_term_memory
+      WHERE user_id = ? AND seq NOT IN (
+        SELECT seq FROM short_term_memory WHERE user_id = ? ORDER BY seq DESC LIMIT ?
+      )
+    `, [userId, userId, Math.floor(keepCount)]);
+    return result.changes > 0;
+  }
+
+  async clear(userId) {
+    const result = await this.db.run('DELETE FROM short_term_memory WHERE user_id = ?', [userId]);
+    return result.changes > 0;
+  }
+
+  async getStats() {
+    const row = await this.db.get(
+      'SELECT COUNT(DISTINCT user_id) AS totalUsers, COUNT(*) AS totalItems FROM short_term_memory'
+    );
+    return { totalUsers: row.totalUsers, totalItems: row.totalItems };
+  }
+
+  // The connection is shared and closed by closeDatabases()
+  async close() {}
+}
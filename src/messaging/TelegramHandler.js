@@ -1,6 +1,12 @@
 import TelegramBot from 'node-telegram-bot-api';
+import { VERBOSITY_LEVELS } from '../core/UserProfileStore.js';
+import { parseParameterEdits } from '../utils/parameters.js';
 import { logger } from '../utils/logger.js';
 
+const SETTINGS_TEMPERATURES = [0, 0.3, 0.7, 1];
+const SETTINGS_LANGUAGES = ['auto', 'English', 'Spanish', 'French', 'German', 'Hindi'];
+const MEMORY_PAGE_SIZE = 5;
+
 export class TelegramHandler {
   constructor(core) {
     this.core = core;
@@ -8,6 +14,16 @@ export class TelegramHandler {
     this.token = process.env.TELEGRAM_BOT_TOKEN;
     this.adminUsers = process.env.TELEGRAM_ADMIN_USERS ? 
       process.env.TELEGRAM_ADMIN_USERS.split(',').map(id => parseInt(id)) : [];
+    // Telegram throttles message edits, so streamed replies are flushed at most this often
+    this.streamEditInterval = parseInt(process.env.TELEGRAM_STREAM_EDIT_INTERVAL_MS) || 1000;
+    // chatId:userId -> pending action whose new parameters we're waiting for
+    this.pendingEdits = new Map();
+    // chatId:userId -> account link waiting for its token
+    this.pendingConnects = new Map();
+    // chatId:userId -> waiting for an export file to import
+    this.pendingImports = new Set();
+    // chatId:userId -> { memoryId, page } whose corrected text we're waiting for
+    this.pendingMemoryEdits = new Map();
   }
 
   async initialize() {
@@ -45,8 +61,14 @@ export class TelegramHandler {
       { command: 'help', description: 'Show help message' },
       { command: 'status', description: 'Show bot status' },
       { command: 'model', description: 'Change AI model' },
+      { command: 'settings', description: 'Model, temperature, language and integrations' },
       { command: 'memory', description: 'Memory management' },
-      { command: 'clear', description: 'Clear conversation history' }
+      { command: 'remember', description: 'Tell me something to remember' },
+      { command: 'history', description: 'Show recent GitHub/Figma actions' },
+      { command: 'connect', description: 'Link your GitHub or Figma account' },
+      { command: 'ingest', description: 'Index a GitHub repository for search' },
+      { command: 'clear', description: 'Clear conversation history' },
+      { command: 'forget', description: 'Delete everything stored about you' }
     ];
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -121,22 +143,220 @@ export class TelegramHandler {
     const userId = msg.from.id.toString();
     const text = msg.text;
 
-    logger.info(`Received Telegram message from ${userId}: ${text}`);
+    if (msg.document) {
+      if (this.pendingImports.delete(`${chatId}:${userId}`)) {
+        await this.handleImportUpload(msg);
+      } else {
+        await this.handleDocumentUpload(msg);
+      }
+      return;
+    }
+
+    // Stickers, photos and the like
+    if (!text) {
+      return;
+    }
+
+    // Tokens for /connect must never reach the logs
+    const isSecret = this.pendingConnects.has(`${chatId}:${userId}`) || /^\/connect\s+\S+\s+\S/.test(text);
+    logger.info(`Received Telegram message from ${userId}: ${isSecret ? '[redacted]' : text}`);
 
     // Handle commands
     if (text.startsWith('/')) {
+      this.pendingEdits.delete(`${chatId}:${userId}`);
+      this.pendingConnects.delete(`${chatId}:${userId}`);
+      this.pendingImports.delete(`${chatId}:${userId}`);
+      this.pendingMemoryEdits.delete(`${chatId}:${userId}`);
       await this.handleCommand(msg);
       return;
     }
 
+    // The user started /connect, so this message is the token
+    const connectKey = `${chatId}:${userId}`;
+    if (this.pendingConnects.has(connectKey)) {
+      const { serverType, ownerId } = this.pendingConnects.get(connectKey);
+      this.pendingConnects.delete(connectKey);
+      await this.deleteSecretMessage(msg);
+      await this.connectAccount(chatId, ownerId, serverType, text.trim());
+      return;
+    }
+
+    // The user pressed Edit on a memory, so this message is its corrected text
+    const memoryEditKey = `${chatId}:${userId}`;
+    if (this.pendingMemoryEdits.has(memoryEditKey)) {
+      const edit = this.pendingMemoryEdits.get(memoryEditKey);
+      this.pendingMemoryEdits.delete(memoryEditKey);
+      await this.applyMemoryEdit(chatId, userId, edit, text);
+      return;
+    }
+
+    // The user pressed Edit on a pending action, so this message is the new payload
+    const editKey = `${chatId}:${userId}`;
+    if (this.pendingEdits.has(editKey)) {
+      const edit = this.pendingEdits.get(editKey);
+      this.pendingEdits.delete(editKey);
+      await this.applyPendingEdit(chatId, userId, edit, text);
+      return;
+    }
+
     // Show typing indicator
     await this.bot.sendChatAction(chatId, 'typing');
 
-    // Process message through core
-    const response = await this.core.processMessage(text, userId, 'telegram');
+    // Stream the response through core, progressively editing one message
+    const stream = this.core.processMessageStream(text, userId, 'telegram', { chatId: chatId.toString() });
+    const { reply, sources } = await this.sendStreamingMessage(chatId, stream);
+    await this.attachSourceButtons(chatId, reply, sources);
+
+    // Write operations the model asked for wait for the user's approval
+    for (const pending of this.core.takeNewPendingActions(userId, 'telegram')) {
+      await this.sendPendingAction(chatId, pending);
+    }
+  }
+
+  // The footnotes already list every source; buttons make the linked ones one tap away
+  async attachSourceButtons(chatId, reply, sources) {
+    const linked = sources.filter(source => source.cited && source.url).slice(0, 5);
+    if (!reply || linked.length === 0) return;
+
+    const keyboard = {
+      inline_keyboard: linked.map(source => [
+        { text: `[${source.id}] ${source.title}`.substring(0, 64), url: source.url }
+      ])
+    };
+
+    try {
+      await this.bot.editMessageReplyMarkup(keyboard, { chat_id: chatId, message_id: reply.message_id });
+    } catch (error) {
+      logger.warn('Error attaching source links:', error.message);
+    }
+  }
+
+  async sendPendingAction(chatId, pending) {
+    const keyboard = {
+      inline_keyboard: [
+        [
+          { text: '✅ Approve', callback_data: `pa_approve_${pending.id}` }
+        ],
+        [
+          { text: '✏️ Edit', callback_data: `pa_edit_${pending.id}` },
+          { text: '❌ Cancel', callback_data: `pa_cancel_${pending.id}` }
+        ]
+      ]
+    };
+
+    // Plain text so the payload is shown exactly as it will be sent
+    await this.bot.sendMessage(chatId, this.core.formatPendingAction(pending), { reply_markup: keyboard });
+  }
+
+  async handlePendingActionCallback(query, verb, pendingId) {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id.toString();
+    const target = { chat_id: chatId, message_id: query.message.message_id };
+
+    try {
+      if (verb === 'approve') {
+        await this.bot.editMessageText(`${query.message.text}\n\n⏳ Running...`, target);
+        const { message } = await this.core.approvePendingAction(pendingId, userId, 'telegram');
+        await this.bot.editMessageText(`${query.message.text}\n\n${message}`, target);
+      } else if (verb === 'cancel') {
+        const pending = this.core.cancelPendingAction(pendingId, userId, 'telegram');
+        await this.bot.editMessageText(`❌ Cancelled ${pending.type}.${pending.operation}`, target);
+      } else if (verb === 'edit') {
+        if (!this.core.getPendingActions(userId, 'telegram').some(pending => pending.id === pendingId)) {
+          throw new Error(`Pending action ${pendingId} is no longer open`);
+        }
+        this.pendingEdits.set(`${chatId}:${userId}`, { pendingId, messageId: query.message.message_id });
+        await this.bot.sendMessage(chatId,
+          'Send the fields to change as JSON, e.g. {"title": "New title"}, or as "key: value" lines. Use null to remove a field.');
+      }
+    } catch (error) {
+      logger.warn(`Pending action ${pendingId} ${verb} failed:`, error.message);
+      await this.bot.editMessageText(`${query.message.text}\n\n❌ ${error.message}`, target).catch(() => {});
+    }
+  }
 
-    // Send response
-    await this.sendMessage(chatId, response);
+  async applyPendingEdit(chatId, userId, { pendingId, messageId }, text) {
+    try {
+      const pending = this.core.updatePendingAction(pendingId, userId, parseParameterEdits(text), 'telegram');
+
+      // Retire the old preview so only the updated payload can be approved
+      await this.bot.editMessageText('✏️ Edited - see the updated request below', {
+        chat_id: chatId,
+        message_id: messageId
+      }).catch(() => {});
+
+      await this.sendPendingAction(chatId, pending);
+    } catch (error) {
+      await this.bot.sendMessage(chatId, `❌ ${error.message}. Press Edit to try again.`);
+    }
+  }
+
+  async sendStreamingMessage(chatId, stream) {
+    const maxLength = 4096;
+    let text = '';
+    let sentMessage = null;
+    let lastEdit = 0;
+
+    // Iterated by hand, since for await drops the { response, sources } the stream returns
+    let step;
+    while (!(step = await stream.next()).done) {
+      text += step.value;
+
+      // Overflowing text is split into several messages once the stream ends
+      if (!text.trim() || text.length > maxLength - 2) continue;
+      if (Date.now() - lastEdit < this.streamEditInterval) continue;
+
+      sentMessage = await this.updateStreamingMessage(chatId, sentMessage, `${text} ▌`);
+      lastEdit = Date.now();
+    }
+
+    const sources = step.value?.sources || [];
+
+    if (!text.trim()) {
+      await this.sendErrorMessage(chatId);
+      return { reply: undefined, sources };
+    }
+
+    if (!sentMessage || text.length > maxLength) {
+      if (sentMessage) {
+        await this.bot.deleteMessage(chatId, sentMessage.message_id).catch(() => {});
+      }
+      // Only a single message comes back; split replies get no buttons
+      return { reply: await this.sendMessage(chatId, text), sources };
+    }
+
+    // Final edit with formatting; partial edits are sent as plain text
+    try {
+      await this.bot.editMessageText(this.cleanTextForTelegram(text), {
+        chat_id: chatId,
+        message_id: sentMessage.message_id,
+        parse_mode: 'Markdown'
+      });
+    } catch (error) {
+      await this.updateStreamingMessage(chatId, sentMessage, text);
+    }
+
+    return { reply: sentMessage, sources };
+  }
+
+  async updateStreamingMessage(chatId, sentMessage, text) {
+    try {
+      if (!sentMessage) {
+        return await this.bot.sendMessage(chatId, text);
+      }
+
+      await this.bot.editMessageText(text, {
+        chat_id: chatId,
+        message_id: sentMessage.message_id
+      });
+    } catch (error) {
+      // Telegram rejects edits that don't change the text - nothing to do then
+      if (!error.message?.includes('message is not modified')) {
+        logger.warn('Error updating streamed Telegram message:', error.message);
+      }
+    }
+
+    return sentMessage;
   }
 
   async handleCommand(msg) {
@@ -162,18 +382,46 @@ export class TelegramHandler {
         await this.handleModelCommand(chatId, userId, args);
         break;
       
+      case 'settings':
+        await this.handleSettingsCommand(chatId, userId, args);
+        break;
+      
       case 'memory':
         await this.handleMemoryCommand(chatId, userId, args);
         break;
       
+      case 'remember':
+        await this.handleRememberCommand(chatId, userId, args);
+        break;
+      
       case 'clear':
         await this.handleClearCommand(chatId, userId);
         break;
       
+      case 'history':
+        await this.handleHistoryCommand(chatId, userId, args);
+        break;
+      
+      case 'connect':
+        await this.handleConnectCommand(msg, args);
+        break;
+      
+      case 'ingest':
+        await this.handleIngestCommand(chatId, userId, args);
+        break;
+      
+      case 'disconnect':
+        await this.handleDisconnectCommand(msg, args);
+        break;
+      
       case 'reset':
         await this.handleResetCommand(chatId, userId);
         break;
       
+      case 'forget':
+        await this.handleForgetCommand(chatId, userId, args);
+        break;
+      
       default:
         await this.sendMessage(chatId, 'Unknown command. Type /help for available commands.');
     }
@@ -205,14 +453,22 @@ Type /help to see available commands or just start chatting!
 /help - Show this help message
 /status - Show bot status and memory info
 /model - Change AI model (/model list to see options)
-/memory - Memory management (/memory stats)
+/settings - Model, temperature, language, verbosity and integrations
+/memory - Memory management (/memory list, /memory stats, /memory export, /memory import)
+/remember - Add something for me to remember (/remember I deploy on Fridays)
+/history - Recent actions (/history failed, /history <text>)
+/connect - Link your GitHub or Figma account (/connect github)
+/disconnect - Unlink an account (/disconnect github)
+/ingest - Index a GitHub repository (/ingest owner/repo [branch] [path/])
 /clear - Clear your conversation history
 /reset - Reset to default AI model
+/forget me - Delete everything I store about you
 
 💬 You can also:
 • Ask questions about GitHub repositories
 • Request Figma design information
 • Have conversations that I'll remember
+• Send Markdown, text, HTML, PDF or source files to add them to my knowledge
 • Switch between different AI models
 
 Just type your message and I'll respond with detailed reasoning!
@@ -293,6 +549,7 @@ ${commercialModels.map(model =>
   modelInfo.type === 'commercial' ? '💰 Commercial' : '🆓 Open Source'}
 *Status:* ${modelInfo.available ? '✅ Available' : '❌ Not Available'}
 *Model ID:* ${modelInfo.model}
+*Context Window:* ${modelInfo.contextWindow.toLocaleString()} tokens (max output ${modelInfo.maxOutputTokens.toLocaleString()})
 
 ${!modelInfo.available && modelInfo.provider === 'ollama' ? 
   `*To install:* Contact your administrator to add this model` : ''}
@@ -316,6 +573,169 @@ ${!modelInfo.available && modelInfo.provider === 'ollama' ?
     }
   }
 
+  async handleSettingsCommand(chatId, userId, args) {
+    // Text form for values the keyboard doesn't offer, e.g. /settings language Portuguese
+    if (args.length > 0) {
+      const [field, ...rest] = args;
+      const value = rest.join(' ');
+
+      try {
+        if (field === 'reset') {
+          await this.core.resetUserSettings(userId);
+        } else if (['model', 'temperature', 'language', 'verbosity'].includes(field) && value) {
+          await this.core.updateUserSettings(userId, { [field]: value });
+        } else {
+          await this.bot.sendMessage(chatId,
+            'Usage: /settings [model|temperature|language|verbosity] <value>, or /settings reset');
+          return;
+        }
+      } catch (error) {
+        await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+        return;
+      }
+    }
+
+    const view = this.buildSettingsView(userId);
+    await this.bot.sendMessage(chatId, view.text, { reply_markup: view.keyboard });
+  }
+
+  buildSettingsView(userId, menu = 'main') {
+    const settings = this.core.getUserSettings(userId);
+    // Callback data carries the owner so nobody else in a group can change these settings
+    const button = (text, ...parts) => ({ text, callback_data: ['set', userId, ...parts].join(':') });
+    const back = [button('⬅️ Back', 'menu')];
+    const mark = (selected) => selected ? '✅ ' : '';
+
+    if (menu === 'model') {
+      const models = this.core.aiModelManager.getAvailableModels();
+      return {
+        text: '🧠 Choose a model:',
+        keyboard: {
+          inline_keyboard: [
+            ...models.map(model => [button(`${mark(model === settings.model)}${model}`, 'model', model)]),
+            back
+          ]
+        }
+      };
+    }
+
+    if (menu === 'temperature') {
+      return {
+        text: '🌡️ Lower is more focused, higher is more creative:',
+        keyboard: {
+          inline_keyboard: [
+            SETTINGS_TEMPERATURES.map(value => button(`${mark(value === settings.temperature)}${value}`, 'temperature', value)),
+            back
+          ]
+        }
+      };
+    }
+
+    if (menu === 'language') {
+      return {
+        text: '🌐 Reply language (or /settings language <name> for others):',
+        keyboard: {
+          inline_keyboard: [
+            ...SETTINGS_LANGUAGES.map(language => [button(`${mark(language === settings.language)}${language}`, 'language', language)]),
+            back
+          ]
+        }
+      };
+    }
+
+    if (menu === 'verbosity') {
+      return {
+        text: '📏 How long should answers be?',
+        keyboard: {
+          inline_keyboard: [
+            VERBOSITY_LEVELS.map(level => button(`${mark(level === settings.verbosity)}${level}`, 'verbosity', level)),
+            back
+          ]
+        }
+      };
+    }
+
+    if (menu === 'integrations') {
+      const types = this.core.mcpManager.getServerTypes();
+      return {
+        text: types.length > 0 ? '🔌 Tap an integration to turn it on or off:' : '🔌 No integrations are configured.',
+        keyboard: {
+          inline_keyboard: [
+            ...types.map(type => [button(`${settings.integrations[type] === false ? '⚪' : '✅'} ${type}`, 'int', type)]),
+            back
+          ]
+        }
+      };
+    }
+
+    const disabled = Object.keys(settings.integrations).filter(type => settings.integrations[type] === false);
+    return {
+      text: [
+        '⚙️ Your settings',
+        '',
+        `🧠 Model: ${settings.model}`,
+        `🌡️ Temperature: ${settings.temperature}`,
+        `🌐 Language: ${settings.language}`,
+        `📏 Verbosity: ${settings.verbosity}`,
+        `🔌 Disabled integrations: ${disabled.length > 0 ? disabled.join(', ') : 'none'}`
+      ].join('\n'),
+      keyboard: {
+        inline_keyboard: [
+          [button('🧠 Model', 'menu', 'model'), button('🌡️ Temperature', 'menu', 'temperature')],
+          [button('🌐 Language', 'menu', 'language'), button('📏 Verbosity', 'menu', 'verbosity')],
+          [button('🔌 Integrations', 'menu', 'integrations'), button('↩️ Reset', 'reset')]
+        ]
+      }
+    };
+  }
+
+  async handleSettingsCallback(query) {
+    const userId = query.from.id.toString();
+    // Model names can contain ':' so everything after the field is the value
+    const [, ownerId, field, ...rest] = query.data.split(':');
+    const value = rest.join(':');
+
+    if (userId !== ownerId) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'These are not your settings' });
+      return;
+    }
+
+    let menu = 'main';
+    let notice;
+
+    try {
+      if (field === 'menu') {
+        menu = value || 'main';
+      } else if (field === 'reset') {
+        await this.core.resetUserSettings(userId);
+        notice = 'Settings reset';
+      } else if (field === 'int') {
+        const enabled = this.core.getUserSettings(userId).integrations[value] === false;
+        await this.core.setUserIntegration(userId, value, enabled);
+        menu = 'integrations';
+        notice = `${value} ${enabled ? 'enabled' : 'disabled'}`;
+      } else {
+        await this.core.updateUserSettings(userId, { [field]: value });
+        notice = 'Saved';
+      }
+    } catch (error) {
+      notice = `❌ ${error.message}`;
+    }
+
+    const view = this.buildSettingsView(userId, menu);
+    await this.bot.editMessageText(view.text, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      reply_markup: view.keyboard
+    }).catch(error => {
+      if (!error.message?.includes('message is not modified')) {
+        logger.warn('Error updating Telegram settings message:', error.message);
+      }
+    });
+
+    await this.bot.answerCallbackQuery(query.id, notice ? { text: notice } : {});
+  }
+
   async handleMemoryCommand(chatId, userId, args) {
     if (args.length === 0 || args[0] === 'stats') {
       try {
@@ -329,7 +749,7 @@ ${!modelInfo.available && modelInfo.provider === 'ollama' ?
   • Users: ${memoryStatus.shortTerm.totalUsers}
 
 💾 Long-term Memory:
-  • Total memories: ${memoryStatus.longTerm.totalMemories}
+  • Total memories: ${memoryStatus.longTerm.totalMemories} (${memoryStatus.longTerm.archivedMemories || 0} archived)
   • Users: ${memoryStatus.longTerm.totalUsers}
   • Avg importance: ${memoryStatus.longTerm.averageImportance?.toFixed(2) || 'N/A'}
 
@@ -337,8 +757,14 @@ ${!modelInfo.available && modelInfo.provider === 'ollama' ?
   • Documents: ${memoryStatus.rag.totalDocuments}
   • Model: ${memoryStatus.rag.embeddingModel}
 
+🕸️ Knowledge Graph:
+  • ${memoryStatus.graph.entities} entities, ${memoryStatus.graph.relations} relations
+
 Commands:
-/memory search <query> - Search your memories
+/memory list - Browse, pin, edit and delete your memories
+/memory search <query> - Search your memories ("exact phrase", prefix*)
+/memory export - Download everything stored about you
+/memory import - Restore an export
 /memory clear - Clear your memories
         `;
 
@@ -349,14 +775,14 @@ Commands:
     } else if (args[0] === 'search' && args.length > 1) {
       const query = args.slice(1).join(' ');
       try {
-        const results = await this.core.memoryManager.searchMemory(userId, query);
+        const results = await this.core.memoryManager.searchMemory(userId, query, { chatId: chatId.toString() });
         
         let searchMessage = `🔍 Memory Search Results for "${query}":\n\n`;
         
         if (results.shortTerm.length > 0) {
           searchMessage += `📝 Short-term (${results.shortTerm.length}):\n`;
           results.shortTerm.slice(0, 3).forEach((item, i) => {
-            searchMessage += `${i + 1}. ${JSON.stringify(item.content).substring(0, 100)}...\n`;
+            searchMessage += `${i + 1}. ${this.describeMemory(item)}\n`;
           });
           searchMessage += '\n';
         }
@@ -364,7 +790,8 @@ Commands:
         if (results.longTerm.length > 0) {
           searchMessage += `💾 Long-term (${results.longTerm.length}):\n`;
           results.longTerm.slice(0, 3).forEach((item, i) => {
-            searchMessage += `${i + 1}. ${JSON.stringify(item.content).substring(0, 100)}...\n`;
+            // Full-text matches come with the matching passage highlighted
+            searchMessage += `${i + 1}. ${item.snippet || this.describeMemory(item)} (#${item.id})\n`;
           });
         }
 
@@ -376,11 +803,542 @@ Commands:
       } catch (error) {
         await this.sendMessage(chatId, 'Error searching memories.');
       }
+    } else if (args[0] === 'list') {
+      const view = await this.buildMemoryListView(userId, Math.max(0, (parseInt(args[1]) || 1) - 1));
+      await this.bot.sendMessage(chatId, view.text, { reply_markup: view.keyboard });
+    } else if (args[0] === 'export') {
+      await this.handleExportCommand(chatId, userId);
+    } else if (args[0] === 'import') {
+      this.pendingImports.add(`${chatId}:${userId}`);
+      await this.bot.sendMessage(chatId, 'Send the .json file from /memory export and I\'ll add it to your memory.');
     } else if (args[0] === 'clear') {
       await this.handleClearCommand(chatId, userId);
     }
   }
 
+  // One line of a memory: the fact itself, or the user's side of a conversation
+  describeMemory(memory, maxLength = 100) {
+    const content = memory.content ?? '';
+    const text = typeof content === 'string' ? content : content.text || content.userMessage || JSON.stringify(content);
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > maxLength ? `${line.substring(0, maxLength)}...` : line;
+  }
+
+  async buildMemoryListView(userId, page = 0) {
+    const { total, pages, memories } = await this.core.memoryManager.listMemories(userId, { page, pageSize: MEMORY_PAGE_SIZE });
+    // Deleting the last memory on a page leaves nothing to show there
+    if (memories.length === 0 && page > 0) {
+      return this.buildMemoryListView(userId, pages - 1);
+    }
+
+    if (total === 0) {
+      return {
+        text: '🧠 I haven\'t remembered anything about you yet. Use /remember <fact> to tell me something.',
+        keyboard: { inline_keyboard: [] }
+      };
+    }
+
+    // Callback data carries the owner so nobody else in a group can open these memories
+    const button = (text, ...parts) => ({ text, callback_data: ['mem', userId, ...parts].join(':') });
+    const number = i => page * MEMORY_PAGE_SIZE + i + 1;
+    const navigation = [
+      ...(page > 0 ? [button('◀️ Previous', 'page', page - 1)] : []),
+      ...(page < pages - 1 ? [button('Next ▶️', 'page', page + 1)] : [])
+    ];
+
+    return {
+      text: [
+        `🧠 Your memories (${total}) - page ${page + 1}/${pages}`,
+        '',
+        ...memories.map((memory, i) =>
+          `${number(i)}. ${memory.metadata.pinned ? '📌 ' : memory.archivedAt ? '🗄️ ' : ''}[${memory.kind}] ${this.describeMemory(memory)}`),
+        '',
+        'Tap one to view, pin, edit or delete it.'
+      ].join('\n'),
+      keyboard: {
+        inline_keyboard: [
+          ...memories.map((memory, i) => [button(`${number(i)}. ${this.describeMemory(memory, 40)}`, 'view', memory.id, page)]),
+          ...(navigation.length > 0 ? [navigation] : [])
+        ]
+      }
+    };
+  }
+
+  buildMemoryView(userId, memory, page = 0, { confirmDelete = false } = {}) {
+    const button = (text, ...parts) => ({ text, callback_data: ['mem', userId, ...parts].join(':') });
+    const { content, metadata } = memory;
+    const date = value => value.toISOString().replace('T', ' ').substring(0, 16);
+    const lines = [`🧠 ${memory.kind} #${memory.id}${metadata.pinned ? ' 📌' : memory.archivedAt ? ' 🗄️ archived' : ''}`, ''];
+
+    if (content.text) {
+      lines.push(content.text);
+      if (content.entities?.length > 0) lines.push(`Entities: ${content.entities.join(', ')}`);
+      if (content.due) lines.push(`Due: ${content.due}`);
+    } else {
+      lines.push(`You: ${content.userMessage || ''}`, '', `Bot: ${content.botResponse || ''}`);
+    }
+
+    lines.push('', `Importance: ${memory.importance?.toFixed(2) ?? 'n/a'}, strength now ${memory.strength?.toFixed(2) ?? 'n/a'}`);
+    if (memory.confidence !== null && memory.confidence !== undefined) lines.push(`Confidence: ${memory.confidence.toFixed(2)}`);
+    if (metadata.mentions > 1) lines.push(`Mentioned ${metadata.mentions} times`);
+    if (metadata.previous?.length > 0) lines.push(`Previously: ${metadata.previous[metadata.previous.length - 1]}`);
+    if (memory.accessCount > 0) lines.push(`Used in ${memory.accessCount} replies, last ${date(memory.lastAccessed)} UTC`);
+    lines.push(`Saved: ${date(memory.timestamp)} UTC${metadata.source === 'user' ? ' (by you)' : ''}`);
+    if (memory.archivedAt) lines.push(`Archived ${date(memory.archivedAt)} UTC after fading from use - I won't bring it up until it's restored`);
+
+    const actions = confirmDelete
+      ? [[button('🗑️ Yes, delete it', 'confirm', memory.id, page), button('❌ Keep it', 'view', memory.id, page)]]
+      : [
+        [
+          metadata.pinned ? button('📍 Unpin', 'unpin', memory.id, page) : button('📌 Pin', 'pin', memory.id, page),
+          ...(memory.archivedAt ? [button('♻️ Restore', 'restore', memory.id, page)] : []),
+          // Transcripts have no single text to correct
+          ...(content.text ? [button('✏️ Edit', 'edit', memory.id, page)] : []),
+          button('🗑️ Delete', 'delete', memory.id, page)
+        ],
+        [button('⬅️ Back to list', 'page', page)]
+      ];
+
+    // Long transcripts must still fit into one message
+    const text = lines.join('\n');
+    return {
+      text: text.length > 4000 ? `${text.substring(0, 4000)}...` : text,
+      keyboard: { inline_keyboard: actions }
+    };
+  }
+
+  async handleMemoryCallback(query) {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id.toString();
+    const [, ownerId, action, value, pageValue] = query.data.split(':');
+    const page = parseInt(pageValue) || 0;
+    const memoryManager = this.core.memoryManager;
+
+    if (userId !== ownerId) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'These are not your memories' });
+      return;
+    }
+
+    let view;
+    let notice;
+
+    try {
+      if (action === 'page') {
+        view = await this.buildMemoryListView(userId, parseInt(value) || 0);
+      } else if (action === 'edit') {
+        this.pendingMemoryEdits.set(`${chatId}:${userId}`, { memoryId: parseInt(value), page });
+        await this.bot.sendMessage(chatId, `✏️ Send the corrected text for memory #${value}.`);
+      } else if (action === 'confirm') {
+        notice = await memoryManager.deleteMemory(userId, parseInt(value)) ? 'Deleted' : 'Already gone';
+        view = await this.buildMemoryListView(userId, page);
+      } else {
+        const memory = action === 'pin' || action === 'unpin'
+          ? await memoryManager.setMemoryPinned(userId, parseInt(value), action === 'pin')
+          : action === 'restore'
+            ? await memoryManager.restoreMemory(userId, parseInt(value))
+            : await memoryManager.getMemory(userId, parseInt(value));
+
+        if (memory) {
+          view = this.buildMemoryView(userId, memory, page, { confirmDelete: action === 'delete' });
+          if (action === 'pin') notice = 'Pinned - I\'ll always keep this in mind';
+          if (action === 'unpin') notice = 'Unpinned';
+          if (action === 'restore') notice = 'Restored';
+        } else {
+          notice = 'That memory no longer exists';
+          view = await this.buildMemoryListView(userId, page);
+        }
+      }
+    } catch (error) {
+      logger.warn('Memory action failed:', error.message);
+      notice = `❌ ${error.message}`;
+    }
+
+    if (view) {
+      await this.bot.editMessageText(view.text, {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: view.keyboard
+      }).catch(() => {});
+    }
+    await this.bot.answerCallbackQuery(query.id, notice ? { text: notice } : {});
+  }
+
+  async applyMemoryEdit(chatId, userId, { memoryId, page }, text) {
+    try {
+      const memory = await this.core.memoryManager.editMemory(userId, memoryId, text);
+      if (!memory) {
+        await this.bot.sendMessage(chatId, `❌ Memory #${memoryId} can't be edited.`);
+        return;
+      }
+
+      const view = this.buildMemoryView(userId, memory, page);
+      await this.bot.sendMessage(chatId, `✅ Updated.\n\n${view.text}`, { reply_markup: view.keyboard });
+    } catch (error) {
+      logger.warn('Error editing memory:', error.message);
+      await this.bot.sendMessage(chatId, '❌ Could not update that memory.');
+    }
+  }
+
+  async handleRememberCommand(chatId, userId, args) {
+    const text = args.join(' ').trim();
+    if (!text) {
+      await this.bot.sendMessage(chatId,
+        'Usage: /remember <fact>, e.g. /remember I deploy on Fridays\n' +
+        'Start with task:, preference: or entity: to file it as one.');
+      return;
+    }
+
+    const match = text.match(/^(fact|preference|task|entity):\s*([\s\S]+)$/i);
+    const [kind, fact] = match ? [match[1].toLowerCase(), match[2]] : ['fact', text];
+
+    try {
+      const { memory, created } = await this.core.memoryManager.rememberFact(userId, fact, kind);
+      await this.bot.sendMessage(chatId, created
+        ? `🧠 Got it, I'll remember that (${kind} #${memory.id}). See everything with /memory list.`
+        : `🧠 I already remember that (${memory.kind} #${memory.id}).`);
+    } catch (error) {
+      logger.error('Error storing explicit memory:', error);
+      await this.bot.sendMessage(chatId, '❌ Could not store that memory.');
+    }
+  }
+
+  async handleExportCommand(chatId, userId) {
+    // Exports are personal - don't post them where the rest of a group can read them
+    if (chatId.toString() !== userId) {
+      await this.bot.sendMessage(chatId, '🔒 Send /memory export in a private chat with me.');
+      return;
+    }
+
+    try {
+      await this.bot.sendChatAction(chatId, 'upload_document');
+      const archive = await this.core.exportUserData(userId);
+      const filename = `minibot-export-${userId}-${archive.exportedAt.split('T')[0]}`;
+
+      await this.bot.sendDocument(chatId, Buffer.from(JSON.stringify(archive, null, 2)),
+        { caption: '📦 Everything I store about you. Send it back after /memory import to restore it.' },
+        { filename: `${filename}.json`, contentType: 'application/json' });
+      await this.bot.sendDocument(chatId, Buffer.from(this.core.formatUserDataExport(archive)),
+        {},
+        { filename: `${filename}.md`, contentType: 'text/markdown' });
+    } catch (error) {
+      logger.error('Error exporting user data:', error);
+      await this.bot.sendMessage(chatId, '❌ Could not export your data.');
+    }
+  }
+
+  async handleImportUpload(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    try {
+      const archive = JSON.parse((await this.downloadFile(msg.document.file_id)).toString('utf8'));
+      const result = await this.core.importUserData(userId, archive);
+      await this.bot.sendMessage(chatId,
+        `✅ Imported ${result.shortTerm} recent messages, ${result.longTerm} memories and ${result.rag} documents` +
+        `${result.settings ? ', and your settings' : ''}.`);
+    } catch (error) {
+      logger.warn('Error importing user data:', error.message);
+      const reason = error instanceof SyntaxError ? 'that file is not valid JSON' : error.expose ? error.message : 'the import failed';
+      await this.bot.sendMessage(chatId, `❌ Nothing imported: ${reason}.`);
+    }
+  }
+
+  async handleForgetCommand(chatId, userId, args) {
+    if (args[0] !== 'me') {
+      await this.bot.sendMessage(chatId, 'Usage: /forget me - deletes everything I store about you');
+      return;
+    }
+
+    const counts = await this.core.userData.countUserData(userId);
+    const keyboard = {
+      inline_keyboard: [
+        [
+          { text: '🗑️ Delete everything', callback_data: `forget_confirm_${userId}` },
+          { text: '❌ Cancel', callback_data: `forget_cancel_${userId}` }
+        ]
+      ]
+    };
+
+    await this.bot.sendMessage(chatId,
+      '⚠️ This permanently deletes everything I store about you:\n\n' +
+      `• ${counts.shortTerm} recent messages\n` +
+      `• ${counts.longTerm} long-term memories\n` +
+      `• ${counts.rag} documents, including ones you added to group chats\n` +
+      `• ${counts.actionHistory} logged GitHub/Figma actions\n` +
+      `• ${counts.connectedAccounts} linked accounts\n` +
+      `• your settings and ${counts.pendingActions} pending actions\n\n` +
+      'Use /memory export first if you want a copy. This cannot be undone.',
+      { reply_markup: keyboard });
+  }
+
+  async handleForgetCallback(query, action) {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id.toString();
+    const target = { chat_id: chatId, message_id: query.message.message_id };
+
+    if (action === 'cancel') {
+      await this.bot.editMessageText('❌ Nothing was deleted.', target);
+      return;
+    }
+
+    try {
+      await this.bot.editMessageText('⏳ Deleting your data...', target);
+      const receipt = await this.core.forgetUser(userId, { via: 'telegram' });
+
+      for (const key of [...this.pendingEdits.keys(), ...this.pendingConnects.keys(), ...this.pendingImports, ...this.pendingMemoryEdits.keys()]) {
+        if (key.endsWith(`:${userId}`)) {
+          this.pendingEdits.delete(key);
+          this.pendingConnects.delete(key);
+          this.pendingImports.delete(key);
+          this.pendingMemoryEdits.delete(key);
+        }
+      }
+
+      const deleted = Object.entries(receipt.deleted)
+        .filter(([, count]) => count > 0)
+        .map(([store, count]) => `• ${store}: ${count}`)
+        .join('\n');
+      await this.bot.editMessageText(
+        `${receipt.verified ? '✅ Everything I stored about you is deleted.' : '⚠️ Some of your data could not be deleted - an administrator has been notified in the logs.'}\n\n` +
+        `${deleted || 'There was nothing to delete.'}\n\nReceipt: ${receipt.id}`,
+        target);
+    } catch (error) {
+      logger.error('Error forgetting user:', error);
+      await this.bot.editMessageText('❌ Deletion failed. Please try again.', target);
+    }
+  }
+
+  async handleHistoryCommand(chatId, userId, args) {
+    const filters = { limit: 10 };
+    let remaining = [...args];
+
+    // Admins can audit actions of every user
+    if (remaining[0] === 'all') {
+      if (!this.adminUsers.includes(parseInt(userId))) {
+        await this.sendMessage(chatId, '❌ Only admins can view the history of all users.');
+        return;
+      }
+      remaining = remaining.slice(1);
+    } else {
+      filters.userId = userId;
+    }
+
+    if (remaining[0] === 'failed') {
+      filters.success = false;
+      remaining = remaining.slice(1);
+    }
+
+    const query = remaining.join(' ');
+
+    try {
+      const actions = await this.core.mcpManager.searchActionHistory(filters.userId, query, filters);
+
+      if (actions.length === 0) {
+        await this.sendMessage(chatId, '📜 No actions found.');
+        return;
+      }
+
+      const lines = actions.map(entry => {
+        const time = entry.timestamp.toISOString().replace('T', ' ').substring(0, 16);
+        const params = JSON.stringify(entry.parameters);
+        const detail = entry.success ? entry.resultSummary : `Error: ${entry.error}`;
+        return [
+          `${entry.success ? '✅' : '❌'} ${entry.serverType}.${entry.operation} - ${time} UTC (${entry.latencyMs}ms)` +
+            (filters.userId ? '' : ` by ${entry.userId}`),
+          `   ${params.length > 120 ? `${params.substring(0, 120)}...` : params}`,
+          detail ? `   ${detail.substring(0, 150)}` : null
+        ].filter(Boolean).join('\n');
+      });
+
+      // Sent as plain text: parameters and operation names are full of Markdown characters
+      const message = `📜 Recent actions${query ? ` matching "${query}"` : ''}:\n\n${lines.join('\n\n')}`;
+      await this.bot.sendMessage(chatId, message.substring(0, 4096));
+    } catch (error) {
+      logger.error('Error retrieving action history:', error);
+      await this.sendMessage(chatId, 'Error retrieving action history.');
+    }
+  }
+
+  getCredentialOwner(msg) {
+    // Accounts linked in a group act for everyone in it; private chats link the user's own
+    return msg.chat.type === 'private'
+      ? this.core.mcpManager.getCredentialOwner('telegram', 'user', msg.from.id)
+      : this.core.mcpManager.getCredentialOwner('telegram', 'chat', msg.chat.id);
+  }
+
+  canManageCredentials(msg) {
+    return msg.chat.type === 'private' || this.adminUsers.includes(msg.from.id);
+  }
+
+  async handleConnectCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const ownerId = this.getCredentialOwner(msg);
+    const servers = this.core.mcpManager.getCredentialServers();
+
+    if (!this.canManageCredentials(msg)) {
+      await this.sendMessage(chatId, '❌ Only admins can link an account for this group. Use /connect in a private chat to link your own.');
+      return;
+    }
+
+    if (args.length === 0) {
+      const accounts = await this.core.mcpManager.listAccounts(ownerId);
+      const lines = servers.map(serverType => {
+        const account = accounts.find(item => item.serverType === serverType);
+        return account ? `✅ ${serverType}: ${account.account || 'connected'}` : `⚪ ${serverType}: not connected`;
+      });
+
+      await this.bot.sendMessage(chatId,
+        `🔑 Linked accounts:\n\n${lines.join('\n') || 'No services need an account.'}\n\nUse /connect <service> to link one.`);
+      return;
+    }
+
+    const serverType = args[0].toLowerCase();
+    if (!servers.includes(serverType)) {
+      await this.sendMessage(chatId, `❌ Unknown service. Available: ${servers.join(', ') || 'none'}`);
+      return;
+    }
+
+    if (args[1]) {
+      await this.deleteSecretMessage(msg);
+      await this.connectAccount(chatId, ownerId, serverType, args[1]);
+      return;
+    }
+
+    this.pendingConnects.set(`${chatId}:${userId}`, { serverType, ownerId });
+    await this.bot.sendMessage(chatId,
+      `Send your ${serverType} personal access token now. I'll delete your message and store the token encrypted.`);
+  }
+
+  async connectAccount(chatId, ownerId, serverType, token) {
+    try {
+      const { account } = await this.core.mcpManager.connectAccount(ownerId, serverType, token);
+      await this.bot.sendMessage(chatId, `✅ Connected ${serverType}${account ? ` as ${account}` : ''}.`);
+    } catch (error) {
+      logger.warn(`Failed to connect ${serverType} for ${ownerId}:`, error.message);
+      await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+    }
+  }
+
+  async deleteSecretMessage(msg) {
+    try {
+      await this.bot.deleteMessage(msg.chat.id, msg.message_id);
+    } catch (error) {
+      // Bots can't delete messages in groups without admin rights
+      logger.warn('Could not delete message containing a token:', error.message);
+      await this.bot.sendMessage(msg.chat.id, '⚠️ I could not delete your token message - please delete it yourself.');
+    }
+  }
+
+  async handleDisconnectCommand(msg, args) {
+    const chatId = msg.chat.id;
+
+    if (!this.canManageCredentials(msg)) {
+      await this.sendMessage(chatId, '❌ Only admins can unlink the account of this group.');
+      return;
+    }
+
+    if (args.length === 0) {
+      await this.sendMessage(chatId, 'Usage: /disconnect <service>');
+      return;
+    }
+
+    const serverType = args[0].toLowerCase();
+    try {
+      const removed = await this.core.mcpManager.disconnectAccount(this.getCredentialOwner(msg), serverType);
+      await this.bot.sendMessage(chatId, removed ? `✅ Disconnected ${serverType}.` : `No ${serverType} account was connected.`);
+    } catch (error) {
+      await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+    }
+  }
+
+  async handleDocumentUpload(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const { file_id: fileId, file_name: filename = 'document.txt', mime_type: mimeType = '', file_size: size } = msg.document;
+    const ingestor = this.core.documentIngestor;
+
+    logger.info(`Received Telegram document from ${userId}: ${filename} (${size} bytes)`);
+
+    if (!ingestor.parser.isSupported(filename, mimeType)) {
+      await this.bot.sendMessage(chatId, `❌ I can't read ${filename}. Send Markdown, text, HTML, PDF or source files.`);
+      return;
+    }
+
+    // Bots can only download files up to 20 MB
+    if (size > Math.min(ingestor.maxFileBytes, 20 * 1024 * 1024)) {
+      await this.bot.sendMessage(chatId, `❌ ${filename} is too large to index.`);
+      return;
+    }
+
+    try {
+      await this.bot.sendChatAction(chatId, 'typing');
+      const buffer = await this.downloadFile(fileId);
+      const result = await ingestor.ingestFile({
+        buffer,
+        filename,
+        mimeType,
+        source: 'telegram',
+        userId,
+        chatId: chatId.toString(),
+        metadata: { chatId: chatId.toString() }
+      });
+
+      const message = result.status === 'duplicate'
+        ? `📚 ${filename} is already indexed.`
+        : `📚 ${result.status === 'updated' ? 'Updated' : 'Indexed'} "${result.title}" as ${result.chunks} chunk${result.chunks === 1 ? '' : 's'}. Ask me about it!`;
+      await this.bot.sendMessage(chatId, message);
+    } catch (error) {
+      logger.error('Error ingesting Telegram document:', error);
+      await this.bot.sendMessage(chatId, `❌ ${error.expose ? error.message : `Could not index ${filename}.`}`);
+    }
+  }
+
+  async downloadFile(fileId) {
+    const chunks = [];
+    for await (const chunk of this.bot.getFileStream(fileId)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async handleIngestCommand(chatId, userId, args) {
+    const [repository, ref, pathPrefix] = args;
+    const [owner, repo] = (repository || '').split('/');
+
+    if (!owner || !repo) {
+      await this.bot.sendMessage(chatId, 'Usage: /ingest owner/repo [branch] [path/]\nTo add a file, just send it to me.');
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, `⏳ Indexing ${owner}/${repo} - this can take a few minutes...`);
+
+    try {
+      const summary = await this.core.documentIngestor.ingestGitHubRepository({
+        owner,
+        repo,
+        ref,
+        pathPrefix,
+        userId,
+        platform: 'telegram',
+        chatId: chatId.toString()
+      });
+
+      const lines = [
+        `📚 ${summary.repository}@${summary.ref}: ${summary.indexed} new, ${summary.updated} updated, ${summary.duplicates} unchanged (${summary.chunks} chunks).`
+      ];
+      if (summary.skipped > 0) {
+        lines.push(`Skipped ${summary.skipped} files (unsupported, generated or over the limit).`);
+      }
+      if (summary.failed.length > 0) {
+        lines.push(`Failed: ${summary.failed.slice(0, 5).map(file => file.path).join(', ')}${summary.failed.length > 5 ? ', ...' : ''}`);
+      }
+      await this.bot.sendMessage(chatId, lines.join('\n'));
+    } catch (error) {
+      await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+    }
+  }
+
   async handleClearCommand(chatId, userId) {
     const keyboard = {
       inline_keyboard: [
@@ -403,7 +1361,7 @@ Commands:
   async handleResetCommand(chatId, userId) {
     try {
       // Clear user model preference
-      this.core.aiModelManager.clearUserModel(userId);
+      await this.core.aiModelManager.clearUserModel(userId);
       
       // Get the current default model
       const defaultModel = this.core.aiModelManager.getCurrentModel(userId);
@@ -419,7 +1377,30 @@ Commands:
     const data = query.data;
     const userId = query.from.id.toString();
 
-    if (data.startsWith('clear_')) {
+    if (data.startsWith('set:')) {
+      // Answers the query itself so it can show what changed
+      await this.handleSettingsCallback(query);
+      return;
+    }
+
+    if (data.startsWith('mem:')) {
+      await this.handleMemoryCallback(query);
+      return;
+    }
+
+    if (data.startsWith('pa_')) {
+      const [, verb, pendingId] = data.split('_');
+      await this.handlePendingActionCallback(query, verb, pendingId);
+    } else if (data.startsWith('forget_')) {
+      const [, action, targetUserId] = data.split('_');
+
+      // Only the user who asked can confirm their own deletion
+      if (userId !== targetUserId) {
+        await this.bot.answerCallbackQuery(query.id, { text: 'Unauthorized action' });
+        return;
+      }
+      await this.handleForgetCallback(query, action);
+    } else if (data.startsWith('clear_')) {
       const action = data.split('_')[1];
       const targetUserId = data.split('_')[2];
 
@@ -1,5 +1,6 @@
 import pkg from 'whatsapp-web.js';
 const { Client, LocalAuth } = pkg;
+import { parseParameterEdits } from '../utils/parameters.js';
 import { logger } from '../utils/logger.js';
 
 export class WhatsAppHandler {
@@ -119,10 +120,15 @@ export class WhatsAppHandler {
 
     try {
       // Process message through core
-      const response = await this.core.processMessage(text, userId, 'whatsapp');
+      const { response } = await this.core.processMessage(text, userId, 'whatsapp');
 
       // Send response
       await this.sendMessage(userId, response);
+
+      // Write operations the model asked for wait for the user's approval
+      for (const pending of this.core.takeNewPendingActions(userId, 'whatsapp')) {
+        await this.sendPendingAction(userId, pending);
+      }
     } catch (error) {
       logger.error('Error processing WhatsApp message:', error);
       await this.sendErrorMessage(userId);
@@ -160,6 +166,16 @@ export class WhatsAppHandler {
         await this.handleClearCommand(userId);
         break;
       
+      case 'pending':
+        await this.handlePendingCommand(userId);
+        break;
+      
+      case 'approve':
+      case 'cancel':
+      case 'edit':
+        await this.handlePendingActionCommand(userId, command.toLowerCase(), args);
+        break;
+      
       default:
         await this.sendMessage(userId, 'Unknown command. Type /help for available commands.');
     }
@@ -177,6 +193,8 @@ I'm an AI assistant with advanced memory and reasoning capabilities.
 /model - Change AI model (/model list)
 /memory - Memory management (/memory stats)
 /clear - Clear conversation history
+/pending - Actions waiting for your approval
+/approve, /edit, /cancel - Answer a pending action
 
 *Features:*
 • Multi-layered memory system
@@ -263,6 +281,7 @@ ${commercialModels.map(model =>
   modelInfo.type === 'commercial' ? '💰 Commercial' : '🆓 Open Source'}
 *Status:* ${modelInfo.available ? '✅ Available' : '❌ Not Available'}
 *Model ID:* ${modelInfo.model}
+*Context Window:* ${modelInfo.contextWindow.toLocaleString()} tokens (max output ${modelInfo.maxOutputTokens.toLocaleString()})
 
 ${!modelInfo.available && modelInfo.provider === 'ollama' ? 
   `*To install:* Contact your administrator to add this model` : ''}
@@ -299,7 +318,7 @@ ${!modelInfo.available && modelInfo.provider === 'ollama' ?
 • Users: ${memoryStatus.shortTerm.totalUsers}
 
 💾 *Long-term Memory:*
-• Total memories: ${memoryStatus.longTerm.totalMemories}
+• Total memories: ${memoryStatus.longTerm.totalMemories} (${memoryStatus.longTerm.archivedMemories || 0} archived)
 • Users: ${memoryStatus.longTerm.totalUsers}
 • Avg importance: ${memoryStatus.longTerm.averageImportance?.toFixed(2) || 'N/A'}
 
@@ -307,6 +326,9 @@ ${!modelInfo.available && modelInfo.provider === 'ollama' ?
 • Documents: ${memoryStatus.rag.totalDocuments}
 • Model: ${memoryStatus.rag.embeddingModel}
 
+🕸️ *Knowledge Graph:*
+• ${memoryStatus.graph.entities} entities, ${memoryStatus.graph.relations} relations
+
 *Commands:*
 /memory search <query> - Search memories
 /memory clear - Clear memories
@@ -334,7 +356,8 @@ ${!modelInfo.available && modelInfo.provider === 'ollama' ?
         if (results.longTerm.length > 0) {
           searchMessage += `💾 *Long-term (${results.longTerm.length}):*\n`;
           results.longTerm.slice(0, 3).forEach((item, i) => {
-            searchMessage += `${i + 1}. ${JSON.stringify(item.content).substring(0, 100)}...\n`;
+            // Full-text matches come with the matching passage highlighted
+            searchMessage += `${i + 1}. ${item.snippet || `${JSON.stringify(item.content).substring(0, 100)}...`}\n`;
           });
         }
 
@@ -351,6 +374,59 @@ ${!modelInfo.available && modelInfo.provider === 'ollama' ?
     }
   }
 
+  async sendPendingAction(userId, pending) {
+    const instructions = [
+      `Reply */approve ${pending.id}* to run it`,
+      `*/edit ${pending.id} {"title": "..."}* to change fields`,
+      `*/cancel ${pending.id}* to drop it`
+    ].join('\n');
+
+    await this.sendMessage(userId, `${this.core.formatPendingAction(pending)}\n\n${instructions}`);
+  }
+
+  async handlePendingCommand(userId) {
+    const pendingActions = this.core.getPendingActions(userId, 'whatsapp');
+
+    if (pendingActions.length === 0) {
+      await this.sendMessage(userId, 'No actions are waiting for approval.');
+      return;
+    }
+
+    for (const pending of pendingActions) {
+      await this.sendPendingAction(userId, pending);
+    }
+  }
+
+  async handlePendingActionCommand(userId, verb, args) {
+    let [pendingId, ...rest] = args;
+
+    // With a single open action the id can be left out
+    const open = this.core.getPendingActions(userId, 'whatsapp');
+    if (!open.some(pending => pending.id === pendingId)) {
+      if (open.length !== 1) {
+        await this.sendMessage(userId, `Please include the action id, e.g. /${verb} ${open[0]?.id || 'a1b2c3d4'}. Send /pending to list them.`);
+        return;
+      }
+      if (pendingId) rest = [pendingId, ...rest];
+      pendingId = open[0].id;
+    }
+
+    try {
+      if (verb === 'approve') {
+        const { message } = await this.core.approvePendingAction(pendingId, userId, 'whatsapp');
+        await this.sendMessage(userId, message);
+      } else if (verb === 'cancel') {
+        const pending = this.core.cancelPendingAction(pendingId, userId, 'whatsapp');
+        await this.sendMessage(userId, `❌ Cancelled ${pending.type}.${pending.operation}`);
+      } else {
+        const pending = this.core.updatePendingAction(pendingId, userId, parseParameterEdits(rest.join(' ')), 'whatsapp');
+        await this.sendPendingAction(userId, pending);
+      }
+    } catch (error) {
+      await this.sendMessage(userId, `❌ ${error.message}`);
+    }
+  }
+
   async handleClearCommand(userId) {
     const confirmMessage = `
 ⚠️ *Memory Clear Confirmation*
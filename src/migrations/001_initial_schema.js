@@ -0,0 +1,78 @@
+// Tables as they were before migrations existed. IF NOT EXISTS lets databases
+// created by those versions adopt the migration history unchanged.
+export const up = async (db) => {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS long_term_memory (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      content TEXT NOT NULL,
+      metadata TEXT,
+      importance REAL DEFAULT 0.5,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_id ON long_term_memory(user_id);
+    CREATE INDEX IF NOT EXISTS idx_timestamp ON long_term_memory(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_importance ON long_term_memory(importance);
+
+    -- seq keeps insertion order even when several items share a timestamp
+    CREATE TABLE IF NOT EXISTS short_term_memory (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_short_term_user ON short_term_memory(user_id, seq);
+
+    CREATE TABLE IF NOT EXISTS user_profiles (
+      user_id TEXT PRIMARY KEY,
+      model TEXT,
+      temperature REAL,
+      language TEXT,
+      verbosity TEXT,
+      integrations TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS action_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      platform TEXT,
+      server_type TEXT NOT NULL,
+      operation TEXT NOT NULL,
+      parameters TEXT,
+      success INTEGER NOT NULL,
+      result_summary TEXT,
+      error TEXT,
+      latency_ms INTEGER,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_action_user ON action_history(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_action_operation ON action_history(server_type, operation);
+    CREATE INDEX IF NOT EXISTS idx_action_created ON action_history(created_at);
+
+    -- owner_id is "user:<id>" or "chat:<id>"
+    CREATE TABLE IF NOT EXISTS mcp_credentials (
+      owner_id TEXT NOT NULL,
+      server_type TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      account TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (owner_id, server_type)
+    );
+  `);
+};
+
+export const down = async (db) => {
+  await db.exec(`
+    DROP TABLE IF EXISTS mcp_credentials;
+    DROP TABLE IF EXISTS action_history;
+    DROP TABLE IF EXISTS user_profiles;
+    DROP TABLE IF EXISTS short_term_memory;
+    DROP TABLE IF EXISTS long_term_memory;
+  `);
+};
@@ -0,0 +1,20 @@
+// Extracted memories (facts, preferences, tasks, entities) next to conversation transcripts
+export const up = async (db) => {
+  // Databases opened by a pre-migration build may have the columns already
+  const columns = (await db.all('PRAGMA table_info(long_term_memory)')).map(column => column.name);
+
+  if (!columns.includes('kind')) {
+    await db.run("ALTER TABLE long_term_memory ADD COLUMN kind TEXT NOT NULL DEFAULT 'conversation'");
+  }
+  if (!columns.includes('confidence')) {
+    await db.run('ALTER TABLE long_term_memory ADD COLUMN confidence REAL');
+  }
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_user_kind ON long_term_memory(user_id, kind)');
+};
+
+export const down = async (db) => {
+  await db.run('DROP INDEX IF EXISTS idx_user_kind');
+  await db.run('ALTER TABLE long_term_memory DROP COLUMN confidence');
+  await db.run('ALTER TABLE long_term_memory DROP COLUMN kind');
+};
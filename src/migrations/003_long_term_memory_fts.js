@@ -0,0 +1,48 @@
+// Searchable text of a row: transcript turns, or the text and entities of an extracted memory
+const searchableText = row => `
+  CASE WHEN json_valid(${row}.content) THEN trim(
+    coalesce(json_extract(${row}.content, '$.text'), '') || ' ' ||
+    coalesce(json_extract(${row}.content, '$.userMessage'), '') || ' ' ||
+    coalesce(json_extract(${row}.content, '$.botResponse'), '') || ' ' ||
+    coalesce((SELECT group_concat(value, ' ') FROM json_each(${row}.content, '$.entities')), '')
+  ) ELSE ${row}.content END`;
+
+// FTS5 index over long-term memory, kept in sync by triggers
+export const up = async (db) => {
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS long_term_memory_fts USING fts5(
+      body,
+      user_id UNINDEXED,
+      tokenize = 'porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS long_term_memory_fts_insert AFTER INSERT ON long_term_memory BEGIN
+      INSERT INTO long_term_memory_fts (rowid, body, user_id) VALUES (new.id, ${searchableText('new')}, new.user_id);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS long_term_memory_fts_delete AFTER DELETE ON long_term_memory BEGIN
+      DELETE FROM long_term_memory_fts WHERE rowid = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS long_term_memory_fts_update AFTER UPDATE OF content, user_id ON long_term_memory BEGIN
+      DELETE FROM long_term_memory_fts WHERE rowid = old.id;
+      INSERT INTO long_term_memory_fts (rowid, body, user_id) VALUES (new.id, ${searchableText('new')}, new.user_id);
+    END;
+  `);
+
+  // Rows written before the index existed
+  await db.run(`
+    INSERT INTO long_term_memory_fts (rowid, body, user_id)
+    SELECT m.id, ${searchableText('m')}, m.user_id FROM long_term_memory m
+    WHERE m.id NOT IN (SELECT rowid FROM long_term_memory_fts)
+  `);
+};
+
+export const down = async (db) => {
+  await db.exec(`
+    DROP TRIGGER IF EXISTS long_term_memory_fts_update;
+    DROP TRIGGER IF EXISTS long_term_memory_fts_delete;
+    DROP TRIGGER IF EXISTS long_term_memory_fts_insert;
+    DROP TABLE IF EXISTS long_term_memory_fts;
+  `);
+};
@@ -0,0 +1,20 @@
+// Proof that a user's data was erased. subject_hash is a SHA-256 of the user id,
+// so a later request can be matched to its receipt without keeping the id itself.
+export const up = async (db) => {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS deletion_receipts (
+      id TEXT PRIMARY KEY,
+      subject_hash TEXT NOT NULL,
+      requested_via TEXT,
+      deleted TEXT NOT NULL,
+      remaining TEXT NOT NULL,
+      verified INTEGER NOT NULL,
+      completed_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_deletion_subject ON deletion_receipts(subject_hash);
+  `);
+};
+
+export const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS deletion_receipts');
+};
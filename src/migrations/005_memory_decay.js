@@ -0,0 +1,25 @@
+// Retrieval tracking for long-term memories: how often and how recently each was used, the
+// strength recomputed from that, and when a faded memory was archived
+export const up = async (db) => {
+  await db.exec(`
+    ALTER TABLE long_term_memory ADD COLUMN access_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE long_term_memory ADD COLUMN last_accessed DATETIME;
+    ALTER TABLE long_term_memory ADD COLUMN strength REAL;
+    ALTER TABLE long_term_memory ADD COLUMN archived_at DATETIME;
+  `);
+
+  // Until the first rescore, a memory is as strong as it is important
+  await db.run('UPDATE long_term_memory SET strength = importance');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_user_archived ON long_term_memory(user_id, archived_at)');
+};
+
+export const down = async (db) => {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_user_archived;
+    ALTER TABLE long_term_memory DROP COLUMN archived_at;
+    ALTER TABLE long_term_memory DROP COLUMN strength;
+    ALTER TABLE long_term_memory DROP COLUMN last_accessed;
+    ALTER TABLE long_term_memory DROP COLUMN access_count;
+  `);
+};
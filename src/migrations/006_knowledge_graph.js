@@ -0,0 +1,44 @@
+// Per-user knowledge graph: people, repositories, projects, Figma files, deadlines and the
+// relations between them, from conversations and tool results
+export const up = async (db) => {
+  await db.exec(`
+    -- name_key is the lowercased name entities are matched and merged on
+    CREATE TABLE IF NOT EXISTS kg_entities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL,
+      attributes TEXT NOT NULL DEFAULT '{}',
+      mentions INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (user_id, type, name_key)
+    );
+    CREATE INDEX IF NOT EXISTS idx_kg_entities_name ON kg_entities(user_id, name_key);
+
+    -- source says where a relation was learned: conversation, or the tool call such as github.get_repository
+    CREATE TABLE IF NOT EXISTS kg_relations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      from_id INTEGER NOT NULL,
+      relation TEXT NOT NULL,
+      to_id INTEGER NOT NULL,
+      source TEXT,
+      mentions INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (from_id, relation, to_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_kg_relations_from ON kg_relations(from_id);
+    CREATE INDEX IF NOT EXISTS idx_kg_relations_to ON kg_relations(to_id);
+    CREATE INDEX IF NOT EXISTS idx_kg_relations_user ON kg_relations(user_id);
+  `);
+};
+
+export const down = async (db) => {
+  await db.exec(`
+    DROP TABLE IF EXISTS kg_relations;
+    DROP TABLE IF EXISTS kg_entities;
+  `);
+};
@@ -0,0 +1,15 @@
+// Credential owners name their platform, since the same id can be a different person elsewhere.
+// Only Telegram could link accounts so far, so every existing owner is a Telegram one.
+export const up = async (db) => {
+  await db.exec(`
+    UPDATE mcp_credentials SET owner_id = 'telegram:' || owner_id
+    WHERE owner_id LIKE 'user:%' OR owner_id LIKE 'chat:%';
+  `);
+};
+
+export const down = async (db) => {
+  await db.exec(`
+    UPDATE mcp_credentials SET owner_id = substr(owner_id, length('telegram:') + 1)
+    WHERE owner_id LIKE 'telegram:%';
+  `);
+};
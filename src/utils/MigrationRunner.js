@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getDatabase, getDatabasePath } from './database.js';
+import { logger } from './logger.js';
+
+// 001_initial_schema.js -> version 1, name initial_schema
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Brings the SQLite database to the latest schema by running the numbered files in
+// src/migrations in order. Each one exports up(db) and down(db) and runs in its own
+// transaction; applied versions are recorded in schema_migrations.
+export class MigrationRunner {
+  constructor({ dbPath = getDatabasePath(), directory } = {}) {
+    this.dbPath = dbPath;
+    this.directory = directory || process.env.MIGRATIONS_DIR || fileURLToPath(new URL('../migrations', import.meta.url));
+    this.db = null;
+  }
+
+  async open() {
+    if (!this.db) {
+      this.db = await getDatabase(this.dbPath);
+    }
+    return this.db;
+  }
+
+  async loadMigrations() {
+    const files = (await fs.promises.readdir(this.directory)).filter(file => MIGRATION_FILE.test(file));
+    const migrations = [];
+
+    for (const file of files) {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const module = await import(pathToFileURL(path.join(this.directory, file)).href);
+
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      const duplicate = migrations.find(migration => migration.version === parseInt(version));
+      if (duplicate) {
+        throw new Error(`Migrations ${duplicate.file} and ${file} share version ${parseInt(version)}`);
+      }
+
+      migrations.push({ version: parseInt(version), name, file, up: module.up, down: module.down });
+    }
+
+    return migrations.sort((a, b) => a.version - b.version);
+  }
+
+  async getApplied() {
+    // Looked up rather than created, so a dry run leaves the database untouched
+    const table = await this.db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+    if (!table) {
+      return [];
+    }
+    return this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  async status() {
+    await this.open();
+    const migrations = await this.loadMigrations();
+    const applied = await this.getApplied();
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+    const entries = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+
+    // Applied by a newer build whose files aren't here
+    for (const row of applied) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        entries.push({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+      }
+    }
+
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      migrations: entries.sort((a, b) => a.version - b.version)
+    };
+  }
+
+  // Applies pending migrations up to and including version `to`
+  async migrate({ to = Infinity, dryRun = false } = {}) {
+    await this.open();
+    const applied = new Set((await this.getApplied()).map(row => row.version));
+    const pending = (await this.loadMigrations())
+      .filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    return this.run(pending, 'up', dryRun);
+  }
+
+  // Reverts the last `steps` applied migrations, or every one above version `to`
+  async rollback({ steps = 1, to = null, dryRun = false } = {}) {
+    await this.open();
+    const migrations = await this.loadMigrations();
+    const applied = (await this.getApplied()).reverse();
+    const targets = to !== null ? applied.filter(row => row.version > to) : applied.slice(0, steps);
+
+    const reverting = targets.map(row => {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      if (!migration) {
+        throw new Error(`Cannot revert migration ${row.version}_${row.name}: its file is missing`);
+      }
+      return migration;
+    });
+
+    return this.run(reverting, 'down', dryRun);
+  }
+
+  async run(migrations, direction, dryRun) {
+    const result = {
+      direction,
+      dryRun,
+      backup: null,
+      migrations: migrations.map(({ version, name }) => ({ version, name }))
+    };
+
+    if (migrations.length === 0) {
+      logger.info('Database schema is up to date');
+      return result;
+    }
+
+    if (dryRun) {
+      for (const migration of migrations) {
+        logger.info(`[dry run] Would ${direction === 'up' ? 'apply' : 'revert'} migration ${migration.file}`);
+      }
+      return result;
+    }
+
+    result.backup = await this.backup();
+
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    for (const migration of migrations) {
+      await this.apply(migration, direction);
+    }
+
+    return result;
+  }
+
+  async apply(migration, direction) {
+    await this.db.exec('BEGIN');
+    try {
+      await migration[direction](this.db);
+
+      if (direction === 'up') {
+        await this.db.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      } else {
+        await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+
+      await this.db.exec('COMMIT');
+      logger.info(`${direction === 'up' ? 'Applied' : 'Reverted'} migration ${migration.file}`);
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      logger.error(`Migration ${migration.file} failed, stopping:`, error);
+      throw error;
+    }
+  }
+
+  // VACUUM INTO gives a consistent copy even while the connection is open.
+  // A brand-new database has nothing worth keeping.
+  async backup() {
+    if (this.dbPath === ':memory:') {
+      return null;
+    }
+
+    const { count } = await this.db.get("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'");
+    if (count === 0) {
+      return null;
+    }
+
+    const backupPath = `${this.dbPath}.${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+    await this.db.run('VACUUM INTO ?', [backupPath]);
+    logger.info(`Backed up ${this.dbPath} to ${backupPath}`);
+    return backupPath;
+  }
+}
@@ -0,0 +1,209 @@
+import net from 'net';
+import tls from 'tls';
+import { logger } from './logger.js';
+
+const CRLF = '\r\n';
+
+// Minimal RESP2 client - enough for Redis, Valkey, KeyDB and similar servers without another dependency.
+// Commands are pipelined over one connection and replies are matched in order.
+export class RedisClient {
+  constructor(url = 'redis://localhost:6379', { commandTimeoutMs = 5000 } = {}) {
+    const parsed = new URL(url);
+    this.options = {
+      host: parsed.hostname || 'localhost',
+      port: parseInt(parsed.port) || 6379,
+      tls: parsed.protocol === 'rediss:',
+      username: decodeURIComponent(parsed.username || ''),
+      password: decodeURIComponent(parsed.password || ''),
+      database: parseInt(parsed.pathname.substring(1)) || 0
+    };
+    this.commandTimeoutMs = commandTimeoutMs;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.queue = []; // callbacks waiting for replies, in send order
+  }
+
+  async connect() {
+    if (this.socket) return;
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const { host, port } = this.options;
+      const socket = this.options.tls
+        ? tls.connect({ host, port, servername: host })
+        : net.createConnection({ host, port });
+
+      const timer = setTimeout(() => socket.destroy(new Error(`Timed out connecting to ${host}:${port}`)), this.commandTimeoutMs);
+
+      socket.once(this.options.tls ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        resolve();
+      });
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('error', error => {
+        clearTimeout(timer);
+        if (this.socket === socket) {
+          logger.warn('Redis connection error:', error.message);
+        } else {
+          reject(error);
+        }
+      });
+      socket.on('close', () => this.onClose(socket));
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    await this.connecting;
+
+    if (this.options.password) {
+      await this.command(...(this.options.username
+        ? ['AUTH', this.options.username, this.options.password]
+        : ['AUTH', this.options.password]));
+    }
+    if (this.options.database) {
+      await this.command('SELECT', this.options.database);
+    }
+  }
+
+  async command(...args) {
+    if (!this.socket) {
+      await this.connect();
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject };
+      // A reply that never comes would shift every later reply onto the wrong command, so drop the connection
+      entry.timer = setTimeout(() => {
+        this.socket?.destroy(new Error(`Redis command ${args[0]} timed out`));
+      }, this.commandTimeoutMs);
+
+      this.queue.push(entry);
+      this.socket.write(this.encode(args));
+    });
+  }
+
+  encode(args) {
+    let payload = `*${args.length}${CRLF}`;
+    for (const arg of args) {
+      const value = String(arg);
+      payload += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+    }
+    return payload;
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length > 0) {
+      let reply;
+      try {
+        reply = this.parseReply(this.buffer, 0);
+      } catch (error) {
+        // Nothing after a malformed reply can be matched to its command any more, so fail the
+        // waiting command and drop the connection; closing rejects the rest of the queue
+        logger.warn('Malformed Redis reply:', error.message);
+        const entry = this.queue.shift();
+        if (entry) {
+          clearTimeout(entry.timer);
+          entry.reject(error);
+        }
+        const socket = this.socket;
+        this.onClose(socket);
+        socket?.destroy();
+        return;
+      }
+      if (!reply) return; // incomplete, wait for more data
+
+      this.buffer = this.buffer.subarray(reply.offset);
+      const entry = this.queue.shift();
+      if (!entry) continue;
+
+      clearTimeout(entry.timer);
+      if (reply.value instanceof Error) {
+        entry.reject(reply.value);
+      } else {
+        entry.resolve(reply.value);
+      }
+    }
+  }
+
+  // Returns { value, offset } or null when the buffer doesn't hold a whole reply yet
+  parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf(CRLF, offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-': {
+        const error = new Error(line);
+        error.redis = true;
+        return { value: error, offset: next };
+      }
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = this.parseLength(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = this.parseLength(line);
+        if (count === -1) return { value: null, offset: next };
+
+        const values = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const element = this.parseReply(buffer, position);
+          if (!element) return null;
+          values.push(element.value);
+          position = element.offset;
+        }
+        return { value: values, offset: position };
+      }
+      default:
+        throw new Error(`Unexpected Redis reply type: ${type}`);
+    }
+  }
+
+  parseLength(line) {
+    const length = Number(line);
+    if (!Number.isInteger(length) || length < -1) {
+      throw new Error(`Invalid Redis reply length: ${line.substring(0, 50)}`);
+    }
+    return length;
+  }
+
+  onClose(socket) {
+    // A connection that was already given up on has nothing left in the queue; the
+    // commands there now belong to its replacement
+    if (this.socket !== socket) return;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+
+    // The next command reconnects; whatever was in flight is lost
+    const pending = this.queue.splice(0);
+    for (const entry of pending) {
+      clearTimeout(entry.timer);
+      entry.reject(new Error('Redis connection closed'));
+    }
+  }
+
+  async close() {
+    if (!this.socket) return;
+
+    const socket = this.socket;
+    await new Promise(resolve => {
+      socket.once('close', resolve);
+      socket.end();
+    });
+  }
+}
@@ -0,0 +1,38 @@
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  hasToken() {
+    this.refill();
+    return this.tokens >= 1;
+  }
+
+  take() {
+    this.refill();
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+
+  // Milliseconds until the next token is available
+  getWaitTime() {
+    this.refill();
+    if (this.tokens >= 1) {
+      return 0;
+    }
+    return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+  }
+}
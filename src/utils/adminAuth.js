@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+
+// Hashing first gives equal lengths, which timingSafeEqual requires
+const digest = value => crypto.createHash('sha256').update(value || '').digest();
+
+// Express middleware for routes that reach any user's data: they take
+// `Authorization: Bearer <ADMIN_API_TOKEN>` and stay closed while no token is configured
+export const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    res.status(403).json({ error: 'Set ADMIN_API_TOKEN to enable this endpoint' });
+    return;
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+    res.status(401).json({ error: 'Admin token required' });
+    return;
+  }
+
+  next();
+};
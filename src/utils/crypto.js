@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+// Accepts a 64-character hex key as-is; any other passphrase is stretched with scrypt
+export const deriveKey = (masterKey) => {
+  if (/^[0-9a-f]{64}$/i.test(masterKey)) {
+    return Buffer.from(masterKey, 'hex');
+  }
+  return crypto.scryptSync(masterKey, 'minibot-credentials', 32);
+};
+
+export const encryptSecret = (plaintext, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [FORMAT_VERSION, iv, tag, ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+    .join(':');
+};
+
+export const decryptSecret = (payload, key) => {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported secret format: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
@@ -0,0 +1,44 @@
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import path from 'path';
+import fs from 'fs';
+
+// One connection per database file, shared by every store that lives in it
+const connections = new Map();
+
+export const getDatabasePath = () => process.env.DATABASE_PATH || './data/minibot.db';
+
+export const getDatabase = (dbPath = getDatabasePath()) => {
+  if (!connections.has(dbPath)) {
+    const connection = (async () => {
+      // Ensure data directory exists
+      const dataDir = path.dirname(dbPath);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      return await open({
+        filename: dbPath,
+        driver: sqlite3.Database
+      });
+    })();
+
+    // A failed open shouldn't be cached for the next caller
+    connection.catch(() => connections.delete(dbPath));
+    connections.set(dbPath, connection);
+  }
+
+  return connections.get(dbPath);
+};
+
+export const closeDatabases = async () => {
+  for (const [dbPath, connection] of connections) {
+    connections.delete(dbPath);
+    try {
+      const db = await connection;
+      await db.close();
+    } catch (error) {
+      // Already closed or never opened
+    }
+  }
+};
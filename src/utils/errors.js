@@ -0,0 +1,8 @@
+// Keeps the HTTP status and headers of a failed request on the error we rethrow,
+// so callers can still make retry decisions after the message is rewritten
+export const wrapHttpError = (message, error) => {
+  const wrapped = new Error(`${message}: ${error.message}`);
+  wrapped.status = error.status ?? error.response?.status;
+  wrapped.headers = error.headers ?? error.response?.headers;
+  return wrapped;
+};
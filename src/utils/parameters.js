@@ -0,0 +1,36 @@
+// Parses a user's edit of a tool payload: either a JSON object or "key: value" lines.
+// Values that look like JSON (numbers, arrays, null) keep their type.
+export const parseParameterEdits = (text) => {
+  const trimmed = (text || '').trim();
+
+  if (trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Expected a JSON object');
+    }
+    return parsed;
+  }
+
+  const changes = {};
+  for (const line of trimmed.split('\n')) {
+    if (!line.trim()) continue;
+
+    const match = line.match(/^\s*([\w.-]+)\s*[:=]\s*(.*)$/);
+    if (!match) {
+      throw new Error(`Can't read "${line.trim()}" - use key: value`);
+    }
+
+    const [, key, raw] = match;
+    try {
+      changes[key] = JSON.parse(raw);
+    } catch (error) {
+      changes[key] = raw.trim();
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw new Error('No changes found');
+  }
+
+  return changes;
+};
@@ -0,0 +1,33 @@
+// Approximate characters per token for each tokenizer family.
+// Exact tokenizers aren't bundled, so these are conservative averages for English text and code.
+const CHARS_PER_TOKEN = {
+  cl100k: 4,
+  o200k: 4,
+  claude: 3.5,
+  gemini: 4,
+  deepseek: 3.5,
+  qwen: 3.5,
+  kimi: 3.5,
+  mistral: 3.5,
+  minimax: 3.5,
+  gemma: 3.5,
+  llama: 3.5
+};
+
+const DEFAULT_CHARS_PER_TOKEN = 3.5;
+
+// Per-message overhead for role markers and separators in chat formats
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+export const estimateTokens = (text, tokenizer) => {
+  if (!text) return 0;
+
+  const content = typeof text === 'string' ? text : JSON.stringify(text);
+  const charsPerToken = CHARS_PER_TOKEN[tokenizer] || DEFAULT_CHARS_PER_TOKEN;
+
+  return Math.ceil(content.length / charsPerToken);
+};
+
+export const estimateMessageTokens = (text, tokenizer) => {
+  return estimateTokens(text, tokenizer) + MESSAGE_OVERHEAD_TOKENS;
+};
@@ -0,0 +1,80 @@
+import { Readable } from 'stream';
+import { AIModelManager } from '../../src/core/AIModelManager.js';
+
+const userProfiles = { get: () => ({ temperature: 0.7 }) };
+
+describe('AIModelManager Ollama context size', () => {
+  afterEach(() => {
+    delete process.env.OLLAMA_FULL_CONTEXT;
+  });
+
+  test('asks for what the prompt and answer need, in whole steps', () => {
+    const manager = new AIModelManager(userProfiles);
+    const options = manager.getGenerationOptions(manager.availableModels['ministral-3-3b'], '1');
+
+    expect(options.contextWindow).toBe(262144);
+    expect(manager.getOllamaContextSize('You are MiniBot', [{ role: 'user', content: 'Hello' }], options)).toBe(8192);
+
+    const longPrompt = [{ role: 'user', content: 'x'.repeat(35000) }];
+    expect(manager.getOllamaContextSize('You are MiniBot', longPrompt, options)).toBe(16384);
+  });
+
+  test('never exceeds the context window', () => {
+    const manager = new AIModelManager(userProfiles);
+    const options = manager.getGenerationOptions(manager.availableModels['rnj-1'], '1');
+
+    const hugePrompt = [{ role: 'user', content: 'x'.repeat(200000) }];
+    expect(manager.getOllamaContextSize('', hugePrompt, options)).toBe(32768);
+  });
+
+  test('sends the full window when OLLAMA_FULL_CONTEXT is set', () => {
+    process.env.OLLAMA_FULL_CONTEXT = 'true';
+    const manager = new AIModelManager(userProfiles);
+    const options = manager.getGenerationOptions(manager.availableModels['ministral-3-3b'], '1');
+
+    expect(manager.getOllamaContextSize('You are MiniBot', [], options)).toBe(262144);
+  });
+});
+
+describe('AIModelManager Ollama streaming', () => {
+  const streamFrom = lines => {
+    const manager = new AIModelManager(userProfiles);
+    const body = lines.map(line => JSON.stringify(line)).join('\n');
+    // Split mid-line so chunks don't line up with the JSON objects
+    const middle = Math.floor(body.length / 2);
+    manager.ollamaClient = {
+      post: async () => ({ data: Readable.from([Buffer.from(body.slice(0, middle)), Buffer.from(body.slice(middle))]) })
+    };
+    return manager.streamOllamaResponse('model', 'system', [], { maxTokens: 100 });
+  };
+
+  const collect = async stream => {
+    const tokens = [];
+    for await (const token of stream) {
+      tokens.push(token);
+    }
+    return tokens;
+  };
+
+  test('skips thinking chunks and never yields empty tokens', async () => {
+    const tokens = await collect(streamFrom([
+      { message: { role: 'assistant', content: '', thinking: 'Let me see' } },
+      { message: { role: 'assistant', content: '', thinking: '...' } },
+      { message: { role: 'assistant', content: 'Hello' } },
+      { message: { role: 'assistant', content: ' there' } },
+      { message: { role: 'assistant', content: '' }, done: true }
+    ]));
+
+    expect(tokens).toEqual(['Hello', ' there']);
+  });
+
+  test('falls back to the end of the thinking when no answer follows', async () => {
+    const tokens = await collect(streamFrom([
+      { message: { role: 'assistant', content: '', thinking: 'Weighing it up\n' } },
+      { message: { role: 'assistant', content: '', thinking: 'The answer is 42' } },
+      { message: { role: 'assistant', content: '' }, done: true }
+    ]));
+
+    expect(tokens).toEqual(['The answer is 42']);
+  });
+});
@@ -0,0 +1,64 @@
+import { MiniBotCore } from '../../src/core/MiniBotCore.js';
+
+const source = (id, title) => ({ id, key: `rag:${title}`, type: 'document', title, url: null, snippet: title });
+
+// A core whose turns skip memory and tools: each message brings its own sources
+const createCore = () => {
+  const core = new MiniBotCore();
+  core.isInitialized = true;
+  core.prepareTurn = async (message, userId) => ({ message, userId, sources: [source(1, message)] });
+  core.completeTurn = async () => {};
+  return core;
+};
+
+describe('MiniBotCore sources', () => {
+  test('returns the sources of each reply with the reply itself', async () => {
+    const core = createCore();
+    // The first reply finishes last, so shared per-user state would hand out the wrong sources
+    core.aiModelManager.generateResponse = async ({ message }) => {
+      await new Promise(resolve => setTimeout(resolve, message === 'first' ? 50 : 0));
+      return `About ${message} [1]`;
+    };
+
+    const [first, second] = await Promise.all([
+      core.processMessage('first', 'user1', 'api'),
+      core.processMessage('second', 'user1', 'api')
+    ]);
+
+    expect(first.response).toBe('About first [1]\n\nSources:\n[1] first');
+    expect(first.sources).toEqual([{ ...source(1, 'first'), cited: true }]);
+    expect(second.sources).toEqual([{ ...source(1, 'second'), cited: true }]);
+  });
+
+  test('returns no sources when the turn fails', async () => {
+    const core = createCore();
+    core.aiModelManager.generateResponse = async () => {
+      throw new Error('model down');
+    };
+
+    const result = await core.processMessage('hello', 'user1', 'api');
+    expect(result.sources).toEqual([]);
+    expect(result.response).toMatch(/encountered an error/);
+  });
+
+  test('streams tokens and returns the sources at the end', async () => {
+    const core = createCore();
+    core.aiModelManager.generateResponseStream = async function* () {
+      yield 'About ';
+      yield 'streams [1]';
+    };
+
+    const stream = core.processMessageStream('streams', 'user1', 'api');
+    const tokens = [];
+    let step;
+    while (!(step = await stream.next()).done) {
+      tokens.push(step.value);
+    }
+
+    expect(tokens).toEqual(['About ', 'streams [1]', '\n\nSources:\n[1] streams']);
+    expect(step.value).toEqual({
+      response: 'About streams [1]\n\nSources:\n[1] streams',
+      sources: [{ ...source(1, 'streams'), cited: true }]
+    });
+  });
+});
@@ -0,0 +1,34 @@
+import { UserProfileStore } from '../../src/core/UserProfileStore.js';
+
+// Without initialize() the store keeps profiles in memory only
+describe('UserProfileStore', () => {
+  test('stores known settings', async () => {
+    const store = new UserProfileStore();
+    await store.update('1', { temperature: '1.2', language: 'Portuguese', verbosity: 'concise', integrations: { figma: false } });
+
+    expect(store.get('1')).toMatchObject({
+      temperature: 1.2,
+      language: 'Portuguese',
+      verbosity: 'concise',
+      integrations: { figma: false }
+    });
+  });
+
+  test('refuses unknown settings without storing anything', async () => {
+    const store = new UserProfileStore();
+
+    await expect(store.update('1', { isAdmin: 'true' })).rejects.toThrow('Unknown setting: isAdmin');
+    expect(store.has('1')).toBe(false);
+    expect(store.get('1')).not.toHaveProperty('isAdmin');
+  });
+
+  test('only accepts integrations that map server types to false', async () => {
+    const store = new UserProfileStore();
+
+    await expect(store.update('1', { integrations: 'github' })).rejects.toThrow('Integrations must');
+    await expect(store.update('1', { integrations: ['github'] })).rejects.toThrow('Integrations must');
+    await expect(store.update('1', { integrations: { github: { nested: true } } })).rejects.toThrow('Integrations must');
+    await expect(store.update('1', { integrations: { github: true } })).rejects.toThrow('Integrations must');
+    expect(store.has('1')).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+
+// A minimal MCP server for the client tests. Over stdio it is started as a child process;
+// the HTTP tests feed handle() from an http server of their own.
+const tools = [
+  { name: 'echo', description: 'Echo the text back', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } },
+  { name: 'slow', description: 'Never answers', inputSchema: { type: 'object', properties: {} } },
+  { name: 'crash', description: 'Exits the server', inputSchema: { type: 'object', properties: {} } },
+  { name: 'close_input', description: 'Stops reading requests', inputSchema: { type: 'object', properties: {} } }
+];
+
+// Returns the reply to send, null for notifications, or the name of a misbehaviour
+export const handle = (message) => {
+  const reply = result => ({ jsonrpc: '2.0', id: message.id, result });
+
+  switch (message.method) {
+    case 'initialize':
+      return reply({ protocolVersion: '2025-03-26', capabilities: { tools: {} }, serverInfo: { name: 'fake-mcp', version: '1.0.0' } });
+    case 'tools/list':
+      // Two pages, to exercise cursors
+      return message.params?.cursor
+        ? reply({ tools: tools.slice(2) })
+        : reply({ tools: tools.slice(0, 2), nextCursor: 'page-2' });
+    case 'tools/call':
+      if (message.params.name === 'echo') {
+        return reply({ content: [{ type: 'text', text: message.params.arguments.text }] });
+      }
+      if (['slow', 'crash', 'close_input'].includes(message.params.name)) {
+        return message.params.name;
+      }
+      return reply({ isError: true, content: [{ type: 'text', text: `Unknown tool ${message.params.name}` }] });
+    default:
+      return message.id !== undefined
+        ? { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } }
+        : null;
+  }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const input = readline.createInterface({ input: process.stdin });
+
+  input.on('line', (line) => {
+    const reply = handle(JSON.parse(line));
+
+    if (reply === 'crash') {
+      process.exit(1);
+    } else if (reply === 'close_input') {
+      // Writes from the client now fail with EPIPE while the process keeps running
+      input.close();
+      fs.closeSync(0);
+      process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(line).id, result: { content: [] } })}\n`);
+      setTimeout(() => process.exit(0), 2000);
+    } else if (reply && reply !== 'slow') {
+      process.stdout.write(`${JSON.stringify(reply)}\n`);
+    }
+  });
+}
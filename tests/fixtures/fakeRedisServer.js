@@ -0,0 +1,118 @@
+import net from 'net';
+
+// Just enough of a Redis server for the stores and the client tests: lists, sets and a
+// couple of commands that misbehave on purpose
+const CRLF = '\r\n';
+
+const encode = (value) => {
+  if (value === null) return `$-1${CRLF}`;
+  if (value instanceof Error) return `-${value.message}${CRLF}`;
+  if (typeof value === 'number') return `:${value}${CRLF}`;
+  if (Array.isArray(value)) return `*${value.length}${CRLF}${value.map(encode).join('')}`;
+  return `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+};
+
+// Parses complete RESP arrays of bulk strings; returns the commands and the unparsed rest
+const parseCommands = (buffer) => {
+  const commands = [];
+  let rest = buffer;
+
+  while (rest.startsWith('*')) {
+    const lines = rest.split(CRLF);
+    const count = parseInt(lines[0].substring(1));
+    if (lines.length < 1 + count * 2 + 1) break;
+
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      args.push(lines[2 + i * 2]);
+    }
+    commands.push(args);
+    rest = lines.slice(1 + count * 2).join(CRLF);
+  }
+
+  return { commands, rest };
+};
+
+const range = (list, start, stop) => {
+  const from = start < 0 ? Math.max(list.length + start, 0) : start;
+  const to = stop < 0 ? list.length + stop : Math.min(stop, list.length - 1);
+  return list.slice(from, to + 1);
+};
+
+export const startFakeRedis = () => new Promise((resolve) => {
+  const data = new Map();
+
+  const execute = ([name, ...args]) => {
+    const list = () => data.get(args[0]) || [];
+    const set = () => data.get(args[0]) || new Set();
+
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return 'PONG';
+      case 'RPUSH':
+        data.set(args[0], [...list(), ...args.slice(1)]);
+        return data.get(args[0]).length;
+      case 'LRANGE':
+        return range(list(), Number(args[1]), Number(args[2]));
+      case 'LLEN':
+        return list().length;
+      case 'LTRIM':
+        data.set(args[0], range(list(), Number(args[1]), Number(args[2])));
+        return 'OK';
+      case 'LSET': {
+        const items = list();
+        if (!items[Number(args[1])]) return new Error('ERR index out of range');
+        items[Number(args[1])] = args[2];
+        return 'OK';
+      }
+      case 'LREM': {
+        const items = list();
+        const index = items.indexOf(args[2]);
+        if (index === -1) return 0;
+        items.splice(index, 1);
+        return 1;
+      }
+      case 'DEL':
+        return args.filter(key => data.delete(key)).length;
+      case 'SADD':
+        data.set(args[0], new Set([...set(), ...args.slice(1)]));
+        return 1;
+      case 'SREM':
+        return args.slice(1).filter(member => set().delete(member)).length;
+      case 'SMEMBERS':
+        return [...set()];
+      case 'GARBLE':
+        return { raw: `?not resp${CRLF}` };
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      const { commands, rest } = parseCommands(buffer + chunk.toString('utf8'));
+      buffer = rest;
+
+      for (const command of commands) {
+        const reply = execute(command);
+        socket.write(reply?.raw ?? encode(reply));
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `redis://127.0.0.1:${server.address().port}`,
+      data,
+      close: () => new Promise((done) => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    });
+  });
+});
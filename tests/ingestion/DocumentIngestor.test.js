@@ -0,0 +1,72 @@
+import http from 'http';
+import { DocumentIngestor } from '../../src/ingestion/DocumentIngestor.js';
+import { DocumentParser } from '../../src/ingestion/DocumentParser.js';
+
+describe('DocumentIngestor.ingestUrl', () => {
+  let server;
+  let port;
+  let requests;
+
+  beforeAll(async () => {
+    requests = 0;
+    server = http.createServer((req, res) => {
+      requests++;
+      res.end('<p>internal</p>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const ingestor = () => new DocumentIngestor({}, {}, { resolveWriteNamespace: () => 'user:1' });
+
+  test('refuses schemes other than http and https', async () => {
+    await expect(ingestor().ingestUrl('file:///etc/passwd')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test.each([
+    'http://127.0.0.1:PORT/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]:PORT/',
+    'http://[::ffff:127.0.0.1]:PORT/'
+  ])('refuses the private address in %s', async (url) => {
+    await expect(ingestor().ingestUrl(url.replace('PORT', port))).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('refuses host names that resolve to a private address', async () => {
+    await expect(ingestor().ingestUrl(`http://localhost:${port}/`))
+      .rejects.toThrow('localhost resolves to a private or reserved address');
+    expect(requests).toBe(0);
+  });
+});
+
+describe('DocumentIngestor.callGitHub', () => {
+  test('gives up after the configured number of rate-limited retries', async () => {
+    const rateLimited = Object.assign(new Error('rate limited'), { rateLimited: true, retryAfterMs: 1 });
+    let calls = 0;
+    const mcpManager = {
+      executeAction: async () => {
+        calls++;
+        throw rateLimited;
+      }
+    };
+
+    const ingestor = new DocumentIngestor({}, mcpManager, {});
+    ingestor.githubMaxRetries = 2;
+
+    await expect(ingestor.callGitHub('get_file_content', {}, '1', {})).rejects.toBe(rateLimited);
+    expect(calls).toBe(3);
+  });
+});
+
+describe('DocumentParser.decodeEntities', () => {
+  test('keeps references that are not valid code points', () => {
+    const parser = new DocumentParser();
+
+    expect(parser.decodeEntities('&#x41;&amp;&#66;')).toBe('A&B');
+    expect(parser.decodeEntities('&#x110000; &#1114112; &#xD800; &#57343;')).toBe('&#x110000; &#1114112; &#xD800; &#57343;');
+  });
+});
@@ -0,0 +1,132 @@
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MCPClient } from '../../src/mcp/MCPClient.js';
+import { StdioTransport } from '../../src/mcp/transports/StdioTransport.js';
+import { HttpTransport } from '../../src/mcp/transports/HttpTransport.js';
+import { handle } from '../fixtures/fakeMcpServer.js';
+
+const fakeServer = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/fakeMcpServer.js');
+
+const startHttpServer = () => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      // Ending the session
+      if (req.method === 'DELETE') {
+        res.writeHead(200).end();
+        return;
+      }
+
+      const reply = handle(JSON.parse(body));
+
+      if (reply === 'slow') return;
+      if (reply === 'crash') {
+        req.socket.destroy();
+        return;
+      }
+      if (!reply) {
+        res.writeHead(202).end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'session-1' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const transports = {
+  stdio: async () => ({
+    transport: new StdioTransport({ command: process.execPath, args: [fakeServer] }),
+    stop: async () => {}
+  }),
+  http: async () => {
+    const server = await startHttpServer();
+    return {
+      transport: new HttpTransport({ url: `http://127.0.0.1:${server.address().port}/mcp` }),
+      stop: () => new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      })
+    };
+  }
+};
+
+describe.each(Object.keys(transports))('MCPClient over %s', (type) => {
+  let client;
+  let stop;
+
+  beforeEach(async () => {
+    const setup = await transports[type]();
+    stop = setup.stop;
+    client = new MCPClient(setup.transport, { name: 'fake', timeout: 1000 });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await stop();
+  });
+
+  test('initializes against the server', () => {
+    expect(client.connected).toBe(true);
+    expect(client.serverInfo.name).toBe('fake-mcp');
+    expect(client.serverCapabilities.tools).toEqual({});
+  });
+
+  test('lists tools across pages', async () => {
+    const tools = await client.listTools();
+    expect(tools.map(tool => tool.name)).toEqual(['echo', 'slow', 'crash', 'close_input']);
+  });
+
+  test('calls a tool', async () => {
+    const result = await client.callTool('echo', { text: 'hello' });
+    expect(result.content).toEqual([{ type: 'text', text: 'hello' }]);
+  });
+
+  test('surfaces JSON-RPC errors', async () => {
+    await expect(client.request('prompts/list')).rejects.toThrow('MCP error -32601');
+  });
+
+  test('times out a request the server never answers', async () => {
+    await expect(client.callTool('slow')).rejects.toThrow("MCP request 'tools/call' to 'fake' timed out");
+    expect(client.pending.size).toBe(0);
+  });
+
+  test('rejects the pending request when the server dies', async () => {
+    await expect(client.callTool('crash')).rejects.toThrow();
+    expect(client.pending.size).toBe(0);
+  });
+});
+
+describe('StdioTransport', () => {
+  test('marks the server disconnected when it crashes', async () => {
+    const client = new MCPClient(new StdioTransport({ command: process.execPath, args: [fakeServer] }), { name: 'fake', timeout: 5000 });
+    await client.connect();
+
+    await expect(client.callTool('crash')).rejects.toThrow("MCP server 'fake' disconnected");
+    expect(client.connected).toBe(false);
+    await expect(client.callTool('echo', { text: 'again' })).rejects.toThrow('is not running');
+  });
+
+  test('survives a server that stops reading its input', async () => {
+    const transport = new StdioTransport({ command: process.execPath, args: [fakeServer] });
+    const client = new MCPClient(transport, { name: 'fake', timeout: 5000 });
+    await client.connect();
+    const child = transport.process;
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    await client.callTool('close_input');
+
+    // The write fails with EPIPE instead of taking the process down
+    await expect(client.callTool('echo', { text: 'lost' })).rejects.toThrow();
+    expect(client.connected).toBe(false);
+    expect(client.pending.size).toBe(0);
+
+    await client.close();
+    await exited;
+  });
+});
@@ -0,0 +1,68 @@
+import { MCPManager } from '../../src/mcp/MCPManager.js';
+
+const createManager = () => {
+  const manager = new MCPManager();
+  manager.definitions.set('github', { credentials: { mode: 'shared', sharedTokenEnv: 'TEST_GITHUB_TOKEN' } });
+
+  const stored = new Map([['telegram:user:42', { token: 'user-token' }], ['telegram:chat:-100', { token: 'group-token' }]]);
+  manager.credentialStore.get = async (owner) => stored.get(owner) || null;
+  return manager;
+};
+
+describe('MCPManager credentials', () => {
+  afterEach(() => {
+    delete process.env.TEST_GITHUB_TOKEN;
+  });
+
+  test('resolves the account linked on the caller\'s platform', async () => {
+    const manager = createManager();
+
+    await expect(manager.resolveCredentials('github', '42', { platform: 'telegram' }))
+      .resolves.toEqual({ scope: 'telegram:user:42', credentials: { token: 'user-token' } });
+    await expect(manager.resolveCredentials('github', '7', { platform: 'telegram', chatId: '-100' }))
+      .resolves.toEqual({ scope: 'telegram:chat:-100', credentials: { token: 'group-token' } });
+  });
+
+  test('does not hand one platform\'s account to the same id elsewhere', async () => {
+    const manager = createManager();
+
+    await expect(manager.resolveCredentials('github', '42', { platform: 'whatsapp' }))
+      .rejects.toThrow('No github account connected');
+  });
+
+  test('refuses HTTP API callers, even with a shared token', async () => {
+    const manager = createManager();
+    process.env.TEST_GITHUB_TOKEN = 'shared-token';
+
+    await expect(manager.resolveCredentials('github', '42', { platform: 'api' }))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(manager.resolveCredentials('github', '42', { platform: 'telegram' }))
+      .resolves.toMatchObject({ scope: 'telegram:user:42' });
+    await expect(manager.resolveCredentials('github', '9', { platform: 'telegram' }))
+      .resolves.toEqual({ scope: 'shared', credentials: { token: 'shared-token' } });
+  });
+
+  test('keeps pending actions to the platform they were proposed on', () => {
+    const manager = createManager();
+    const pending = manager.requestConfirmation(
+      { type: 'github', operation: 'create_issue', parameters: { title: 'Bug' } },
+      '42',
+      { platform: 'telegram', chatId: '42' }
+    );
+
+    expect(manager.getPendingActions('42', 'api')).toEqual([]);
+    expect(() => manager.cancelPendingAction(pending.id, '42', 'api')).toThrow('not found');
+    expect(manager.cancelPendingAction(pending.id, '42', 'telegram').status).toBe('cancelled');
+  });
+
+  test('keeps the same request from two platforms as two actions', () => {
+    const manager = createManager();
+    const call = { type: 'github', operation: 'create_issue', parameters: { title: 'Bug' } };
+    const fromApi = manager.requestConfirmation(call, '42', { platform: 'api' });
+    const fromTelegram = manager.requestConfirmation(call, '42', { platform: 'telegram', chatId: '42' });
+
+    expect(fromTelegram.id).not.toBe(fromApi.id);
+    expect(manager.takeNewPendingActions('42', 'telegram')).toEqual([fromTelegram]);
+    expect(manager.takeNewPendingActions('42', 'api')).toEqual([fromApi]);
+  });
+});
@@ -0,0 +1,68 @@
+import { MCPMiddleware } from '../../src/mcp/MCPMiddleware.js';
+
+const createMiddleware = () => new MCPMiddleware({
+  rateLimiting: { enabled: false },
+  retries: { maxAttempts: 3, backoffMs: 1 }
+});
+
+const failWith = (status, headers) => Object.assign(new Error(`status ${status}`), { status, headers });
+
+describe('MCPMiddleware', () => {
+  test('never caches operations the caller classifies as writes', async () => {
+    const middleware = createMiddleware();
+    let calls = 0;
+    const call = { type: 'github', operation: 'create_issue', parameters: { title: 'Bug' }, isWrite: true };
+
+    await middleware.execute(call, async () => ++calls);
+    await expect(middleware.execute(call, async () => ++calls)).resolves.toBe(2);
+  });
+
+  test('serves repeated reads from the cache', async () => {
+    const middleware = createMiddleware();
+    let calls = 0;
+    const call = { type: 'github', operation: 'get_issue', parameters: { number: 1 } };
+
+    await middleware.execute(call, async () => ++calls);
+    await expect(middleware.execute(call, async () => ++calls)).resolves.toBe(1);
+  });
+
+  test('retries reads on 5xx', async () => {
+    const middleware = createMiddleware();
+    let calls = 0;
+    const handler = async () => {
+      if (++calls === 1) throw failWith(502);
+      return 'ok';
+    };
+
+    await expect(middleware.execute({ type: 'github', operation: 'get_issue' }, handler)).resolves.toBe('ok');
+    expect(calls).toBe(2);
+  });
+
+  test('does not retry writes on 5xx', async () => {
+    const middleware = createMiddleware();
+    let calls = 0;
+    const handler = async () => {
+      calls++;
+      throw failWith(502);
+    };
+
+    await expect(middleware.execute({ type: 'github', operation: 'create_issue', isWrite: true }, handler))
+      .rejects.toThrow('status 502');
+    expect(calls).toBe(1);
+  });
+
+  test('retries rate-limited writes', async () => {
+    const middleware = createMiddleware();
+    let calls = 0;
+    const handler = async () => {
+      calls++;
+      if (calls === 1) throw failWith(429, { 'retry-after': '0' });
+      if (calls === 2) throw failWith(403, { 'x-ratelimit-remaining': '0' });
+      return 'created';
+    };
+
+    await expect(middleware.execute({ type: 'github', operation: 'create_issue', isWrite: true }, handler))
+      .resolves.toBe('created');
+    expect(calls).toBe(3);
+  });
+});
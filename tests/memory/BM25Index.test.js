@@ -0,0 +1,26 @@
+import { BM25Index } from '../../src/memory/BM25Index.js';
+
+describe('BM25Index', () => {
+  test('indexes identifiers whole and by their parts', () => {
+    const index = new BM25Index();
+
+    expect(index.tokenize('See acme/api-server for ERR_TIMEOUT')).toEqual(
+      ['see', 'acme/api-server', 'acme', 'api', 'server', 'err_timeout', 'err', 'timeout']
+    );
+  });
+
+  test('leaves out stop words', () => {
+    const index = new BM25Index();
+
+    expect(index.tokenize('What is the status of the deploy?')).toEqual(['status', 'deploy']);
+    expect(index.tokenize('how-to')).toEqual(['how-to']);
+  });
+
+  test('does not match documents on stop words alone', () => {
+    const index = new BM25Index();
+    index.add('recipe', 'The best way to bake bread is with a hot oven');
+    index.add('deploy', 'The deploy runs from the main branch');
+
+    expect(index.search('what is the deploy').map(hit => hit.id)).toEqual(['deploy']);
+  });
+});
@@ -0,0 +1,40 @@
+import { KnowledgeGraph } from '../../src/memory/KnowledgeGraph.js';
+import { MigrationRunner } from '../../src/utils/MigrationRunner.js';
+import { closeDatabases } from '../../src/utils/database.js';
+
+describe('KnowledgeGraph.findMentioned', () => {
+  let graph;
+
+  beforeEach(async () => {
+    await new MigrationRunner({ dbPath: ':memory:' }).migrate();
+    graph = new KnowledgeGraph();
+    graph.dbPath = ':memory:';
+    await graph.initialize();
+    await graph.record('user1', {
+      entities: [
+        { type: 'repository', name: 'acme/api' },
+        { type: 'person', name: 'Alice' },
+        { type: 'project', name: 'Apollo' }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    await closeDatabases();
+  });
+
+  const mentioned = async text => (await graph.findMentioned('user1', text)).map(row => row.name_key).sort();
+
+  test('matches whole names, and repositories by their short name', async () => {
+    expect(await mentioned('Did Alice merge the api fix?')).toEqual(['acme/api', 'alice']);
+    expect(await mentioned('Status of acme/api please')).toEqual(['acme/api']);
+  });
+
+  test('ignores names that only appear inside other words', async () => {
+    expect(await mentioned('The capital of Malicestan')).toEqual([]);
+  });
+
+  test('keeps users apart', async () => {
+    expect(await graph.findMentioned('user2', 'Alice')).toEqual([]);
+  });
+});
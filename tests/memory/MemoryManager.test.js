@@ -0,0 +1,112 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryManager } from '../../src/memory/MemoryManager.js';
+import { MigrationRunner } from '../../src/utils/MigrationRunner.js';
+import { closeDatabases } from '../../src/utils/database.js';
+
+// Only the extraction step is exercised; the stores it writes to are replaced with recorders
+const createManager = (extractor) => {
+  const manager = new MemoryManager();
+  const applied = [];
+  const recorded = [];
+
+  manager.setExtractor(extractor);
+  manager.longTermMemory.getFacts = async () => [];
+  manager.applyExtractedMemory = async (userId, memory) => applied.push(memory.text);
+  manager.knowledgeGraph.record = async (userId, { relations }) => recorded.push(...relations);
+  manager.storeTranscript = async () => {
+    throw new Error('extraction should not fall back to a transcript');
+  };
+
+  return { manager, applied, recorded };
+};
+
+describe('MemoryManager.extractMemories', () => {
+  test('accepts extractors that return { memories, relations }', async () => {
+    const { manager, applied, recorded } = createManager({
+      extract: async () => ({
+        memories: [{ kind: 'fact', text: 'Alice works on acme/api', confidence: 0.9 }],
+        relations: [{ from: 'Alice', relation: 'works_on', to: 'acme/api', confidence: 0.9 }]
+      })
+    });
+
+    await manager.extractMemories('user1', 'I work on acme/api', 'Noted');
+
+    expect(applied).toEqual(['Alice works on acme/api']);
+    expect(recorded).toHaveLength(1);
+  });
+
+  test('accepts extractors that return just the memories', async () => {
+    const { manager, applied, recorded } = createManager({
+      extract: async () => [
+        { kind: 'preference', text: 'Prefers short answers', confidence: 0.8 },
+        { kind: 'fact', text: 'Maybe likes tea', confidence: 0.1 }
+      ]
+    });
+
+    await manager.extractMemories('user1', 'Keep it short', 'Sure');
+
+    expect(applied).toEqual(['Prefers short answers']);
+    expect(recorded).toEqual([]);
+  });
+});
+
+describe('MemoryManager.rescoreMemories', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let directory;
+  let manager;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'minibot-rescore-'));
+    process.env.DATABASE_PATH = ':memory:';
+    process.env.VECTOR_DB_PATH = directory;
+    process.env.EMBEDDING_PROVIDER = 'local';
+
+    await new MigrationRunner({ dbPath: ':memory:' }).migrate();
+    manager = new MemoryManager();
+    await manager.longTermMemory.initialize();
+    await manager.ragMemory.initialize();
+  });
+
+  afterEach(async () => {
+    delete process.env.DATABASE_PATH;
+    delete process.env.VECTOR_DB_PATH;
+    delete process.env.EMBEDDING_PROVIDER;
+    await closeDatabases();
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  const storeFact = async (text, metadata = {}) => {
+    const fact = { kind: 'fact', text };
+    const id = await manager.longTermMemory.storeFact('user1', { ...fact, confidence: 0.9, importance: 0.5, metadata });
+    await manager.indexFact('user1', id, fact);
+    return id;
+  };
+
+  const getRow = id => manager.longTermMemory.db.get('SELECT * FROM long_term_memory WHERE id = ?', [id]);
+
+  test('archives faded memories and their RAG copy, and keeps pinned ones, used ones and the summary', async () => {
+    const faded = await storeFact('Used to deploy on Fridays');
+    const pinned = await storeFact('Works on acme/api', { pinned: true });
+    const used = await storeFact('Prefers short answers');
+    const summary = await manager.longTermMemory.saveSummary('user1', { text: 'Talked about deploys', messages: 4 });
+
+    // A year later, with one memory retrieved yesterday
+    const now = Date.now() + 365 * DAY_MS;
+    // sqlite3 stores a Date as its milliseconds, but doesn't recognise Dates made inside jest's VM
+    await manager.longTermMemory.recordAccess([used], now - DAY_MS);
+
+    await expect(manager.rescoreMemories(now)).resolves.toEqual({ scored: 3, archived: 1 });
+
+    expect((await getRow(faded)).archived_at).not.toBeNull();
+    expect(manager.ragMemory.findDocuments({ type: 'memory', memoryId: faded })).toEqual([]);
+
+    for (const id of [pinned, used, summary]) {
+      expect((await getRow(id)).archived_at).toBeNull();
+    }
+    expect(manager.ragMemory.findDocuments({ type: 'memory', memoryId: pinned })).toHaveLength(1);
+    expect(manager.ragMemory.findDocuments({ type: 'memory', memoryId: used })).toHaveLength(1);
+    expect((await getRow(used)).strength).toBeGreaterThan(0.1);
+  });
+});
@@ -0,0 +1,44 @@
+import { MemoryScorer } from '../../src/memory/MemoryScorer.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2025, 0, 31);
+const daysAgo = days => new Date(now - days * DAY_MS);
+
+// Defaults: 30-day half-life, archived below 0.1
+describe('MemoryScorer', () => {
+  const scorer = new MemoryScorer();
+
+  test('halves a memory every half-life since it was last changed', () => {
+    const memory = { importance: 0.8, timestamp: daysAgo(90), updatedAt: daysAgo(30) };
+
+    expect(scorer.getStrength(memory, now)).toBeCloseTo(0.4);
+    expect(scorer.getStrength({ ...memory, updatedAt: daysAgo(60) }, now)).toBeCloseTo(0.2);
+  });
+
+  test('counts from the last retrieval and fades slower the more it was retrieved', () => {
+    const base = { importance: 0.8, timestamp: daysAgo(90), lastAccessed: daysAgo(60) };
+
+    expect(scorer.getStrength({ ...base, accessCount: 0 }, now)).toBeCloseTo(0.2);
+    // One retrieval doubles the half-life to 60 days
+    expect(scorer.getStrength({ ...base, accessCount: 1 }, now)).toBeCloseTo(0.4);
+    // Three triple it to 90 days
+    expect(scorer.getStrength({ ...base, accessCount: 3 }, now)).toBeCloseTo(0.8 * 0.5 ** (60 / 90));
+  });
+
+  test('archives faded memories only', () => {
+    const faded = { kind: 'fact', importance: 0.5, timestamp: daysAgo(120) };
+    const fresh = { kind: 'fact', importance: 0.5, timestamp: daysAgo(1) };
+
+    expect(scorer.shouldArchive(faded, now)).toBe(true);
+    expect(scorer.shouldArchive(fresh, now)).toBe(false);
+  });
+
+  test('never archives pinned memories or the summary', () => {
+    const pinned = { kind: 'fact', importance: 0.5, timestamp: daysAgo(3650), metadata: { pinned: true } };
+    const summary = { kind: 'summary', importance: 0.5, timestamp: daysAgo(3650), metadata: {} };
+
+    expect(scorer.getStrength(pinned, now)).toBe(1);
+    expect(scorer.shouldArchive(pinned, now)).toBe(false);
+    expect(scorer.shouldArchive(summary, now)).toBe(false);
+  });
+});
@@ -0,0 +1,38 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RAGMemory } from '../../src/memory/RAGMemory.js';
+
+describe('RAGMemory.search', () => {
+  let directory;
+  let memory;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'minibot-rag-'));
+    process.env.VECTOR_DB_PATH = directory;
+    process.env.EMBEDDING_PROVIDER = 'local';
+
+    memory = new RAGMemory();
+    await memory.initialize();
+    await memory.addDocument({ content: 'Build failed with ERR_TIMEOUT in acme/api', metadata: { userId: '1' } });
+  });
+
+  afterEach(async () => {
+    delete process.env.VECTOR_DB_PATH;
+    delete process.env.EMBEDDING_PROVIDER;
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test('finds a document by an exact identifier', async () => {
+    const results = await memory.search('ERR_TIMEOUT', 5, { minSimilarity: 0 });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].scores.bm25Rank).toBe(1);
+  });
+
+  test('holds keyword hits to the similarity floor', async () => {
+    const [hit] = await memory.search('ERR_TIMEOUT', 5, { minSimilarity: 0 });
+
+    await expect(memory.search('ERR_TIMEOUT', 5, { minSimilarity: hit.similarity + 0.01 })).resolves.toEqual([]);
+  });
+});
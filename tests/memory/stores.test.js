@@ -0,0 +1,87 @@
+import { InMemoryStore } from '../../src/memory/stores/InMemoryStore.js';
+import { SQLiteStore } from '../../src/memory/stores/SQLiteStore.js';
+import { RedisStore } from '../../src/memory/stores/RedisStore.js';
+import { MigrationRunner } from '../../src/utils/MigrationRunner.js';
+import { closeDatabases } from '../../src/utils/database.js';
+import { startFakeRedis } from '../fixtures/fakeRedisServer.js';
+
+// Every short-term store backend has to behave the same, whichever one is configured
+const backends = {
+  memory: async () => ({ store: new InMemoryStore(), stop: async () => {} }),
+  sqlite: async () => {
+    await new MigrationRunner({ dbPath: ':memory:' }).migrate();
+    return { store: new SQLiteStore(':memory:'), stop: closeDatabases };
+  },
+  redis: async () => {
+    const redis = await startFakeRedis();
+    return { store: new RedisStore(redis.url, 'test:'), stop: redis.close };
+  }
+};
+
+const item = (id, content = `message ${id}`) => ({ id, type: 'conversation', content });
+
+describe.each(Object.keys(backends))('%s store', (backend) => {
+  let store;
+  let stop;
+
+  beforeEach(async () => {
+    ({ store, stop } = await backends[backend]());
+    await store.initialize();
+  });
+
+  afterEach(async () => {
+    await store.close();
+    await stop();
+  });
+
+  test('appends items in order and caps them at maxItems', async () => {
+    for (const id of ['a', 'b', 'c', 'd']) {
+      await store.append('user1', item(id), 3);
+    }
+
+    expect((await store.getItems('user1')).map(entry => entry.id)).toEqual(['b', 'c', 'd']);
+    expect(await store.getCount('user1')).toBe(3);
+  });
+
+  test('keeps users apart', async () => {
+    await store.append('user1', item('a'), 10);
+    await store.append('user2', item('b'), 10);
+
+    expect((await store.getItems('user1')).map(entry => entry.id)).toEqual(['a']);
+    expect(await store.getItems('nobody')).toEqual([]);
+    expect(await store.getCount('nobody')).toBe(0);
+  });
+
+  test('replaces and removes items by id', async () => {
+    await store.append('user1', item('a'), 10);
+    await store.append('user1', item('b'), 10);
+
+    expect(await store.replaceItem('user1', 'a', item('a', 'edited'))).toBe(true);
+    expect(await store.replaceItem('user1', 'missing', item('missing'))).toBe(false);
+    expect(await store.removeItem('user1', 'b')).toBe(true);
+    expect(await store.removeItem('user1', 'b')).toBe(false);
+
+    expect(await store.getItems('user1')).toEqual([item('a', 'edited')]);
+  });
+
+  test('trims to the newest items', async () => {
+    for (const id of ['a', 'b', 'c']) {
+      await store.append('user1', item(id), 10);
+    }
+
+    expect(await store.trim('user1', 1)).toBe(true);
+    expect(await store.trim('user1', 5)).toBe(false);
+    expect((await store.getItems('user1')).map(entry => entry.id)).toEqual(['c']);
+  });
+
+  test('clears a user and reports stats', async () => {
+    await store.append('user1', item('a'), 10);
+    await store.append('user1', item('b'), 10);
+    await store.append('user2', item('c'), 10);
+
+    expect(await store.getStats()).toEqual({ totalUsers: 2, totalItems: 3 });
+    expect(await store.clear('user1')).toBe(true);
+    expect(await store.clear('user1')).toBe(false);
+    expect(await store.getStats()).toEqual({ totalUsers: 1, totalItems: 1 });
+  });
+});
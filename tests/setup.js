@@ -0,0 +1,2 @@
+// Keep test output readable; failures still show up through jest itself
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
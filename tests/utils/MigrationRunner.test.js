@@ -0,0 +1,78 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MigrationRunner } from '../../src/utils/MigrationRunner.js';
+import { closeDatabases } from '../../src/utils/database.js';
+
+describe('MigrationRunner', () => {
+  let directory;
+  let runner;
+  let versions;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'minibot-migrations-'));
+    runner = new MigrationRunner({ dbPath: path.join(directory, 'minibot.db') });
+    versions = (await runner.loadMigrations()).map(migration => migration.version);
+  });
+
+  afterEach(async () => {
+    await closeDatabases();
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  const getOwners = async () =>
+    (await runner.db.all('SELECT owner_id FROM mcp_credentials ORDER BY owner_id')).map(row => row.owner_id);
+
+  test('applies every migration in order and records it', async () => {
+    const result = await runner.migrate();
+
+    expect(result.migrations.map(migration => migration.version)).toEqual(versions);
+    // A brand-new database is not backed up
+    expect(result.backup).toBeNull();
+
+    const status = await runner.status();
+    expect(status.current).toBe(versions[versions.length - 1]);
+    expect(status.migrations.every(migration => migration.applied)).toBe(true);
+
+    expect((await runner.migrate()).migrations).toEqual([]);
+  });
+
+  test('lists pending migrations in a dry run without touching the database', async () => {
+    await runner.migrate({ to: 2 });
+    const result = await runner.migrate({ dryRun: true });
+
+    expect(result).toMatchObject({ direction: 'up', dryRun: true, backup: null });
+    expect(result.migrations.map(migration => migration.version)).toEqual(versions.filter(version => version > 2));
+    expect((await runner.status()).current).toBe(2);
+    expect(fs.readdirSync(directory).filter(file => file.endsWith('.bak'))).toEqual([]);
+  });
+
+  test('moves credential owners under telegram: and back', async () => {
+    await runner.migrate({ to: 6 });
+    const now = new Date().toISOString();
+    for (const owner of ['user:42', 'chat:-100']) {
+      await runner.db.run(
+        'INSERT INTO mcp_credentials (owner_id, server_type, secret, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+        [owner, 'github', 'encrypted', now, now]
+      );
+    }
+
+    const result = await runner.migrate({ to: 7 });
+    expect(result.migrations).toEqual([{ version: 7, name: 'platform_credential_owners' }]);
+    expect(fs.existsSync(result.backup)).toBe(true);
+    expect(await getOwners()).toEqual(['telegram:chat:-100', 'telegram:user:42']);
+
+    const rollback = await runner.rollback({ steps: 1 });
+    expect(rollback.migrations).toEqual([{ version: 7, name: 'platform_credential_owners' }]);
+    expect(await getOwners()).toEqual(['chat:-100', 'user:42']);
+    expect((await runner.status()).current).toBe(6);
+  });
+
+  test('reverts everything above a version', async () => {
+    await runner.migrate();
+    const result = await runner.rollback({ to: 3 });
+
+    expect(result.migrations.map(migration => migration.version)).toEqual(versions.filter(version => version > 3).reverse());
+    expect((await runner.status()).current).toBe(3);
+  });
+});
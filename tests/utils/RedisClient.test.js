@@ -0,0 +1,33 @@
+import { RedisClient } from '../../src/utils/RedisClient.js';
+import { startFakeRedis } from '../fixtures/fakeRedisServer.js';
+
+describe('RedisClient', () => {
+  let redis;
+  let client;
+
+  beforeEach(async () => {
+    redis = await startFakeRedis();
+    client = new RedisClient(redis.url, { commandTimeoutMs: 1000 });
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await redis.close();
+  });
+
+  test('round-trips lists', async () => {
+    expect(await client.command('RPUSH', 'list', 'a', 'b')).toBe(2);
+    expect(await client.command('LRANGE', 'list', 0, -1)).toEqual(['a', 'b']);
+    expect(await client.command('DEL', 'missing')).toBe(0);
+  });
+
+  test('rejects a command answered with an error and keeps the connection', async () => {
+    await expect(client.command('NOPE')).rejects.toThrow("ERR unknown command 'NOPE'");
+    expect(await client.command('PING')).toBe('PONG');
+  });
+
+  test('rejects the waiting command on a malformed reply and reconnects afterwards', async () => {
+    await expect(client.command('GARBLE')).rejects.toThrow('Unexpected Redis reply type: ?');
+    expect(await client.command('PING')).toBe('PONG');
+  });
+});
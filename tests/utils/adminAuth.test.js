@@ -0,0 +1,38 @@
+import { requireAdmin } from '../../src/utils/adminAuth.js';
+
+const run = (authorization) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  requireAdmin({ headers: authorization ? { authorization } : {} }, res, () => { passed = true; });
+  return { passed, status: res.statusCode };
+};
+
+describe('requireAdmin', () => {
+  afterEach(() => {
+    delete process.env.ADMIN_API_TOKEN;
+  });
+
+  test('stays closed while no token is configured', () => {
+    expect(run('Bearer anything')).toEqual({ passed: false, status: 403 });
+  });
+
+  test('accepts only the configured bearer token', () => {
+    process.env.ADMIN_API_TOKEN = 's3cret';
+
+    expect(run('Bearer s3cret')).toEqual({ passed: true, status: 200 });
+    expect(run('Bearer wrong')).toEqual({ passed: false, status: 401 });
+    expect(run('Basic s3cret')).toEqual({ passed: false, status: 401 });
+    expect(run()).toEqual({ passed: false, status: 401 });
+  });
+});